@@ -19,6 +19,7 @@ const mongoSanitize = require("express-mongo-sanitize"); // ->protect against mo
 
 // database
 const connectDB = require("./db/connect");
+const { getClientOrigin, assertPricingConfig } = require("./utils");
 
 // routers
 const authRouter = require("./routes/authRoutes");
@@ -26,6 +27,12 @@ const userRouter = require("./routes/userRoutes");
 const productRouter = require("./routes/productRoutes");
 const reviewRouter = require("./routes/reviewRoutes");
 const orderRouter = require("./routes/orderRoutes");
+const paymentRouter = require("./routes/paymentRoutes");
+const cartRouter = require("./routes/cartRoutes");
+const couponRouter = require("./routes/couponRoutes");
+const apiKeyRouter = require("./routes/apiKeyRoutes");
+const categoryRouter = require("./routes/categoryRoutes");
+const companyRouter = require("./routes/companyRoutes");
 
 //middleware
 const notFoundMiddleware = require("./middleware/not-found");
@@ -36,6 +43,8 @@ app.use(
 	rateLimiter({
 		windowMs: 15 * 60 * 1000,
 		max: 60,
+		// provider deliveries come from a handful of ips and are signed
+		skip: (req) => req.path === "/api/v1/payments/webhook",
 	})
 );
 app.use(helmet());
@@ -44,7 +53,14 @@ app.use(xss());
 app.use(mongoSanitize());
 
 app.use(morgan("tiny"));
-app.use(express.json());
+// keep the raw body around for webhook signature checks
+app.use(
+	express.json({
+		verify: (req, res, buf) => {
+			req.rawBody = buf.toString();
+		},
+	})
+);
 app.use(cookieParser(process.env.JWT_SECRET));
 
 app.use(express.static("./public"));
@@ -61,6 +77,12 @@ app.use("/api/v1/users", userRouter);
 app.use("/api/v1/products", productRouter);
 app.use("/api/v1/reviews", reviewRouter);
 app.use("/api/v1/orders", orderRouter);
+app.use("/api/v1/payments", paymentRouter);
+app.use("/api/v1/cart", cartRouter);
+app.use("/api/v1/coupons", couponRouter);
+app.use("/api/v1/api-keys", apiKeyRouter);
+app.use("/api/v1/categories", categoryRouter);
+app.use("/api/v1/companies", companyRouter);
 
 app.use(notFoundMiddleware);
 app.use(errorHandlerMiddleware);
@@ -68,6 +90,9 @@ app.use(errorHandlerMiddleware);
 const port = process.env.PORT || 5000;
 const start = async () => {
 	try {
+		// refuse to start rather than mail links built from request headers
+		getClientOrigin();
+		assertPricingConfig();
 		await connectDB(process.env.MONGO_URL);
 		app.listen(port, console.log(`Server is listening on port ${port}...`));
 	} catch (error) {
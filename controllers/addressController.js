@@ -0,0 +1,89 @@
+const User = require("../models/User");
+const { ADDRESS_FIELDS } = require("../models/Address");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+
+const pickAddressFields = (body) =>
+	ADDRESS_FIELDS.reduce((fields, field) => {
+		if (body[field] !== undefined) fields[field] = body[field];
+		return fields;
+	}, {});
+
+const findAddress = (user, addressId) => {
+	const address = user.addresses.id(addressId);
+	if (!address) {
+		throw new CustomError.NotFoundError(`No address with id: ${addressId}`);
+	}
+	return address;
+};
+
+// exactly one address is the default whenever the book isn't empty
+const makeDefault = (user, address) => {
+	user.addresses.forEach((saved) => {
+		saved.isDefault = saved._id.equals(address._id);
+	});
+};
+
+const getAddresses = async (req, res) => {
+	const user = await User.findOne({ _id: req.user.userId }).select("addresses");
+	res
+		.status(StatusCodes.OK)
+		.json({ addresses: user.addresses, count: user.addresses.length });
+};
+
+const addAddress = async (req, res) => {
+	const user = await User.findOne({ _id: req.user.userId });
+
+	user.addresses.push(pickAddressFields(req.body));
+	const address = user.addresses[user.addresses.length - 1];
+	if (req.body.isDefault || user.addresses.length === 1) {
+		makeDefault(user, address);
+	}
+	await user.save();
+
+	res.status(StatusCodes.CREATED).json({ address });
+};
+
+const updateAddress = async (req, res) => {
+	const user = await User.findOne({ _id: req.user.userId });
+	const address = findAddress(user, req.params.addressId);
+
+	address.set(pickAddressFields(req.body));
+	if (req.body.isDefault) {
+		makeDefault(user, address);
+	}
+	await user.save();
+
+	res.status(StatusCodes.OK).json({ address });
+};
+
+const setDefaultAddress = async (req, res) => {
+	const user = await User.findOne({ _id: req.user.userId });
+	const address = findAddress(user, req.params.addressId);
+
+	makeDefault(user, address);
+	await user.save();
+
+	res.status(StatusCodes.OK).json({ address });
+};
+
+const deleteAddress = async (req, res) => {
+	const user = await User.findOne({ _id: req.user.userId });
+	const address = findAddress(user, req.params.addressId);
+
+	address.remove();
+	if (address.isDefault && user.addresses.length > 0) {
+		makeDefault(user, user.addresses[0]);
+	}
+	await user.save();
+
+	res.status(StatusCodes.OK).json({ msg: "Success! Address removed" });
+};
+
+module.exports = {
+	getAddresses,
+	addAddress,
+	updateAddress,
+	setDefaultAddress,
+	deleteAddress,
+};
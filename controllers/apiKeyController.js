@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+const {
+	createHash,
+	checkPermissions,
+	getPermissions,
+	PERMISSIONS,
+} = require("../utils");
+
+const oneDay = 1000 * 60 * 60 * 24;
+
+const createApiKey = async (req, res) => {
+	const { name, scopes = [], expiresInDays } = req.body;
+
+	// a leaked key must not be able to mint more keys
+	if (req.user.scopes) {
+		throw new CustomError.UnauthorizedError(
+			"API keys cannot create other API keys"
+		);
+	}
+	if (!Array.isArray(scopes)) {
+		throw new CustomError.BadRequestError("Scopes must be a list");
+	}
+	const unknownScopes = scopes.filter((scope) => !PERMISSIONS.includes(scope));
+	if (unknownScopes.length) {
+		throw new CustomError.BadRequestError(
+			`Unknown scopes: ${unknownScopes.join(", ")}`
+		);
+	}
+	const ownPermissions = getPermissions(req.user.role);
+	const deniedScopes = scopes.filter((scope) => !ownPermissions.includes(scope));
+	if (deniedScopes.length) {
+		throw new CustomError.UnauthorizedError(
+			`You cannot grant scopes you do not have: ${deniedScopes.join(", ")}`
+		);
+	}
+
+	let expiresAt;
+	if (expiresInDays !== undefined) {
+		const days = Number(expiresInDays);
+		if (!Number.isFinite(days) || days <= 0) {
+			throw new CustomError.BadRequestError("Please provide a valid expiry");
+		}
+		expiresAt = new Date(Date.now() + days * oneDay);
+	}
+
+	const prefix = crypto.randomBytes(4).toString("hex");
+	const key = `sk_${prefix}_${crypto.randomBytes(24).toString("hex")}`;
+	const apiKey = await ApiKey.create({
+		name,
+		user: req.user.userId,
+		prefix,
+		keyHash: createHash(key),
+		scopes,
+		expiresAt,
+	});
+
+	res.status(StatusCodes.CREATED).json({ apiKey, key });
+};
+
+const getMyApiKeys = async (req, res) => {
+	const apiKeys = await ApiKey.find({ user: req.user.userId }).sort(
+		"-createdAt"
+	);
+	res.status(StatusCodes.OK).json({ apiKeys, count: apiKeys.length });
+};
+
+const getAllApiKeys = async (req, res) => {
+	const queryObject = {};
+	if (req.query.user) {
+		queryObject.user = req.query.user;
+	}
+	const apiKeys = await ApiKey.find(queryObject)
+		.populate("user", "name email")
+		.sort("-createdAt");
+	res.status(StatusCodes.OK).json({ apiKeys, count: apiKeys.length });
+};
+
+const revokeApiKey = async (req, res) => {
+	const { id: apiKeyId } = req.params;
+	const apiKey = await ApiKey.findOne({ _id: apiKeyId });
+
+	if (!apiKey) {
+		throw new CustomError.NotFoundError(`No api key with id: ${apiKeyId}`);
+	}
+	checkPermissions(req.user, apiKey.user, "api-key:manage");
+
+	if (!apiKey.revokedAt) {
+		apiKey.revokedAt = new Date();
+		await apiKey.save();
+	}
+	res.status(StatusCodes.OK).json({ msg: "Success! API key revoked" });
+};
+
+module.exports = {
+	createApiKey,
+	getMyApiKeys,
+	getAllApiKeys,
+	revokeApiKey,
+};
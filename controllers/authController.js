@@ -1,7 +1,36 @@
 const User = require("../models/User");
+const Cart = require("../models/Cart");
+const Token = require("../models/Token");
+const crypto = require("crypto");
 const { StatusCodes } = require("http-status-codes");
 const CustomError = require("../errors");
-const { attachCookiesToResponse, createTokenUser } = require("../utils");
+const {
+	createTokenUser,
+	createHash,
+	createVerificationToken,
+	createJWT,
+	isTokenValid,
+	createSession,
+	clearSessionCookies,
+	sendVerificationEmail,
+	sendResetPasswordEmail,
+	sendUnlockAccountEmail,
+	assertIpAllowed,
+	assertAccountUnlocked,
+	recordFailedLogin,
+	clearFailedLogins,
+	unlockAccount,
+	consumeTwoFactorCode,
+} = require("../utils");
+
+const tenMinutes = 1000 * 60 * 10;
+const fiveMinutes = 1000 * 60 * 5;
+
+// mobile clients send "x-token-delivery: body" and then use Bearer tokens
+const sessionTokens = (req, { accessToken, refreshToken }) =>
+	req.headers["x-token-delivery"] === "body"
+		? { accessToken, refreshToken }
+		: {};
 
 const register = async (req, res) => {
 	const { email, name, password } = req.body;
@@ -15,10 +44,121 @@ const register = async (req, res) => {
 	const isFirstAccount = (await User.countDocuments({})) === 0;
 	const role = isFirstAccount ? "admin" : "user";
 
-	const user = await User.create({ name, email, password, role });
+	const {
+		verificationToken,
+		verificationTokenHash,
+		verificationTokenExpires,
+	} = createVerificationToken();
+
+	await User.create({
+		name,
+		email,
+		password,
+		role,
+		verificationToken: verificationTokenHash,
+		verificationTokenExpires,
+	});
+	await sendVerificationEmail({
+		name,
+		email,
+		verificationToken,
+	});
+
+	res.status(StatusCodes.CREATED).json({
+		msg: "Success! Please check your email to verify account",
+	});
+};
+
+const verifyEmail = async (req, res) => {
+	const { verificationToken, email } = req.body;
+	if (!verificationToken || !email) {
+		throw new CustomError.BadRequestError(
+			"Please provide verification token and email"
+		);
+	}
+
+	const user = await User.findOne({ email });
+	if (
+		!user ||
+		!user.verificationToken ||
+		user.verificationToken !== createHash(verificationToken) ||
+		user.verificationTokenExpires < new Date()
+	) {
+		throw new CustomError.UnauthenticatedError("Verification Failed");
+	}
+
+	user.isVerified = true;
+	user.verified = Date.now();
+	user.verificationToken = undefined;
+	user.verificationTokenExpires = undefined;
+	await user.save();
+
+	res.status(StatusCodes.OK).json({ msg: "Email Verified" });
+};
+
+// same answer whether or not the account exists, so emails can't be probed
+const resendVerificationEmail = async (req, res) => {
+	const { email } = req.body;
+	if (!email) {
+		throw new CustomError.BadRequestError("Please provide email");
+	}
+
+	const user = await User.findOne({ email });
+	if (user && !user.isVerified) {
+		const {
+			verificationToken,
+			verificationTokenHash,
+			verificationTokenExpires,
+		} = createVerificationToken();
+		user.verificationToken = verificationTokenHash;
+		user.verificationTokenExpires = verificationTokenExpires;
+		await user.save();
+
+		await sendVerificationEmail({
+			name: user.name,
+			email: user.email,
+			verificationToken,
+		});
+	}
+
+	res.status(StatusCodes.OK).json({
+		msg: "If that account needs verification, a new email is on its way",
+	});
+};
+
+// the failure that locks the account also mails its owner an unlock link
+const handleFailedLogin = async (req, user) => {
+	const { unlockToken } = await recordFailedLogin({
+		req,
+		user,
+		email: user.email,
+	});
+	if (unlockToken) {
+		await sendUnlockAccountEmail({
+			name: user.name,
+			email: user.email,
+			unlockToken,
+		});
+	}
+};
+
+// issues the session once every factor checked out
+const completeLogin = async (req, res, user) => {
 	const tokenUser = createTokenUser(user);
-	attachCookiesToResponse({ res, user: tokenUser });
-	res.status(StatusCodes.CREATED).json({ user: tokenUser });
+	const tokens = await createSession({ req, res, user: tokenUser });
+
+	// carry over whatever was added to the cart before logging in
+	const guestCartId = req.signedCookies?.cartId;
+	if (guestCartId) {
+		await Cart.mergeGuestCart({ guestId: guestCartId, userId: user._id });
+		res.cookie("cartId", "", {
+			httpOnly: true,
+			expires: new Date(Date.now()),
+		});
+	}
+	res
+		.status(StatusCodes.OK)
+		.json({ user: tokenUser, ...sessionTokens(req, tokens) });
 };
 
 const login = async (req, res) => {
@@ -27,27 +167,266 @@ const login = async (req, res) => {
 	if (!email || !password) {
 		throw new CustomError.BadRequestError("Please provide email and password");
 	}
+	await assertIpAllowed(req);
 	const user = await User.findOne({ email });
 
 	if (!user) {
+		await recordFailedLogin({ req, email });
 		throw new CustomError.UnauthenticatedError("Invalid Credentials");
 	}
+	// checked before the password so a locked account can't be probed
+	assertAccountUnlocked(user);
 
 	const isPasswordCorrect = await user.comparePassword(password);
 	if (!isPasswordCorrect) {
+		await handleFailedLogin(req, user);
 		throw new CustomError.UnauthenticatedError("Invalid Credentials");
 	}
+	await clearFailedLogins(user);
+
+	if (!user.isActive) {
+		throw new CustomError.UnauthenticatedError(
+			"Your account has been deactivated"
+		);
+	}
+	if (!user.isVerified) {
+		throw new CustomError.UnauthenticatedError("Please verify your email");
+	}
+
+	// the password only earns a short lived challenge, /auth/2fa finishes it
+	if (user.twoFactorEnabled) {
+		const challengeToken = createJWT({
+			payload: { userId: user._id, purpose: "2fa" },
+			expiresIn: fiveMinutes / 1000,
+		});
+		return res
+			.status(StatusCodes.OK)
+			.json({ twoFactorRequired: true, challengeToken });
+	}
+
+	await completeLogin(req, res, user);
+};
+
+const loginWithTwoFactor = async (req, res) => {
+	const { challengeToken, code, recoveryCode } = req.body;
+	if (!challengeToken || (!code && !recoveryCode)) {
+		throw new CustomError.BadRequestError(
+			"Please provide the challenge token and a two-factor or recovery code"
+		);
+	}
+
+	let payload;
+	try {
+		payload = isTokenValid({ token: challengeToken });
+	} catch (error) {
+		throw new CustomError.UnauthenticatedError(
+			"Login challenge expired, please log in again"
+		);
+	}
+	if (payload.purpose !== "2fa") {
+		throw new CustomError.UnauthenticatedError("Authentication Invalid");
+	}
+
+	const user = await User.findOne({ _id: payload.userId });
+	if (!user || !user.twoFactorEnabled || !user.isActive) {
+		throw new CustomError.UnauthenticatedError("Authentication Invalid");
+	}
+	assertAccountUnlocked(user);
+
+	const isCodeValid = await consumeTwoFactorCode(user, { code, recoveryCode });
+	if (!isCodeValid) {
+		await handleFailedLogin(req, user);
+		throw new CustomError.UnauthenticatedError("Invalid two-factor code");
+	}
+	await clearFailedLogins(user);
+
+	await completeLogin(req, res, user);
+};
+
+// swaps a refresh token for a new pair; a token is only ever accepted once
+const refresh = async (req, res) => {
+	const refreshToken = req.signedCookies?.refreshToken || req.body.refreshToken;
+	if (!refreshToken) {
+		throw new CustomError.UnauthenticatedError("Authentication Invalid");
+	}
+
+	const token = await Token.findOne({ tokenHash: createHash(refreshToken) });
+	if (!token) {
+		throw new CustomError.UnauthenticatedError("Authentication Invalid");
+	}
+
+	const now = new Date();
+	const claimedToken = await Token.findOneAndUpdate(
+		{ _id: token._id, revokedAt: null },
+		{ revokedAt: now, lastUsedAt: now }
+	);
+	if (!claimedToken) {
+		// an already rotated token came back: assume it was stolen
+		await Token.revokeFamily(token.family);
+		clearSessionCookies(res);
+		throw new CustomError.UnauthenticatedError(
+			"Session revoked, please log in again"
+		);
+	}
+	if (token.expiresAt < now) {
+		throw new CustomError.UnauthenticatedError(
+			"Session expired, please log in again"
+		);
+	}
+
+	const user = await User.findOne({ _id: token.user });
+	if (!user || !user.isActive) {
+		throw new CustomError.UnauthenticatedError("Authentication Invalid");
+	}
+
 	const tokenUser = createTokenUser(user);
-	attachCookiesToResponse({ res, user: tokenUser });
-	res.status(StatusCodes.OK).json({ user: tokenUser });
+	const tokens = await createSession({
+		req,
+		res,
+		user: tokenUser,
+		family: token.family,
+	});
+	await Token.updateOne(
+		{ _id: token._id },
+		{ replacedBy: tokens.session._id }
+	);
+
+	res
+		.status(StatusCodes.OK)
+		.json({ user: tokenUser, ...sessionTokens(req, tokens) });
 };
 
 const logout = async (req, res) => {
-	res.cookie("token", "logout", {
-		httpOnly: true,
-		expires: new Date(Date.now()),
-	});
+	const refreshToken =
+		req.signedCookies?.refreshToken || req.body?.refreshToken;
+	if (refreshToken) {
+		const token = await Token.findOne({ tokenHash: createHash(refreshToken) });
+		if (token) {
+			await Token.revokeFamily(token.family);
+		}
+	}
+	clearSessionCookies(res);
 	res.status(StatusCodes.OK).json({ msg: "user logged out" });
 };
 
-module.exports = { register, login, logout };
+const forgotPassword = async (req, res) => {
+	const { email } = req.body;
+	if (!email) {
+		throw new CustomError.BadRequestError("Please provide valid email");
+	}
+
+	const user = await User.findOne({ email });
+	if (user) {
+		const passwordToken = crypto.randomBytes(70).toString("hex");
+		user.passwordToken = createHash(passwordToken);
+		user.passwordTokenExpirationDate = new Date(Date.now() + tenMinutes);
+		await user.save();
+
+		await sendResetPasswordEmail({
+			name: user.name,
+			email: user.email,
+			passwordToken,
+		});
+	}
+
+	res.status(StatusCodes.OK).json({
+		msg: "Please check your email for reset password link",
+	});
+};
+
+const resetPassword = async (req, res) => {
+	const { token, email, password } = req.body;
+	if (!token || !email || !password) {
+		throw new CustomError.BadRequestError("Please provide all values");
+	}
+
+	const user = await User.findOne({ email });
+	if (
+		!user ||
+		!user.passwordToken ||
+		user.passwordToken !== createHash(token) ||
+		user.passwordTokenExpirationDate < new Date()
+	) {
+		throw new CustomError.BadRequestError("Invalid or expired reset token");
+	}
+
+	// hashed by the pre save hook
+	user.password = password;
+	user.passwordToken = undefined;
+	user.passwordTokenExpirationDate = undefined;
+	// proving access to the mailbox is enough to lift a lockout
+	user.failedLoginAttempts = 0;
+	user.lockUntil = undefined;
+	user.unlockToken = undefined;
+	await user.save();
+
+	// whoever knew the old password should not stay logged in
+	await Token.revokeAllForUser(user._id);
+	clearSessionCookies(res);
+
+	res.status(StatusCodes.OK).json({ msg: "Success! Password reset" });
+};
+
+const unlockAccountWithToken = async (req, res) => {
+	const { token, email } = req.body;
+	if (!token || !email) {
+		throw new CustomError.BadRequestError("Please provide token and email");
+	}
+
+	const user = await User.findOne({ email });
+	if (!user || !user.unlockToken || user.unlockToken !== createHash(token)) {
+		throw new CustomError.BadRequestError("Invalid unlock token");
+	}
+
+	await unlockAccount({ req, user, by: "email" });
+	res.status(StatusCodes.OK).json({ msg: "Success! Account unlocked" });
+};
+
+const getSessions = async (req, res) => {
+	const refreshToken = req.signedCookies?.refreshToken;
+	const currentTokenHash = refreshToken && createHash(refreshToken);
+
+	const tokens = await Token.find({
+		user: req.user.userId,
+		revokedAt: null,
+		expiresAt: { $gt: new Date() },
+	}).sort("-createdAt");
+
+	const sessions = tokens.map((token) => ({
+		id: token._id,
+		userAgent: token.userAgent,
+		ip: token.ip,
+		createdAt: token.createdAt,
+		lastUsedAt: token.lastUsedAt,
+		expiresAt: token.expiresAt,
+		current: token.tokenHash === currentTokenHash,
+	}));
+	res.status(StatusCodes.OK).json({ sessions, count: sessions.length });
+};
+
+const revokeSession = async (req, res) => {
+	const { id: sessionId } = req.params;
+	const token = await Token.findOne({ _id: sessionId, user: req.user.userId });
+
+	if (!token) {
+		throw new CustomError.NotFoundError(`No session with id: ${sessionId}`);
+	}
+
+	await Token.revokeFamily(token.family);
+	res.status(StatusCodes.OK).json({ msg: "Success! Session revoked" });
+};
+
+module.exports = {
+	register,
+	verifyEmail,
+	resendVerificationEmail,
+	login,
+	loginWithTwoFactor,
+	refresh,
+	logout,
+	forgotPassword,
+	resetPassword,
+	unlockAccountWithToken,
+	getSessions,
+	revokeSession,
+};
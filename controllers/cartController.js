@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+const { placeOrder, resolveVariant } = require("../utils");
+
+const GUEST_CART_COOKIE = "cartId";
+const thirtyDays = 1000 * 60 * 60 * 24 * 30;
+
+// logged in users own their cart, guests get a signed cookie instead
+const getCartOwner = (req, res) => {
+	if (req.user) {
+		return { user: req.user.userId };
+	}
+	let guestId = req.signedCookies[GUEST_CART_COOKIE];
+	if (!guestId) {
+		guestId = crypto.randomUUID();
+		res.cookie(GUEST_CART_COOKIE, guestId, {
+			httpOnly: true,
+			expires: new Date(Date.now() + thirtyDays),
+			secure: process.env.NODE_ENV === "production",
+			signed: true,
+		});
+	}
+	return { guestId };
+};
+
+const findOrCreateCart = async (owner) => {
+	const cart = await Cart.findOne(owner);
+	return cart || new Cart({ ...owner, items: [] });
+};
+
+const checkProductStock = async (productId, variantId, amount) => {
+	if (!Number.isInteger(amount) || amount < 1) {
+		throw new CustomError.BadRequestError("Please provide a valid amount");
+	}
+	const product = await Product.findOne({ _id: productId });
+	if (!product) {
+		throw new CustomError.NotFoundError(`No product with id: ${productId}`);
+	}
+	const { name, inventory } = resolveVariant(product, variantId);
+	if (amount > inventory) {
+		throw new CustomError.BadRequestError(
+			`Not enough stock for ${name}: requested ${amount}, available ${inventory}`
+		);
+	}
+	return product;
+};
+
+const findCartItem = (cart, productId, variantId) => {
+	const existingItem = cart.findItem(productId, variantId);
+	if (!existingItem) {
+		throw new CustomError.NotFoundError(
+			`No product with id: ${productId} in cart`
+		);
+	}
+	return existingItem;
+};
+
+// the cart only stores product and amount, prices and stock are always current
+const formatCart = async (cart) => {
+	const products = await Product.find(
+		{ _id: { $in: cart.items.map((item) => item.product) } },
+		"name price image inventory freeShipping variants"
+	);
+
+	let subtotal = 0;
+	const items = cart.items.map((item) => {
+		const { product: productId, variant: variantId, amount } = item;
+		const product = products.find(
+			(candidate) => candidate._id.toString() === productId.toString()
+		);
+		// a removed product or variant stays in the cart, flagged as unavailable
+		let purchasable;
+		try {
+			purchasable = product && resolveVariant(product, variantId);
+		} catch (error) {
+			purchasable = null;
+		}
+		if (!purchasable) {
+			return {
+				product: productId,
+				variant: variantId,
+				amount,
+				available: false,
+			};
+		}
+		const { name, price, image, inventory, variant } = purchasable;
+		const lineTotal = price * amount;
+		subtotal += lineTotal;
+		return {
+			product: product._id,
+			variant: variant ? variant._id : undefined,
+			sku: variant ? variant.sku : undefined,
+			name,
+			price,
+			image,
+			freeShipping: product.freeShipping,
+			amount,
+			lineTotal,
+			available: true,
+			inStock: amount <= inventory,
+		};
+	});
+
+	return { _id: cart._id, items, subtotal, count: items.length };
+};
+
+const getCart = async (req, res) => {
+	const cart = await findOrCreateCart(getCartOwner(req, res));
+	res.status(StatusCodes.OK).json({ cart: await formatCart(cart) });
+};
+
+const addCartItem = async (req, res) => {
+	const { product: productId, variant: variantId, amount = 1 } = req.body;
+	if (!productId) {
+		throw new CustomError.BadRequestError("Please provide product");
+	}
+
+	const cart = await findOrCreateCart(getCartOwner(req, res));
+	const existingItem = cart.findItem(productId, variantId);
+	const newAmount = existingItem ? existingItem.amount + amount : amount;
+	await checkProductStock(productId, variantId, newAmount);
+
+	if (existingItem) {
+		existingItem.amount = newAmount;
+	} else {
+		cart.items.push({
+			product: productId,
+			variant: variantId,
+			amount: newAmount,
+		});
+	}
+	await cart.save();
+
+	res.status(StatusCodes.OK).json({ cart: await formatCart(cart) });
+};
+
+// ?variant= picks the line when the product is in the cart in several variants
+const updateCartItem = async (req, res) => {
+	const { productId } = req.params;
+	const { variant: variantId } = req.query;
+	const { amount } = req.body;
+
+	const cart = await findOrCreateCart(getCartOwner(req, res));
+	const existingItem = findCartItem(cart, productId, variantId);
+	await checkProductStock(productId, variantId, amount);
+
+	existingItem.amount = amount;
+	await cart.save();
+
+	res.status(StatusCodes.OK).json({ cart: await formatCart(cart) });
+};
+
+const removeCartItem = async (req, res) => {
+	const { productId } = req.params;
+	const { variant: variantId } = req.query;
+
+	const cart = await findOrCreateCart(getCartOwner(req, res));
+	const existingItem = findCartItem(cart, productId, variantId);
+	cart.items.pull(existingItem._id);
+	await cart.save();
+
+	res.status(StatusCodes.OK).json({ cart: await formatCart(cart) });
+};
+
+const clearCart = async (req, res) => {
+	const cart = await findOrCreateCart(getCartOwner(req, res));
+	if (!cart.isNew) {
+		cart.items = [];
+		await cart.save();
+	}
+	res.status(StatusCodes.OK).json({ msg: "Success! Cart cleared" });
+};
+
+const checkoutCart = async (req, res) => {
+	const cart = await Cart.findOne({ user: req.user.userId });
+	if (!cart || cart.items.length < 1) {
+		throw new CustomError.BadRequestError("Your cart is empty");
+	}
+
+	const { order, pricing } = await placeOrder({
+		items: cart.items.map(({ product, variant, amount }) => ({
+			product,
+			variant,
+			amount,
+		})),
+		addressId: req.body.addressId,
+		shippingAddress: req.body.shippingAddress,
+		couponCode: req.body.couponCode,
+		userId: req.user.userId,
+	});
+
+	cart.items = [];
+	await cart.save();
+
+	res
+		.status(StatusCodes.CREATED)
+		.json({ order, clientSecret: order.clientSecret, pricing });
+};
+
+module.exports = {
+	getCart,
+	addCartItem,
+	updateCartItem,
+	removeCartItem,
+	clearCart,
+	checkoutCart,
+};
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+
+const CATEGORY_FIELDS = ["name", "slug", "description", "parent"];
+
+const pickCategoryFields = (body) =>
+	CATEGORY_FIELDS.reduce((fields, field) => {
+		if (body[field] !== undefined) fields[field] = body[field];
+		return fields;
+	}, {});
+
+// storefront links use the slug, admin tools the id
+const findCategory = async (idOrSlug) => {
+	const category = await Category.findOne(
+		mongoose.isObjectIdOrHexString(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug }
+	);
+	if (!category) {
+		throw new CustomError.NotFoundError(`No category with id: ${idOrSlug}`);
+	}
+	return category;
+};
+
+const buildTree = (categories) => {
+	const nodes = new Map(
+		categories.map((category) => [
+			category._id.toString(),
+			{ ...category.toObject(), children: [] },
+		])
+	);
+	const roots = [];
+	nodes.forEach((node) => {
+		const parent = node.parent && nodes.get(node.parent.toString());
+		if (parent) {
+			parent.children.push(node);
+		} else {
+			roots.push(node);
+		}
+	});
+	return roots;
+};
+
+const createCategory = async (req, res) => {
+	const category = await Category.create(pickCategoryFields(req.body));
+	res.status(StatusCodes.CREATED).json({ category });
+};
+
+const getAllCategories = async (req, res) => {
+	const categories = await Category.find({}).sort("name");
+	if (req.query.tree === "true") {
+		return res
+			.status(StatusCodes.OK)
+			.json({ categories: buildTree(categories), count: categories.length });
+	}
+	res.status(StatusCodes.OK).json({ categories, count: categories.length });
+};
+
+const getSingleCategory = async (req, res) => {
+	const category = await findCategory(req.params.id);
+	const children = await Category.find({ parent: category._id }).sort("name");
+	res.status(StatusCodes.OK).json({ category, children });
+};
+
+const updateCategory = async (req, res) => {
+	const category = await findCategory(req.params.id);
+
+	category.set(pickCategoryFields(req.body));
+	await category.save();
+
+	res.status(StatusCodes.OK).json({ category });
+};
+
+const deleteCategory = async (req, res) => {
+	const category = await findCategory(req.params.id);
+
+	if (await Category.exists({ parent: category._id })) {
+		throw new CustomError.BadRequestError(
+			"Category has subcategories, move or delete them first"
+		);
+	}
+	if (await Product.exists({ category: category._id })) {
+		throw new CustomError.BadRequestError(
+			"Category has products, move them to another category first"
+		);
+	}
+
+	await category.remove();
+	res.status(StatusCodes.OK).json({ msg: "Success! Category removed" });
+};
+
+module.exports = {
+	createCategory,
+	getAllCategories,
+	getSingleCategory,
+	updateCategory,
+	deleteCategory,
+};
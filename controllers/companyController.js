@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const Company = require("../models/Company");
+const Product = require("../models/Product");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+
+const COMPANY_FIELDS = ["name", "slug", "description"];
+
+const pickCompanyFields = (body) =>
+	COMPANY_FIELDS.reduce((fields, field) => {
+		if (body[field] !== undefined) fields[field] = body[field];
+		return fields;
+	}, {});
+
+const findCompany = async (idOrSlug) => {
+	const company = await Company.findOne(
+		mongoose.isObjectIdOrHexString(idOrSlug) ? { _id: idOrSlug } : { slug: idOrSlug }
+	);
+	if (!company) {
+		throw new CustomError.NotFoundError(`No company with id: ${idOrSlug}`);
+	}
+	return company;
+};
+
+const createCompany = async (req, res) => {
+	const company = await Company.create(pickCompanyFields(req.body));
+	res.status(StatusCodes.CREATED).json({ company });
+};
+
+const getAllCompanies = async (req, res) => {
+	const companies = await Company.find({}).sort("name");
+	res.status(StatusCodes.OK).json({ companies, count: companies.length });
+};
+
+const getSingleCompany = async (req, res) => {
+	const company = await findCompany(req.params.id);
+	res.status(StatusCodes.OK).json({ company });
+};
+
+const updateCompany = async (req, res) => {
+	const company = await findCompany(req.params.id);
+
+	company.set(pickCompanyFields(req.body));
+	await company.save();
+
+	res.status(StatusCodes.OK).json({ company });
+};
+
+const deleteCompany = async (req, res) => {
+	const company = await findCompany(req.params.id);
+
+	if (await Product.exists({ company: company._id })) {
+		throw new CustomError.BadRequestError(
+			"Company has products, move them to another company first"
+		);
+	}
+
+	await company.remove();
+	res.status(StatusCodes.OK).json({ msg: "Success! Company removed" });
+};
+
+module.exports = {
+	createCompany,
+	getAllCompanies,
+	getSingleCompany,
+	updateCompany,
+	deleteCompany,
+};
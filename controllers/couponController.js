@@ -0,0 +1,69 @@
+const Coupon = require("../models/Coupon");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+const { resolveCatalogRefs } = require("../utils");
+
+const createCoupon = async (req, res) => {
+	req.body.user = req.user.userId;
+	// usage is counted by checkout, never set by hand
+	delete req.body.usedCount;
+	await resolveCatalogRefs(req.body);
+	const coupon = await Coupon.create(req.body);
+	res.status(StatusCodes.CREATED).json({ coupon });
+};
+
+const getAllCoupons = async (req, res) => {
+	const queryObject = {};
+	if (req.query.active) {
+		queryObject.isActive = req.query.active === "true";
+	}
+	const coupons = await Coupon.find(queryObject).sort("-createdAt");
+	res.status(StatusCodes.OK).json({ coupons, count: coupons.length });
+};
+
+const getSingleCoupon = async (req, res) => {
+	const { id: couponId } = req.params;
+	const coupon = await Coupon.findOne({ _id: couponId });
+
+	if (!coupon) {
+		throw new CustomError.NotFoundError(`No coupon with id: ${couponId}`);
+	}
+	res.status(StatusCodes.OK).json({ coupon });
+};
+
+const updateCoupon = async (req, res) => {
+	const { id: couponId } = req.params;
+	delete req.body.usedCount;
+	delete req.body.user;
+	await resolveCatalogRefs(req.body);
+
+	const coupon = await Coupon.findOne({ _id: couponId });
+	if (!coupon) {
+		throw new CustomError.NotFoundError(`No coupon with id: ${couponId}`);
+	}
+	// save() so validators that depend on other fields (type/value) see the whole coupon
+	coupon.set(req.body);
+	await coupon.save();
+
+	res.status(StatusCodes.OK).json({ coupon });
+};
+
+const deleteCoupon = async (req, res) => {
+	const { id: couponId } = req.params;
+	const coupon = await Coupon.findOne({ _id: couponId });
+
+	if (!coupon) {
+		throw new CustomError.NotFoundError(`No coupon with id: ${couponId}`);
+	}
+
+	await coupon.remove();
+	res.status(StatusCodes.OK).json({ msg: "Success! Coupon removed" });
+};
+
+module.exports = {
+	createCoupon,
+	getAllCoupons,
+	getSingleCoupon,
+	updateCoupon,
+	deleteCoupon,
+};
@@ -1,72 +1,25 @@
 const Order = require("../models/Order");
-const Product = require("../models/Product");
 
 const { StatusCodes } = require("http-status-codes");
 const CustomError = require("../errors");
-const { checkPermissions } = require("../utils");
-
-const fakeStripeAPI = async ({ amount, currency }) => {
-	const client_secret = "someRandomValue";
-	return { client_secret, amount };
-};
+const { checkPermissions, placeOrder } = require("../utils");
+const { getPaymentProvider } = require("../payments");
 
 const createOrder = async (req, res) => {
-	const { items: cartItems, tax, shippingFee } = req.body;
-
-	if (!cartItems || cartItems.length < 1) {
-		throw new CustomError.BadRequestError("No cart items provided");
-	}
-	if (!tax || !shippingFee) {
-		throw new CustomError.BadRequestError(
-			"Please provide tax and shipping fee"
-		);
-	}
-
-	let orderItems = [];
-	let subtotal = 0;
-
-	for (const item of cartItems) {
-		const dbProduct = await Product.findOne({ _id: item.product });
-		if (!dbProduct) {
-			throw new CustomError.NotFoundError(
-				`No product with id: ${item.product}`
-			);
-		}
-		const { name, price, image, _id } = dbProduct;
-		const singleOrderItem = {
-			amount: item.amount,
-			name,
-			price,
-			image,
-			product: _id,
-		};
-		// add item to order
-		orderItems = [...orderItems, singleOrderItem];
-		// calculate subtotal
-		subtotal += item.amount * price;
-	}
-
-	// calculate total
-	const total = tax + shippingFee + subtotal;
-	//get client secret
-	const paymentIntent = await fakeStripeAPI({
-		amount: total,
-		currency: "usd",
-	});
-
-	const order = await Order.create({
-		orderItems,
-		total,
-		subtotal,
-		tax,
-		shippingFee,
-		clientSecret: paymentIntent.client_secret,
-		user: req.user.userId,
+	// tax and shipping sent by the client are ignored, the server prices the order
+	const { items, addressId, shippingAddress, couponCode } = req.body;
+
+	const { order, pricing } = await placeOrder({
+		items,
+		addressId,
+		shippingAddress,
+		couponCode,
+		userId: req.user.userId,
 	});
 
 	res
 		.status(StatusCodes.CREATED)
-		.json({ order, clientSecret: order.clientSecret });
+		.json({ order, clientSecret: order.clientSecret, pricing });
 };
 
 const getAllOrders = async (req, res) => {
@@ -82,7 +35,7 @@ const getSingleOrder = async (req, res) => {
 		throw new CustomError.NotFoundError(`No order with id: ${orderId}`);
 	}
 
-	checkPermissions(req.user, order.user);
+	checkPermissions(req.user, order.user, "order:read");
 	res.status(StatusCodes.OK).json({ order });
 };
 
@@ -101,8 +54,108 @@ const updateOrder = async (req, res) => {
 	}
 	checkPermissions(req.user, order.user);
 
-	order.paymentIntentId = paymentIntentId;
-	order.status = "paid";
+	if (paymentIntentId && paymentIntentId !== order.paymentIntentId) {
+		throw new CustomError.BadRequestError(
+			"Payment intent does not belong to this order"
+		);
+	}
+
+	// only the provider can tell us the payment went through
+	const paymentIntent = await getPaymentProvider().retrievePaymentIntent(
+		order.paymentIntentId
+	);
+	if (paymentIntent.status !== "succeeded") {
+		throw new CustomError.BadRequestError("Payment has not been completed");
+	}
+	if (paymentIntent.amount !== order.total) {
+		throw new CustomError.BadRequestError(
+			"Payment amount does not match order total"
+		);
+	}
+
+	order.transitionTo("paid", {
+		by: req.user.userId,
+		note: `payment ${paymentIntent.id} verified`,
+	});
+	await order.save();
+
+	res.status(StatusCodes.OK).json({ order });
+};
+
+const findOrder = async (orderId) => {
+	const order = await Order.findOne({ _id: orderId });
+	if (!order) {
+		throw new CustomError.NotFoundError(`No order with id: ${orderId}`);
+	}
+	return order;
+};
+
+const shipOrder = async (req, res) => {
+	const { id: orderId } = req.params;
+	const { carrier, trackingNumber, trackingUrl } = req.body;
+	if (!carrier || !trackingNumber) {
+		throw new CustomError.BadRequestError(
+			"Please provide carrier and tracking number"
+		);
+	}
+
+	const order = await findOrder(orderId);
+	order.transitionTo("shipped", { by: req.user.userId, note: req.body.note });
+	order.tracking = { carrier, trackingNumber, url: trackingUrl };
+	order.shippedAt = new Date();
+	await order.save();
+
+	res.status(StatusCodes.OK).json({ order });
+};
+
+const deliverOrder = async (req, res) => {
+	const { id: orderId } = req.params;
+
+	const order = await findOrder(orderId);
+	order.transitionTo("delivered", {
+		by: req.user.userId,
+		note: req.body.note,
+	});
+	order.deliveredAt = new Date();
+	await order.save();
+
+	res.status(StatusCodes.OK).json({ order });
+};
+
+// the client still holds the client secret, so the intent has to go too;
+// once the customer has paid the order needs a refund instead
+const cancelPayment = async (paymentIntentId) => {
+	const paymentProvider = getPaymentProvider();
+	try {
+		await paymentProvider.cancelPaymentIntent(paymentIntentId);
+	} catch (error) {
+		const intent = await paymentProvider.retrievePaymentIntent(paymentIntentId);
+		if (intent.status === "succeeded") {
+			throw new CustomError.BadRequestError(
+				"This order was already paid, please request a refund instead"
+			);
+		}
+		if (intent.status !== "canceled") throw error;
+	}
+};
+
+const cancelOrder = async (req, res) => {
+	const { id: orderId } = req.params;
+
+	const order = await findOrder(orderId);
+	checkPermissions(req.user, order.user, "order:cancel");
+
+	if (order.status !== "pending") {
+		throw new CustomError.BadRequestError("Only pending orders can be canceled");
+	}
+	if (order.paymentIntentId) {
+		await cancelPayment(order.paymentIntentId);
+	}
+	order.transitionTo("canceled", {
+		by: req.user.userId,
+		note: req.body.reason,
+	});
+	order.canceledAt = new Date();
 	await order.save();
 
 	res.status(StatusCodes.OK).json({ order });
@@ -114,4 +167,7 @@ module.exports = {
 	getSingleOrder,
 	createOrder,
 	updateOrder,
+	shipOrder,
+	deliverOrder,
+	cancelOrder,
 };
@@ -0,0 +1,115 @@
+const Order = require("../models/Order");
+const PaymentEvent = require("../models/PaymentEvent");
+
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+const {
+	getPaymentProvider,
+	verifyWebhookSignature,
+} = require("../payments");
+
+// event type -> status it moves the order to
+const eventStatuses = {
+	"payment.succeeded": "paid",
+	"payment.failed": "failed",
+	"payment.refunded": "refunded",
+};
+
+const applyPaymentEvent = async (event) => {
+	const order = await Order.findOne({ paymentIntentId: event.paymentIntentId });
+	if (!order) {
+		throw new CustomError.NotFoundError(
+			`No order with payment intent: ${event.paymentIntentId}`
+		);
+	}
+
+	// late or out of order events leave the order where it is, the reason
+	// is kept on the event so nothing disappears silently
+	const status = eventStatuses[event.type];
+	if (!order.canTransitionTo(status)) {
+		return {
+			order,
+			skippedReason: `Cannot change order status from ${order.status} to ${status}`,
+		};
+	}
+	if (status === "paid" && event.amount !== order.total) {
+		throw new CustomError.BadRequestError(
+			"Payment amount does not match order total"
+		);
+	}
+	// the amount is what was refunded so far, only the full total refunds the order
+	if (status === "refunded" && !(event.amount >= order.total)) {
+		return {
+			order,
+			skippedReason: `Partial refund of ${event.amount} does not cover order total ${order.total}`,
+		};
+	}
+
+	order.transitionTo(status, { note: `payment webhook ${event.id}` });
+	await order.save();
+	return { order };
+};
+
+const handleWebhook = async (req, res) => {
+	const paymentProvider = getPaymentProvider();
+	const isSignatureValid = verifyWebhookSignature({
+		payload: req.rawBody,
+		header: req.headers[paymentProvider.signatureHeader],
+		secret: process.env.PAYMENT_WEBHOOK_SECRET,
+	});
+	if (!isSignatureValid) {
+		throw new CustomError.UnauthenticatedError("Invalid webhook signature");
+	}
+
+	const event = paymentProvider.parseWebhookEvent(req.body);
+	if (!event) {
+		return res.status(StatusCodes.OK).json({ received: true, ignored: true });
+	}
+
+	// record the event first so a replay is a no-op
+	try {
+		await PaymentEvent.create({
+			eventId: event.id,
+			type: event.type,
+			paymentIntentId: event.paymentIntentId,
+		});
+	} catch (error) {
+		if (error.code === 11000) {
+			return res
+				.status(StatusCodes.OK)
+				.json({ received: true, duplicate: true });
+		}
+		throw error;
+	}
+
+	let result;
+	try {
+		result = await applyPaymentEvent(event);
+	} catch (error) {
+		// let the provider retry the event later
+		await PaymentEvent.deleteOne({ eventId: event.id });
+		throw error;
+	}
+	const { order, skippedReason } = result;
+	if (skippedReason) {
+		await PaymentEvent.updateOne(
+			{ eventId: event.id },
+			{ order: order._id, skippedReason }
+		);
+		return res.status(StatusCodes.OK).json({
+			received: true,
+			orderId: order._id,
+			status: order.status,
+			skipped: skippedReason,
+		});
+	}
+	await PaymentEvent.updateOne({ eventId: event.id }, { order: order._id });
+
+	res
+		.status(StatusCodes.OK)
+		.json({ received: true, orderId: order._id, status: order.status });
+};
+
+module.exports = {
+	handleWebhook,
+};
@@ -0,0 +1,50 @@
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+const {
+	detectFormat,
+	parseProductFile,
+	importProducts,
+	exportProducts,
+	serializeProducts,
+} = require("../utils");
+
+// a csv/json file upload, or a json body { products: [...] }
+const importProductCatalog = async (req, res) => {
+	const file = req.files && req.files.file;
+	if (!file && !Array.isArray(req.body.products)) {
+		throw new CustomError.BadRequestError(
+			"Please upload a file or provide products"
+		);
+	}
+	const format = detectFormat({
+		format: req.query.format,
+		fileName: file && file.name,
+	});
+	const rows = parseProductFile(
+		file ? file.data.toString("utf8") : req.body.products,
+		format
+	);
+	const dryRun = String(req.query.dryRun || req.body.dryRun) === "true";
+
+	const report = await importProducts(rows, {
+		dryRun,
+		userId: req.user.userId,
+	});
+	res.status(StatusCodes.OK).json({ report });
+};
+
+const exportProductCatalog = async (req, res) => {
+	const format = detectFormat({ format: req.query.format });
+	const records = await exportProducts();
+
+	res
+		.status(StatusCodes.OK)
+		.type(format)
+		.attachment(`products.${format}`)
+		.send(serializeProducts(records, format));
+};
+
+module.exports = {
+	importProductCatalog,
+	exportProductCatalog,
+};
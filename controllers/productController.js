@@ -1,17 +1,284 @@
 const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Company = require("../models/Company");
 const CustomError = require("../errors");
 const { StatusCodes } = require("http-status-codes");
-const path = require("path");
+const {
+	getPagination,
+	buildPageLinks,
+	escapeRegex,
+	parseList,
+	levenshtein,
+	resolveCatalogRefs,
+	storeProductImages,
+	removeProductImages,
+} = require("../utils");
+
+const operatorMap = {
+	">": "$gt",
+	">=": "$gte",
+	"=": "$eq",
+	"<": "$lt",
+	"<=": "$lte",
+};
+const numericFields = ["price", "averageRating", "inventory"];
+// cents, the last bucket is open ended
+const PRICE_BUCKETS = [0, 2500, 5000, 10000, 25000, 50000, 100000];
+const SUGGEST_LIMIT = 10;
+const SUGGEST_CANDIDATES = 200;
+
+// translate storefront query params into a mongo filter
+const buildProductQuery = async (query) => {
+	const { category, company, featured, freeShipping, name, numericFilters } =
+		query;
+	const queryObject = {};
+
+	// slugs or ids, a category also matches everything below it
+	if (category) {
+		const categories = await Category.findBySlugsOrIds(parseList(category));
+		queryObject.category = {
+			$in: await Category.expandWithDescendants(categories),
+		};
+	}
+	if (company) {
+		const companies = await Company.findBySlugsOrIds(parseList(company));
+		queryObject.company = { $in: companies.map((item) => item._id) };
+	}
+	if (featured) {
+		queryObject.featured = featured === "true";
+	}
+	if (freeShipping) {
+		queryObject.freeShipping = freeShipping === "true";
+	}
+	if (name) {
+		queryObject.name = { $regex: escapeRegex(name), $options: "i" };
+	}
+	if (numericFilters) {
+		// price>=1000,price<5000 -> price-$gte-1000,price-$lt-5000
+		const filters = String(numericFilters).replace(
+			/\b(<=|>=|=|<|>)\b/g,
+			(match) => `-${operatorMap[match]}-`
+		);
+		filters.split(",").forEach((item) => {
+			const [field, operator, value] = item.split("-");
+			if (numericFields.includes(field) && operator && !isNaN(value)) {
+				queryObject[field] = {
+					...queryObject[field],
+					[operator]: Number(value),
+				};
+			}
+		});
+	}
+	return queryObject;
+};
+
+// the gallery is only changed through the image routes, which store the files
+// and so know which storage keys belong to the product
+const GALLERY_FIELDS = ["images", "image", "thumbnail"];
 
 const createProduct = async (req, res) => {
+	GALLERY_FIELDS.forEach((field) => delete req.body[field]);
 	req.body.user = req.user.userId;
+	await resolveCatalogRefs(req.body);
 	const product = await Product.create(req.body);
 	res.status(StatusCodes.CREATED).json({ product });
 };
 
 const getAllProducts = async (req, res) => {
-	const products = await Product.find({});
-	res.status(StatusCodes.OK).json({ products, count: products.length });
+	const { sort, fields } = req.query;
+	const queryObject = await buildProductQuery(req.query);
+
+	let result = Product.find(queryObject)
+		.populate("category", "name slug")
+		.populate("company", "name slug");
+	// sort=price,-createdAt
+	result = result.sort(sort ? parseList(sort).join(" ") : "-createdAt");
+	// fields=name,price
+	if (fields) {
+		result = result.select(parseList(fields).join(" "));
+	}
+
+	const { page, limit, skip } = getPagination(req.query);
+	result = result.skip(skip).limit(limit);
+
+	const [products, totalProducts] = await Promise.all([
+		result,
+		Product.countDocuments(queryObject),
+	]);
+	const { numOfPages, next, prev } = buildPageLinks({
+		req,
+		page,
+		limit,
+		total: totalProducts,
+	});
+
+	res.status(StatusCodes.OK).json({
+		products,
+		count: products.length,
+		totalProducts,
+		page,
+		numOfPages,
+		next,
+		prev,
+	});
+};
+
+// name and count for every category/company id in a facet
+const nameFacet = async (model, buckets) => {
+	const documents = await model
+		.find({ _id: { $in: buckets.map((bucket) => bucket._id) } })
+		.select("name slug");
+	return buckets.map(({ _id, count }) => {
+		const document = documents.find((item) => item._id.equals(_id));
+		return {
+			_id,
+			name: document ? document.name : null,
+			slug: document ? document.slug : null,
+			count,
+		};
+	});
+};
+
+const priceFacet = (buckets) =>
+	buckets.map(({ _id, count }) => {
+		const index = PRICE_BUCKETS.indexOf(_id);
+		return {
+			min: index === -1 ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : _id,
+			max: index === -1 ? null : PRICE_BUCKETS[index + 1],
+			count,
+		};
+	});
+
+// GET /products/search?q=office chair&category=office
+const searchProducts = async (req, res) => {
+	const q = String(req.query.q || "").trim();
+	if (!q) {
+		throw new CustomError.BadRequestError("Please provide a search query");
+	}
+	const { page, limit, skip } = getPagination(req.query);
+	const queryObject = {
+		$text: { $search: q },
+		...(await buildProductQuery(req.query)),
+	};
+
+	const [result] = await Product.aggregate([
+		{ $match: queryObject },
+		{ $addFields: { score: { $meta: "textScore" } } },
+		{
+			$facet: {
+				products: [
+					{ $sort: { score: -1, _id: 1 } },
+					{ $skip: skip },
+					{ $limit: limit },
+				],
+				total: [{ $count: "count" }],
+				categories: [
+					{ $group: { _id: "$category", count: { $sum: 1 } } },
+					{ $sort: { count: -1 } },
+				],
+				companies: [
+					{ $group: { _id: "$company", count: { $sum: 1 } } },
+					{ $sort: { count: -1 } },
+				],
+				price: [
+					{
+						$bucket: {
+							groupBy: "$price",
+							boundaries: PRICE_BUCKETS,
+							default: "above",
+							output: { count: { $sum: 1 } },
+						},
+					},
+				],
+				rating: [
+					{
+						$group: {
+							_id: { $floor: "$averageRating" },
+							count: { $sum: 1 },
+						},
+					},
+					{ $sort: { _id: -1 } },
+				],
+			},
+		},
+	]);
+
+	const products = await Product.populate(result.products, [
+		{ path: "category", select: "name slug" },
+		{ path: "company", select: "name slug" },
+	]);
+	const totalProducts = result.total.length > 0 ? result.total[0].count : 0;
+	const { numOfPages, next, prev } = buildPageLinks({
+		req,
+		page,
+		limit,
+		total: totalProducts,
+	});
+
+	res.status(StatusCodes.OK).json({
+		products,
+		count: products.length,
+		totalProducts,
+		page,
+		numOfPages,
+		next,
+		prev,
+		facets: {
+			categories: await nameFacet(Category, result.categories),
+			companies: await nameFacet(Company, result.companies),
+			price: priceFacet(result.price),
+			rating: result.rating.map(({ _id, count }) => ({ rating: _id, count })),
+		},
+	});
+};
+
+// how far the typed text is from the start of any word of the name
+const prefixDistance = (name, q) =>
+	Math.min(
+		...name
+			.toLowerCase()
+			.split(/\s+/)
+			.map((word) => levenshtein(word.slice(0, q.length), q))
+	);
+
+// GET /products/suggest?q=chiar -> word prefix matches first, then near misses
+const suggestProducts = async (req, res) => {
+	const q = String(req.query.q || "").trim().toLowerCase();
+	if (q.length < 2) {
+		return res.status(StatusCodes.OK).json({ suggestions: [] });
+	}
+
+	const prefixMatches = await Product.find({
+		name: { $regex: `(^|\\s)${escapeRegex(q)}`, $options: "i" },
+	})
+		.select("name")
+		.sort("name")
+		.limit(SUGGEST_LIMIT);
+	let suggestions = prefixMatches.map(({ _id, name }) => ({ _id, name }));
+
+	if (suggestions.length < SUGGEST_LIMIT) {
+		// allow one typo in short words, two in longer ones
+		const maxDistance = q.length <= 4 ? 1 : 2;
+		const candidates = await Product.find({
+			_id: { $nin: suggestions.map((item) => item._id) },
+			name: { $regex: `(^|\\s)${escapeRegex(q[0])}`, $options: "i" },
+		})
+			.select("name")
+			.limit(SUGGEST_CANDIDATES);
+		const nearMisses = candidates
+			.map(({ _id, name }) => ({
+				_id,
+				name,
+				distance: prefixDistance(name, q),
+			}))
+			.filter((item) => item.distance <= maxDistance)
+			.sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+			.slice(0, SUGGEST_LIMIT - suggestions.length)
+			.map(({ _id, name }) => ({ _id, name }));
+		suggestions = [...suggestions, ...nearMisses];
+	}
+
+	res.status(StatusCodes.OK).json({ suggestions });
 };
 
 const getSingleProduct = async (req, res) => {
@@ -26,6 +293,22 @@ const getSingleProduct = async (req, res) => {
 
 const updateProduct = async (req, res) => {
 	const { id: productId } = req.params;
+	// variants and images have their own routes, which keep the stock total
+	// and the primary image in sync
+	["variants", ...GALLERY_FIELDS].forEach((field) => delete req.body[field]);
+	// findOneAndUpdate skips the hook that sums variant stock into inventory
+	if (
+		req.body.inventory !== undefined &&
+		(await Product.exists({
+			_id: productId,
+			"variants.0": { $exists: true },
+		}))
+	) {
+		throw new CustomError.BadRequestError(
+			"Inventory of a product with variants is set on each variant"
+		);
+	}
+	await resolveCatalogRefs(req.body);
 	const product = await Product.findOneAndUpdate({ _id: productId }, req.body, {
 		new: true,
 		runValidators: true,
@@ -46,38 +329,23 @@ const deleteProduct = async (req, res) => {
 	}
 
 	await product.remove();
+	await removeProductImages(product.images);
 	res.status(StatusCodes.OK).json({ msg: "Success! Product removed" });
 };
 
+// stores a file without linking it, see productImageController for the gallery
 const uploadImage = async (req, res) => {
-	if (!req.files) {
-		throw new CustomError.BadRequestError("No File Uploaded");
-	}
-
-	const productImage = req.files.image;
-	if (!productImage.mimetype.startsWith("image")) {
-		throw new CustomError.BadRequestError("Please Upload Image");
-	}
-
-	const maxSize = 1024 * 1024;
-	if (productImage.size > maxSize) {
-		throw new CustomError.BadRequestError(
-			"Please Upload Image smaller than 1 MB"
-		);
-	}
-
-	const imagePath = path.join(
-		__dirname,
-		"../public/uploads/" + `${productImage.name}`
-	);
-	await productImage.mv(imagePath);
-
-	res.status(StatusCodes.OK).json({ image: `/uploads/${productImage.name}` });
+	const [{ url, thumbnail }] = await storeProductImages([
+		req.files && req.files.image,
+	]);
+	res.status(StatusCodes.OK).json({ image: url, thumbnail });
 };
 
 module.exports = {
 	createProduct,
 	getAllProducts,
+	searchProducts,
+	suggestProducts,
 	getSingleProduct,
 	updateProduct,
 	uploadImage,
@@ -0,0 +1,107 @@
+const Product = require("../models/Product");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+const { storeProductImages, removeProductImages } = require("../utils");
+
+const findProduct = async (productId) => {
+	const product = await Product.findOne({ _id: productId });
+	if (!product) {
+		throw new CustomError.NotFoundError(`No product with id: ${productId}`);
+	}
+	return product;
+};
+
+const findImage = (product, imageId) => {
+	const image = product.images.id(imageId);
+	if (!image) {
+		throw new CustomError.NotFoundError(`No image with id: ${imageId}`);
+	}
+	return image;
+};
+
+// multipart "images" may hold one file or several, "alt" is matched by position
+const addProductImages = async (req, res) => {
+	const product = await findProduct(req.params.id);
+	const { images, image } = req.files || {};
+	const files = [].concat(images || image || []);
+	if (files.length === 0) {
+		throw new CustomError.BadRequestError("No File Uploaded");
+	}
+
+	const altTexts = [].concat(req.body.alt || []);
+	const stored = await storeProductImages(files);
+	stored.forEach((image, index) => {
+		product.images.push({ ...image, alt: altTexts[index] });
+	});
+	try {
+		await product.save();
+	} catch (error) {
+		await removeProductImages(stored);
+		throw error;
+	}
+
+	res.status(StatusCodes.CREATED).json({ images: product.images });
+};
+
+// body { order: [imageId, ...] } with every image exactly once
+const reorderProductImages = async (req, res) => {
+	const product = await findProduct(req.params.id);
+	const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+	const currentIds = product.images.map((image) => image._id.toString());
+	const isPermutation =
+		order.length === currentIds.length &&
+		new Set(order).size === order.length &&
+		order.every((id) => currentIds.includes(id));
+	if (!isPermutation) {
+		throw new CustomError.BadRequestError(
+			"Please provide every image id exactly once"
+		);
+	}
+
+	product.images = order.map((id) => product.images.id(id));
+	await product.save();
+
+	res.status(StatusCodes.OK).json({ images: product.images });
+};
+
+const updateProductImage = async (req, res) => {
+	const product = await findProduct(req.params.id);
+	const image = findImage(product, req.params.imageId);
+
+	if (req.body.alt !== undefined) {
+		image.alt = req.body.alt;
+	}
+	await product.save();
+
+	res.status(StatusCodes.OK).json({ image });
+};
+
+const setPrimaryProductImage = async (req, res) => {
+	const product = await findProduct(req.params.id);
+	const image = findImage(product, req.params.imageId);
+
+	product.setPrimaryImage(image);
+	await product.save();
+
+	res.status(StatusCodes.OK).json({ images: product.images });
+};
+
+// a removed primary image hands the flag to the next one in the gallery
+const deleteProductImage = async (req, res) => {
+	const product = await findProduct(req.params.id);
+	const image = findImage(product, req.params.imageId);
+
+	image.remove();
+	await product.save();
+	await removeProductImages([image]);
+
+	res.status(StatusCodes.OK).json({ msg: "Success! Image removed" });
+};
+
+module.exports = {
+	addProductImages,
+	reorderProductImages,
+	updateProductImage,
+	setPrimaryProductImage,
+	deleteProductImage,
+};
@@ -59,7 +59,7 @@ const updateReview = async (req, res) => {
 		throw new CustomError.NotFoundError(`No review with id ${reviewId}`);
 	}
 
-	checkPermissions(req.user, review.user);
+	checkPermissions(req.user, review.user, "review:moderate");
 
 	review.rating = rating;
 	review.title = title;
@@ -77,7 +77,7 @@ const deleteReview = async (req, res) => {
 		throw new CustomError.NotFoundError(`No review with id ${reviewId}`);
 	}
 
-	checkPermissions(req.user, review.user);
+	checkPermissions(req.user, review.user, "review:moderate");
 
 	await review.remove();
 
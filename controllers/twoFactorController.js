@@ -0,0 +1,100 @@
+const User = require("../models/User");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+const {
+	generateSecret,
+	verifyCode,
+	buildOtpauthURI,
+	generateRecoveryCodes,
+	hashRecoveryCode,
+	consumeTwoFactorCode,
+} = require("../utils");
+
+const setupTwoFactor = async (req, res) => {
+	const user = await User.findOne({ _id: req.user.userId });
+	if (user.twoFactorEnabled) {
+		throw new CustomError.BadRequestError(
+			"Two-factor authentication is already enabled"
+		);
+	}
+
+	const secret = generateSecret();
+	user.twoFactorPendingSecret = secret;
+	await user.save();
+
+	const otpauthURI = buildOtpauthURI({
+		secret,
+		account: user.email,
+		issuer: process.env.TOTP_ISSUER || "E-Commerce API",
+	});
+	res.status(StatusCodes.OK).json({ secret, otpauthURI });
+};
+
+// the first valid code proves the app was set up, recovery codes are shown once
+const verifyTwoFactor = async (req, res) => {
+	const { code } = req.body;
+	const user = await User.findOne({ _id: req.user.userId });
+	if (!user.twoFactorPendingSecret) {
+		throw new CustomError.BadRequestError(
+			"Please start two-factor setup first"
+		);
+	}
+
+	const counter = verifyCode(user.twoFactorPendingSecret, code);
+	if (counter === null) {
+		throw new CustomError.BadRequestError("Invalid two-factor code");
+	}
+
+	const recoveryCodes = generateRecoveryCodes();
+	user.twoFactorEnabled = true;
+	user.twoFactorSecret = user.twoFactorPendingSecret;
+	user.twoFactorPendingSecret = undefined;
+	user.twoFactorLastCounter = counter;
+	user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+	await user.save();
+
+	res.status(StatusCodes.OK).json({
+		msg: "Success! Two-factor authentication enabled",
+		recoveryCodes,
+	});
+};
+
+const disableTwoFactor = async (req, res) => {
+	const { password, code, recoveryCode } = req.body;
+	if (!password || (!code && !recoveryCode)) {
+		throw new CustomError.BadRequestError(
+			"Please provide your password and a two-factor or recovery code"
+		);
+	}
+
+	const user = await User.findOne({ _id: req.user.userId });
+	if (!user.twoFactorEnabled) {
+		throw new CustomError.BadRequestError(
+			"Two-factor authentication is not enabled"
+		);
+	}
+	const isPasswordCorrect = await user.comparePassword(password);
+	if (!isPasswordCorrect) {
+		throw new CustomError.UnauthenticatedError("Invalid Credentials");
+	}
+	const isCodeValid = await consumeTwoFactorCode(user, { code, recoveryCode });
+	if (!isCodeValid) {
+		throw new CustomError.UnauthenticatedError("Invalid two-factor code");
+	}
+
+	user.twoFactorEnabled = false;
+	user.twoFactorSecret = undefined;
+	user.twoFactorLastCounter = undefined;
+	user.twoFactorRecoveryCodes = [];
+	await user.save();
+
+	res
+		.status(StatusCodes.OK)
+		.json({ msg: "Success! Two-factor authentication disabled" });
+};
+
+module.exports = {
+	setupTwoFactor,
+	verifyTwoFactor,
+	disableTwoFactor,
+};
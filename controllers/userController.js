@@ -1,11 +1,76 @@
+const crypto = require("crypto");
 const User = require("../models/User");
+const Order = require("../models/Order");
+const Review = require("../models/Review");
+const Token = require("../models/Token");
+const ApiKey = require("../models/ApiKey");
+const Cart = require("../models/Cart");
 const { StatusCodes } = require("http-status-codes");
 const CustomError = require("../errors");
-const { createTokenUser, attachCookiesToResponse, checkPermissions } = require("../utils");
+const {
+	createTokenUser,
+	attachCookiesToResponse,
+	checkPermissions,
+	ROLES,
+	unlockAccount,
+	getPagination,
+	buildPageLinks,
+	escapeRegex,
+	parseList,
+	createVerificationToken,
+	sendVerificationEmail,
+} = require("../utils");
 
+const SORTABLE_USER_FIELDS = ["name", "email", "role", "isActive", "createdAt"];
+
+// sort=name,-email -> "name -email", anything else (like password) is dropped
+const parseUserSort = (sort) => {
+	const fields = parseList(sort).filter((item) =>
+		SORTABLE_USER_FIELDS.includes(item.replace(/^-/, ""))
+	);
+	return fields.length > 0 ? fields.join(" ") : "name";
+};
+
+// search=jane&role=support&active=false&sort=name,-email&page=2
 const getAllUsers = async (req, res) => {
-	const users = await User.find({ role: "user" }).select("-password");
-	res.status(StatusCodes.OK).json({ users });
+	const { search, role, active, sort } = req.query;
+	const queryObject = {};
+	if (search) {
+		const pattern = { $regex: escapeRegex(search), $options: "i" };
+		queryObject.$or = [{ name: pattern }, { email: pattern }];
+	}
+	if (role) {
+		queryObject.role = role;
+	}
+	if (active) {
+		queryObject.isActive = active === "true";
+	}
+
+	const { page, limit, skip } = getPagination(req.query);
+	const [users, totalUsers] = await Promise.all([
+		User.find(queryObject)
+			.select("-password")
+			.sort(sort ? parseUserSort(sort) : "name")
+			.skip(skip)
+			.limit(limit),
+		User.countDocuments(queryObject),
+	]);
+	const { numOfPages, next, prev } = buildPageLinks({
+		req,
+		page,
+		limit,
+		total: totalUsers,
+	});
+
+	res.status(StatusCodes.OK).json({
+		users,
+		count: users.length,
+		totalUsers,
+		page,
+		numOfPages,
+		next,
+		prev,
+	});
 };
 
 const getSingleUser = async (req, res) => {
@@ -14,7 +79,7 @@ const getSingleUser = async (req, res) => {
 	if (!user) {
 		throw new CustomError.NotFoundError(`No user with id: ${req.params.id}`);
 	}
-	checkPermissions(req.user, user._id)
+	checkPermissions(req.user, user._id, "user:read");
 	res.status(StatusCodes.OK).json({ user });
 };
 
@@ -30,10 +95,23 @@ const updateUser = async (req, res) => {
 	}
 
 	const user = await User.findOne({ _id: req.user.userId });
+	// a new address has to be verified again, like on registration
+	let verificationToken;
+	if (user.email !== email) {
+		const verification = createVerificationToken();
+		verificationToken = verification.verificationToken;
+		user.isVerified = false;
+		user.verified = undefined;
+		user.verificationToken = verification.verificationTokenHash;
+		user.verificationTokenExpires = verification.verificationTokenExpires;
+	}
 	user.email = email;
 	user.name = name;
 
 	await user.save();
+	if (verificationToken) {
+		await sendVerificationEmail({ name, email, verificationToken });
+	}
 
 	const tokenUser = createTokenUser(user);
 	attachCookiesToResponse({ res, user: tokenUser });
@@ -57,12 +135,156 @@ const updateUserPassword = async (req, res) => {
 	res.status(StatusCodes.OK).json({ msg: "Success! Password Updated" });
 };
 
+const updateUserRole = async (req, res) => {
+	const { id: userId } = req.params;
+	const { role } = req.body;
+
+	if (!ROLES.includes(role)) {
+		throw new CustomError.BadRequestError(
+			`Please provide a valid role: ${ROLES.join(", ")}`
+		);
+	}
+	// stops the last admin from locking everyone out
+	if (userId === req.user.userId) {
+		throw new CustomError.BadRequestError("You cannot change your own role");
+	}
+
+	const user = await User.findOne({ _id: userId }).select("-password");
+	if (!user) {
+		throw new CustomError.NotFoundError(`No user with id: ${userId}`);
+	}
+
+	user.role = role;
+	await user.save();
+	res.status(StatusCodes.OK).json({ user });
+};
+
+const unlockUser = async (req, res) => {
+	const { id: userId } = req.params;
+	const user = await User.findOne({ _id: userId }).select("-password");
+	if (!user) {
+		throw new CustomError.NotFoundError(`No user with id: ${userId}`);
+	}
+
+	await unlockAccount({ req, user, by: req.user.userId });
+	res.status(StatusCodes.OK).json({ msg: "Success! Account unlocked" });
+};
+
+// admins manage other accounts, never their own
+const findManagedUser = async (req) => {
+	const { id: userId } = req.params;
+	if (userId === req.user.userId) {
+		throw new CustomError.BadRequestError("You cannot manage your own account");
+	}
+	const user = await User.findOne({ _id: userId });
+	if (!user) {
+		throw new CustomError.NotFoundError(`No user with id: ${userId}`);
+	}
+	return user;
+};
+
+const deactivateUser = async (req, res) => {
+	const user = await findManagedUser(req);
+	if (!user.isActive) {
+		throw new CustomError.BadRequestError("User is already deactivated");
+	}
+
+	user.isActive = false;
+	user.deactivatedAt = new Date();
+	await user.save();
+	await Token.revokeAllForUser(user._id);
+
+	res.status(StatusCodes.OK).json({ user });
+};
+
+const reactivateUser = async (req, res) => {
+	const user = await findManagedUser(req);
+	if (user.anonymizedAt) {
+		throw new CustomError.BadRequestError(
+			"Anonymized users cannot be reactivated"
+		);
+	}
+
+	user.isActive = true;
+	user.deactivatedAt = undefined;
+	await user.save();
+
+	res.status(StatusCodes.OK).json({ user });
+};
+
+// default mode=anonymize keeps orders and reviews for the books but strips
+// everything personal; mode=delete is only allowed for users without orders
+const deleteUser = async (req, res) => {
+	const { mode = "anonymize" } = req.query;
+	if (!["anonymize", "delete"].includes(mode)) {
+		throw new CustomError.BadRequestError(
+			"Mode must be either anonymize or delete"
+		);
+	}
+	const user = await findManagedUser(req);
+
+	if (mode === "delete") {
+		const orderCount = await Order.countDocuments({ user: user._id });
+		if (orderCount > 0) {
+			throw new CustomError.BadRequestError(
+				"User has orders, anonymize the account instead"
+			);
+		}
+		// one by one so the product ratings get recalculated
+		const reviews = await Review.find({ user: user._id });
+		for (const review of reviews) {
+			await review.remove();
+		}
+		await Promise.all([
+			Token.deleteMany({ user: user._id }),
+			ApiKey.deleteMany({ user: user._id }),
+			Cart.deleteMany({ user: user._id }),
+		]);
+		await user.remove();
+		return res.status(StatusCodes.OK).json({ msg: "Success! User deleted" });
+	}
+
+	user.set({
+		name: "Deleted User",
+		email: `deleted-${user._id}@anonymized.invalid`,
+		password: crypto.randomBytes(32).toString("hex"),
+		isActive: false,
+		isVerified: false,
+		deactivatedAt: user.deactivatedAt || new Date(),
+		anonymizedAt: new Date(),
+		verificationToken: undefined,
+		passwordToken: undefined,
+		unlockToken: undefined,
+		twoFactorEnabled: false,
+		twoFactorSecret: undefined,
+		twoFactorPendingSecret: undefined,
+		twoFactorRecoveryCodes: [],
+		addresses: [],
+	});
+	await user.save();
+	await Promise.all([
+		Token.revokeAllForUser(user._id),
+		ApiKey.updateMany(
+			{ user: user._id, revokedAt: null },
+			{ revokedAt: new Date() }
+		),
+		Cart.deleteMany({ user: user._id }),
+	]);
+
+	res.status(StatusCodes.OK).json({ msg: "Success! User anonymized" });
+};
+
 module.exports = {
 	getAllUsers,
 	getSingleUser,
 	showCurrentUser,
 	updateUser,
 	updateUserPassword,
+	updateUserRole,
+	unlockUser,
+	deactivateUser,
+	reactivateUser,
+	deleteUser,
 };
 
 // update user with findOneAndUpdate
@@ -0,0 +1,88 @@
+const Product = require("../models/Product");
+const { StatusCodes } = require("http-status-codes");
+const CustomError = require("../errors");
+
+const VARIANT_FIELDS = ["sku", "options", "price", "inventory", "image"];
+
+const pickVariantFields = (body) =>
+	VARIANT_FIELDS.reduce((fields, field) => {
+		if (body[field] !== undefined) fields[field] = body[field];
+		return fields;
+	}, {});
+
+const findProduct = async (productId) => {
+	const product = await Product.findOne({ _id: productId });
+	if (!product) {
+		throw new CustomError.NotFoundError(`No product with id: ${productId}`);
+	}
+	return product;
+};
+
+const findVariant = (product, variantId) => {
+	const variant = product.variants.id(variantId);
+	if (!variant) {
+		throw new CustomError.NotFoundError(`No variant with id: ${variantId}`);
+	}
+	return variant;
+};
+
+// save() writes a total summed from the variants as they were read, which
+// would undo a reservation that landed in between, so the total is summed
+// again from what is stored once the variant is written
+const saveVariants = async (product) => {
+	await product.save();
+	const stored = await Product.findOneAndUpdate(
+		{ _id: product._id },
+		[
+			{
+				$set: {
+					inventory: {
+						$cond: [
+							{ $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+							{ $sum: "$variants.inventory" },
+							"$inventory",
+						],
+					},
+				},
+			},
+		],
+		{ new: true, projection: { inventory: 1 } }
+	);
+	return stored ? stored.inventory : product.inventory;
+};
+
+const addVariant = async (req, res) => {
+	const product = await findProduct(req.params.id);
+
+	product.variants.push(pickVariantFields(req.body));
+	const inventory = await saveVariants(product);
+
+	const variant = product.variants[product.variants.length - 1];
+	res.status(StatusCodes.CREATED).json({ variant, inventory });
+};
+
+const updateVariant = async (req, res) => {
+	const product = await findProduct(req.params.id);
+	const variant = findVariant(product, req.params.variantId);
+
+	variant.set(pickVariantFields(req.body));
+	const inventory = await saveVariants(product);
+
+	res.status(StatusCodes.OK).json({ variant, inventory });
+};
+
+const deleteVariant = async (req, res) => {
+	const product = await findProduct(req.params.id);
+	const variant = findVariant(product, req.params.variantId);
+
+	variant.remove();
+	await saveVariants(product);
+
+	res.status(StatusCodes.OK).json({ msg: "Success! Variant removed" });
+};
+
+module.exports = {
+	addVariant,
+	updateVariant,
+	deleteVariant,
+};
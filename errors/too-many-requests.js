@@ -0,0 +1,14 @@
+const { StatusCodes } = require("http-status-codes");
+const CustomAPIError = require("./custom-api");
+
+class TooManyRequestsError extends CustomAPIError {
+	constructor(message, retryAfter) {
+		super(message);
+		this.name = this.constructor.name;
+		this.statusCode = StatusCodes.TOO_MANY_REQUESTS;
+		// seconds, sent back as the Retry-After header
+		this.retryAfter = retryAfter;
+	}
+}
+
+module.exports = TooManyRequestsError;
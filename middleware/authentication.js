@@ -1,34 +1,169 @@
 const CustomError = require("../errors");
-const { isTokenValid } = require("../utils");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const { isTokenValid, createHash, userHasPermission } = require("../utils");
 
-const authenticateUser = async (req, res, next) => {
-	const token = req.signedCookies.token;
+// every strategy pulls a credential out of the request and turns it into
+// the same req.user shape: { name, userId, role }, api keys add their scopes
+const userFromJWT = async (token) => {
+	const { userId, purpose } = isTokenValid({ token });
+	// single purpose tokens, like the 2fa login challenge, are not sessions
+	if (purpose) return;
+	// a token outlives a deactivation or a role change, so the account is
+	// read every time and wins over what the token says
+	const user = await User.findOne({ _id: userId }).select("name role isActive");
+	if (!user || !user.isActive) return;
+	return { name: user.name, userId, role: user.role };
+};
+
+const bearerStrategy = {
+	name: "bearer",
+	extract: (req) => {
+		const authHeader = req.headers.authorization;
+		if (authHeader && authHeader.startsWith("Bearer ")) {
+			return authHeader.split(" ")[1];
+		}
+	},
+	authenticate: userFromJWT,
+};
+
+const cookieStrategy = {
+	name: "cookie",
+	extract: (req) => req.signedCookies && req.signedCookies.accessToken,
+	authenticate: userFromJWT,
+};
+
+const apiKeyStrategy = {
+	name: "api-key",
+	extract: (req) => req.headers["x-api-key"],
+	authenticate: async (key) => {
+		const apiKey = await ApiKey.findOne({ keyHash: createHash(key) }).populate(
+			"user",
+			"name role isActive"
+		);
+		if (!apiKey || !apiKey.isUsable()) return;
+		if (!apiKey.user || !apiKey.user.isActive) return;
 
-	if (!token) {
-		throw new CustomError.UnauthenticatedError("Authentication Invalid");
+		await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+		return {
+			name: apiKey.user.name,
+			userId: apiKey.user._id.toString(),
+			role: apiKey.user.role,
+			scopes: apiKey.scopes,
+		};
+	},
+};
+
+const strategies = [apiKeyStrategy, bearerStrategy, cookieStrategy];
+
+// later strategies are only tried when earlier ones find no credential
+const registerAuthStrategy = (strategy, { first = false } = {}) => {
+	if (first) {
+		strategies.unshift(strategy);
+	} else {
+		strategies.push(strategy);
 	}
+};
 
+// the first strategy that finds a credential decides, a bad credential is
+// never silently passed on to the next one
+const resolveUser = async (req) => {
+	for (const strategy of strategies) {
+		const credential = strategy.extract(req);
+		if (!credential) continue;
+
+		try {
+			const user = await strategy.authenticate(credential, req);
+			if (!user) break;
+			req.auth = { strategy: strategy.name };
+			return user;
+		} catch (error) {
+			if (error instanceof CustomError.CustomAPIError) throw error;
+			break;
+		}
+	}
+	throw new CustomError.UnauthenticatedError("Authentication Invalid");
+};
+
+// permissions the matched route declares for this method, through
+// authorizePermissions or authorizeApiKeyScopes
+const declaredPermissions = (req) => {
+	if (!req.route) return [];
+	const method =
+		req.method === "HEAD" ? "get" : String(req.method).toLowerCase();
+	return req.route.stack
+		.filter((layer) => !layer.method || layer.method === method)
+		.flatMap((layer) => layer.handle.permissions || []);
+};
+
+// a key only reaches routes that name the scope they need, routes that just
+// want a logged in owner (profile, cart, own orders) need a real session
+const assertApiKeyAllowed = (req, user) => {
+	if (user.scopes && declaredPermissions(req).length === 0) {
+		throw new CustomError.UnauthorizedError(
+			"API keys can not access this route"
+		);
+	}
+};
+
+const authenticateUser = async (req, res, next) => {
+	const user = await resolveUser(req);
+	assertApiKeyAllowed(req, user);
+	req.user = user;
+	next();
+};
+
+// lets guests through but still identifies logged in users
+const authenticateOptional = async (req, res, next) => {
+	let user;
 	try {
-		const { name, userId, role } = isTokenValid({ token });
-		req.user = { name, userId, role };
-		next();
+		user = await resolveUser(req);
 	} catch (error) {
-		throw new CustomError.UnauthenticatedError("Authentication Invalid");
+		// an invalid token is treated like no token at all
 	}
+	if (user) {
+		assertApiKeyAllowed(req, user);
+		req.user = user;
+	}
+	next();
 };
 
-const authorizePermissions = (...roles) => {
-	return (req, res, next) => {
-		if (!roles.includes(req.user.role)) {
+const permissionMiddleware = (permissions, isAllowed) => {
+	const middleware = (req, res, next) => {
+		if (!isAllowed(req.user)) {
 			throw new CustomError.UnauthorizedError(
 				"Unauthorized to access this route"
 			);
 		}
 		next();
 	};
+	middleware.permissions = permissions;
+	return middleware;
 };
 
+// every listed permission is required
+const authorizePermissions = (...permissions) =>
+	permissionMiddleware(permissions, (user) =>
+		permissions.every((permission) => userHasPermission(user, permission))
+	);
+
+// for routes whose handler checks ownership itself: sessions pass through,
+// api keys need every listed scope
+const authorizeApiKeyScopes = (...permissions) =>
+	permissionMiddleware(
+		permissions,
+		(user) =>
+			!user.scopes ||
+			permissions.every((permission) => userHasPermission(user, permission))
+	);
+
 module.exports = {
 	authenticateUser,
+	authenticateOptional,
 	authorizePermissions,
+	authorizeApiKeyScopes,
+	registerAuthStrategy,
+	apiKeyStrategy,
+	bearerStrategy,
+	cookieStrategy,
 };
@@ -22,6 +22,10 @@ const errorHandlerMiddleware = (err, req, res, next) => {
     customError.statusCode = 404;
   }
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   return res.status(customError.statusCode).json({ msg: customError.msg });
 };
 
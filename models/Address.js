@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const ADDRESS_FIELDS = [
+	"label",
+	"fullName",
+	"line1",
+	"line2",
+	"city",
+	"state",
+	"postalCode",
+	"country",
+	"phone",
+];
+
+// used by the user address book and for the snapshot kept on every order
+const AddressSchema = new mongoose.Schema({
+	label: {
+		type: String,
+		trim: true,
+		maxlength: 50,
+	},
+	fullName: {
+		type: String,
+		trim: true,
+		required: [true, "Please provide full name"],
+		maxlength: 100,
+	},
+	line1: {
+		type: String,
+		trim: true,
+		required: [true, "Please provide address line 1"],
+		maxlength: 200,
+	},
+	line2: {
+		type: String,
+		trim: true,
+		maxlength: 200,
+	},
+	city: {
+		type: String,
+		trim: true,
+		required: [true, "Please provide city"],
+		maxlength: 100,
+	},
+	// state or province code, used for the tax region
+	state: {
+		type: String,
+		trim: true,
+		uppercase: true,
+		maxlength: 10,
+	},
+	postalCode: {
+		type: String,
+		trim: true,
+		required: [true, "Please provide postal code"],
+		maxlength: 20,
+	},
+	country: {
+		type: String,
+		trim: true,
+		uppercase: true,
+		required: [true, "Please provide country"],
+		match: [/^[A-Z]{2}$/, "Please provide a two letter country code"],
+	},
+	phone: {
+		type: String,
+		trim: true,
+		maxlength: 30,
+	},
+});
+
+// "US-CA" for pricing.resolveTaxRate
+AddressSchema.methods.getRegion = function () {
+	return this.state ? `${this.country}-${this.state}` : this.country;
+};
+
+module.exports = {
+	AddressSchema,
+	ADDRESS_FIELDS,
+};
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS } = require("../utils/permissions");
+
+// the raw key is shown once on creation, only its sha256 is stored
+const ApiKeySchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			trim: true,
+			required: [true, "Please provide a name for the api key"],
+			maxlength: 100,
+		},
+		user: {
+			type: mongoose.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		prefix: {
+			type: String,
+			required: true,
+		},
+		keyHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		scopes: {
+			type: [{ type: String, enum: PERMISSIONS }],
+			default: [],
+		},
+		lastUsedAt: {
+			type: Date,
+		},
+		expiresAt: {
+			type: Date,
+		},
+		revokedAt: {
+			type: Date,
+		},
+	},
+	{ timestamps: true }
+);
+
+ApiKeySchema.index({ user: 1, revokedAt: 1 });
+
+ApiKeySchema.methods.isUsable = function (now = new Date()) {
+	if (this.revokedAt) return false;
+	return !this.expiresAt || this.expiresAt > now;
+};
+
+ApiKeySchema.methods.toJSON = function () {
+	const apiKey = this.toObject();
+	delete apiKey.keyHash;
+	return apiKey;
+};
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const CartItemSchema = mongoose.Schema({
+	product: {
+		type: mongoose.Schema.ObjectId,
+		ref: "Product",
+		required: true,
+	},
+	variant: {
+		type: mongoose.Schema.ObjectId,
+	},
+	amount: {
+		type: Number,
+		required: true,
+		min: [1, "Amount must be at least 1"],
+	},
+});
+
+// a cart belongs either to a user or to a guest identified by a signed cookie
+const CartSchema = mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Schema.ObjectId,
+			ref: "User",
+		},
+		guestId: {
+			type: String,
+		},
+		items: [CartItemSchema],
+	},
+	{ timestamps: true }
+);
+
+CartSchema.index({ user: 1 }, { unique: true, sparse: true });
+CartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+
+// each variant of a product is its own line
+CartSchema.methods.findItem = function (productId, variantId) {
+	return this.items.find(
+		(item) =>
+			item.product.toString() === productId.toString() &&
+			String(item.variant || "") === String(variantId || "")
+	);
+};
+
+CartSchema.statics.mergeGuestCart = async function ({ guestId, userId }) {
+	const guestCart = await this.findOne({ guestId });
+	if (!guestCart) return null;
+
+	let userCart = await this.findOne({ user: userId });
+	if (!userCart) {
+		userCart = new this({ user: userId, items: [] });
+	}
+	guestCart.items.forEach(({ product, variant, amount }) => {
+		const existingItem = userCart.findItem(product, variant);
+		if (existingItem) {
+			existingItem.amount += amount;
+		} else {
+			userCart.items.push({ product, variant, amount });
+		}
+	});
+
+	await userCart.save();
+	await this.deleteOne({ _id: guestCart._id });
+	return userCart;
+};
+
+module.exports = mongoose.model("Cart", CartSchema);
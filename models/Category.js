@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const CustomError = require("../errors");
+const sluggable = require("./plugins/sluggable");
+
+const CategorySchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			trim: true,
+			required: [true, "Please provide category name"],
+			maxlength: [50, "Name can not be more than 50 characters"],
+		},
+		description: {
+			type: String,
+			maxlength: [500, "Description can not be more than 500 characters"],
+		},
+		parent: {
+			type: mongoose.Types.ObjectId,
+			ref: "Category",
+			default: null,
+		},
+		// root first, so descendants of X are { ancestors: X }
+		ancestors: {
+			type: [{ type: mongoose.Types.ObjectId, ref: "Category" }],
+			default: [],
+		},
+	},
+	{ timestamps: true }
+);
+
+CategorySchema.plugin(sluggable);
+
+CategorySchema.pre("save", async function () {
+	if (!this.isModified("parent")) return;
+
+	const previousPath = [...this.ancestors, this._id];
+	if (!this.parent) {
+		this.ancestors = [];
+	} else {
+		const parent = await this.constructor.findOne({ _id: this.parent });
+		if (!parent) {
+			throw new CustomError.BadRequestError(
+				`No category with id: ${this.parent}`
+			);
+		}
+		const isOwnDescendant =
+			parent._id.equals(this._id) ||
+			parent.ancestors.some((id) => id.equals(this._id));
+		if (isOwnDescendant) {
+			throw new CustomError.BadRequestError(
+				"A category can not be moved under itself"
+			);
+		}
+		this.ancestors = [...parent.ancestors, parent._id];
+	}
+	if (this.isNew) return;
+
+	// re-root the whole subtree under the new path
+	const descendants = await this.constructor.find({ ancestors: this._id });
+	for (const descendant of descendants) {
+		descendant.ancestors = [
+			...this.ancestors,
+			this._id,
+			...descendant.ancestors.slice(previousPath.length),
+		];
+		await this.constructor.updateOne(
+			{ _id: descendant._id },
+			{ $set: { ancestors: descendant.ancestors } }
+		);
+	}
+});
+
+// a category and everything below it, used for storefront filters
+CategorySchema.statics.expandWithDescendants = async function (categories) {
+	const ids = categories.map((category) => category._id);
+	const descendants = await this.find({ ancestors: { $in: ids } }).select("_id");
+	return [...ids, ...descendants.map((category) => category._id)];
+};
+
+module.exports = mongoose.model("Category", CategorySchema);
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+const sluggable = require("./plugins/sluggable");
+
+const CompanySchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			trim: true,
+			unique: true,
+			required: [true, "Please provide company name"],
+			maxlength: [50, "Name can not be more than 50 characters"],
+		},
+		description: {
+			type: String,
+			maxlength: [500, "Description can not be more than 500 characters"],
+		},
+	},
+	{ timestamps: true }
+);
+
+CompanySchema.plugin(sluggable);
+
+module.exports = mongoose.model("Company", CompanySchema);
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+const CouponSchema = new mongoose.Schema(
+	{
+		code: {
+			type: String,
+			trim: true,
+			uppercase: true,
+			unique: true,
+			required: [true, "Please provide coupon code"],
+			maxlength: [30, "Code can not be more than 30 characters"],
+		},
+		description: {
+			type: String,
+			maxlength: [200, "Description can not be more than 200 characters"],
+		},
+		type: {
+			type: String,
+			required: [true, "Please provide coupon type"],
+			enum: {
+				values: ["percentage", "fixed", "free_shipping"],
+				message: "{VALUE} is not a supported coupon type",
+			},
+		},
+		// percent for "percentage", cents for "fixed", unused for "free_shipping"
+		value: {
+			type: Number,
+			default: 0,
+			min: [0, "Value can not be negative"],
+			validate: {
+				validator: function (value) {
+					return this.type !== "percentage" || (value > 0 && value <= 100);
+				},
+				message: "Percentage must be between 1 and 100",
+			},
+		},
+		startsAt: {
+			type: Date,
+		},
+		endsAt: {
+			type: Date,
+		},
+		usageLimit: {
+			type: Number,
+			min: [1, "Usage limit must be at least 1"],
+		},
+		usedCount: {
+			type: Number,
+			default: 0,
+		},
+		perUserLimit: {
+			type: Number,
+			min: [1, "Per user limit must be at least 1"],
+		},
+		minSubtotal: {
+			type: Number,
+			default: 0,
+		},
+		// empty means the coupon applies to every product
+		categories: {
+			type: [{ type: mongoose.Types.ObjectId, ref: "Category" }],
+			default: [],
+		},
+		companies: {
+			type: [{ type: mongoose.Types.ObjectId, ref: "Company" }],
+			default: [],
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		user: {
+			type: mongoose.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+CouponSchema.methods.isValidAt = function (date = new Date()) {
+	if (!this.isActive) return false;
+	if (this.startsAt && this.startsAt > date) return false;
+	if (this.endsAt && this.endsAt < date) return false;
+	return true;
+};
+
+// an empty restriction list matches everything
+const matchesRestriction = (ids, id) =>
+	ids.length === 0 || ids.some((item) => String(item) === String(id));
+
+CouponSchema.methods.appliesTo = function ({ category, company }) {
+	return (
+		matchesRestriction(this.categories, category) &&
+		matchesRestriction(this.companies, company)
+	);
+};
+
+// counts a use only while the usage limit still allows it
+CouponSchema.statics.redeem = function (couponId) {
+	return this.findOneAndUpdate(
+		{
+			_id: couponId,
+			$or: [
+				{ usageLimit: null },
+				{ $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+			],
+		},
+		{ $inc: { usedCount: 1 } },
+		{ new: true }
+	);
+};
+
+CouponSchema.statics.release = function (couponId) {
+	return this.updateOne(
+		{ _id: couponId, usedCount: { $gt: 0 } },
+		{ $inc: { usedCount: -1 } }
+	);
+};
+
+module.exports = mongoose.model("Coupon", CouponSchema);
@@ -1,4 +1,17 @@
 const mongoose = require("mongoose");
+const CustomError = require("../errors");
+const { AddressSchema } = require("./Address");
+
+// status -> statuses it may move to next
+const ORDER_STATUS_TRANSITIONS = {
+	pending: ["paid", "failed", "canceled"],
+	failed: ["canceled"],
+	paid: ["shipped", "delivered", "refunded"],
+	shipped: ["delivered", "refunded"],
+	delivered: ["refunded"],
+	canceled: [],
+	refunded: [],
+};
 
 const SingleOrderItemSchema = mongoose.Schema({
 	name: { type: String, required: true },
@@ -10,6 +23,23 @@ const SingleOrderItemSchema = mongoose.Schema({
 		ref: "Product",
 		required: true,
 	},
+	// set when the product is sold in variants, sku and options are a snapshot
+	variant: {
+		type: mongoose.Schema.ObjectId,
+	},
+	sku: { type: String },
+	options: {
+		type: Map,
+		of: String,
+	},
+});
+
+const StatusChangeSchema = mongoose.Schema({
+	status: { type: String, required: true },
+	from: { type: String },
+	at: { type: Date, default: Date.now },
+	by: { type: mongoose.Schema.ObjectId, ref: "User" },
+	note: { type: String },
 });
 
 const OrderSchema = mongoose.Schema(
@@ -18,6 +48,12 @@ const OrderSchema = mongoose.Schema(
 			type: Number,
 			required: true,
 		},
+		taxRate: {
+			type: Number,
+		},
+		region: {
+			type: String,
+		},
 		shippingFee: {
 			type: Number,
 			required: true,
@@ -26,16 +62,40 @@ const OrderSchema = mongoose.Schema(
 			type: Number,
 			required: true,
 		},
+		discount: {
+			coupon: { type: mongoose.Schema.ObjectId, ref: "Coupon" },
+			code: { type: String },
+			type: { type: String },
+			value: { type: Number },
+			amount: { type: Number, default: 0 },
+		},
 		total: {
 			type: Number,
 			required: true,
 		},
 		orderItems: [SingleOrderItemSchema],
+		// copied at checkout so later address book edits don't change it
+		shippingAddress: AddressSchema,
 		status: {
 			type: String,
-			enum: ["pending", "failed", "paid", "delivered", "canceled"],
+			enum: Object.keys(ORDER_STATUS_TRANSITIONS),
 			default: "pending",
 		},
+		statusHistory: [StatusChangeSchema],
+		tracking: {
+			carrier: { type: String, trim: true },
+			trackingNumber: { type: String, trim: true },
+			url: { type: String, trim: true },
+		},
+		shippedAt: {
+			type: Date,
+		},
+		deliveredAt: {
+			type: Date,
+		},
+		canceledAt: {
+			type: Date,
+		},
 		user: {
 			type: mongoose.Schema.ObjectId,
 			ref: "User",
@@ -45,11 +105,47 @@ const OrderSchema = mongoose.Schema(
 			type: String,
 			required: true,
 		},
-		paymentIndentId: {
+		paymentIntentId: {
 			type: String,
 		},
+		stockReleased: {
+			type: Boolean,
+			default: false,
+		},
 	},
 	{ timestamps: true }
 );
 
+OrderSchema.pre("validate", function () {
+	if (this.isNew && this.statusHistory.length === 0) {
+		this.statusHistory.push({ status: this.status });
+	}
+});
+
+OrderSchema.methods.canTransitionTo = function (status) {
+	return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// the only way status should change, so every move is guarded and recorded
+OrderSchema.methods.transitionTo = function (status, { by, note } = {}) {
+	if (!this.canTransitionTo(status)) {
+		throw new CustomError.BadRequestError(
+			`Cannot change order status from ${this.status} to ${status}`
+		);
+	}
+	this.statusHistory.push({ status, from: this.status, by, note });
+	this.status = status;
+};
+
+// put reserved stock back once an order can no longer be fulfilled
+OrderSchema.pre("save", async function () {
+	if (this.isNew || !this.isModified("status") || this.stockReleased) return;
+	if (!["failed", "canceled"].includes(this.status)) return;
+	await this.model("Product").releaseStock(this.orderItems);
+	if (this.discount && this.discount.coupon) {
+		await this.model("Coupon").release(this.discount.coupon);
+	}
+	this.stockReleased = true;
+});
+
 module.exports = mongoose.model("Order", OrderSchema);
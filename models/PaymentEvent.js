@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// one document per processed provider event, so replays can be detected
+const PaymentEventSchema = mongoose.Schema(
+	{
+		eventId: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		type: {
+			type: String,
+			required: true,
+		},
+		paymentIntentId: {
+			type: String,
+		},
+		order: {
+			type: mongoose.Schema.ObjectId,
+			ref: "Order",
+		},
+		// set when the event arrived but the order could not move, e.g. a
+		// failure reported after the order was already paid
+		skippedReason: {
+			type: String,
+		},
+	},
+	{ timestamps: true }
+);
+
+module.exports = mongoose.model("PaymentEvent", PaymentEventSchema);
@@ -1,6 +1,76 @@
 const mongoose = require("mongoose");
 // const Review = require("./Review");
 
+// one sellable combination of options, e.g. { color: "black", size: "L" }
+const VariantSchema = new mongoose.Schema({
+	sku: {
+		type: String,
+		trim: true,
+		uppercase: true,
+		required: [true, "Please provide variant sku"],
+		maxlength: [64, "Sku can not be more than 64 characters"],
+	},
+	options: {
+		type: Map,
+		of: String,
+		required: [true, "Please provide variant options"],
+	},
+	// falls back to the product price when not set
+	price: {
+		type: Number,
+		min: [0, "Price can not be negative"],
+	},
+	inventory: {
+		type: Number,
+		required: true,
+		default: 0,
+		min: [0, "Inventory can not be negative"],
+	},
+	image: {
+		type: String,
+	},
+});
+
+const MAX_IMAGES = 10;
+
+// display order is the array order
+const ProductImageSchema = new mongoose.Schema({
+	url: {
+		type: String,
+		required: [true, "Please provide image url"],
+	},
+	thumbnail: {
+		type: String,
+	},
+	alt: {
+		type: String,
+		trim: true,
+		maxlength: [200, "Alt text can not be more than 200 characters"],
+	},
+	isPrimary: {
+		type: Boolean,
+		default: false,
+	},
+	// storage keys, images added by url (seed data) have none
+	key: {
+		type: String,
+	},
+	thumbnailKey: {
+		type: String,
+	},
+});
+
+const describeOptions = (options) =>
+	[...options.entries()]
+		.sort(([a], [b]) => a.localeCompare(b))
+		.map(([name, value]) => `${name}:${value}`)
+		.join(",");
+
+const hasNoDuplicates = (values) => new Set(values).size === values.length;
+
+const referenceExists = async (modelName, id) =>
+	Boolean(await mongoose.model(modelName).exists({ _id: id }));
+
 const ProductSchema = new mongoose.Schema(
 	{
 		name: {
@@ -19,21 +89,38 @@ const ProductSchema = new mongoose.Schema(
 			required: [true, "Please provide product description"],
 			maxlength: [1000, "Description can not be more than 100 characters"],
 		},
+		// the primary image, kept in sync with the gallery for listings and orders
 		image: {
 			type: String,
 			default: "/uploads/example.jpeg",
 		},
-		category: {
+		thumbnail: {
 			type: String,
+		},
+		images: {
+			type: [ProductImageSchema],
+			validate: {
+				validator: (images) => images.length <= MAX_IMAGES,
+				message: `A product can have at most ${MAX_IMAGES} images`,
+			},
+		},
+		// checked against the live collections, so new ones need no deploy
+		category: {
+			type: mongoose.Types.ObjectId,
+			ref: "Category",
 			required: [true, "Please provide product category"],
-			enum: ["office", "kitchen", "bedroom"],
+			validate: {
+				validator: (id) => referenceExists("Category", id),
+				message: "No category with id: {VALUE}",
+			},
 		},
 		company: {
-			type: String,
+			type: mongoose.Types.ObjectId,
+			ref: "Company",
 			required: [true, "Please provide company"],
-			enum: {
-				values: ["ikea", "liddy", "marcos"],
-				message: "{VALUE} is not supported",
+			validate: {
+				validator: (id) => referenceExists("Company", id),
+				message: "No company with id: {VALUE}",
 			},
 		},
 		colors: {
@@ -49,11 +136,29 @@ const ProductSchema = new mongoose.Schema(
 			type: Boolean,
 			default: false,
 		},
+		// for products with variants this is kept as the sum of their stock
 		inventory: {
 			type: Number,
 			required: true,
 			default: 15,
 		},
+		variants: {
+			type: [VariantSchema],
+			validate: [
+				{
+					validator: (variants) =>
+						hasNoDuplicates(variants.map((variant) => variant.sku)),
+					message: "Variant skus must be unique",
+				},
+				{
+					validator: (variants) =>
+						hasNoDuplicates(
+							variants.map((variant) => describeOptions(variant.options))
+						),
+					message: "Variant options must be unique",
+				},
+			],
+		},
 		averageRating: {
 			type: Number,
 			default: 0,
@@ -71,6 +176,13 @@ const ProductSchema = new mongoose.Schema(
 	{ timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
+ProductSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+// a match in the name counts five times as much as one in the description
+ProductSchema.index(
+	{ name: "text", description: "text" },
+	{ name: "ProductTextIndex", weights: { name: 5, description: 1 } }
+);
+
 ProductSchema.virtual("reviews", {
 	ref: "Review",
 	localField: "_id",
@@ -90,4 +202,81 @@ ProductSchema.pre("remove", async function (next) {
 	await this.model("Review").deleteMany({ product: this._id });
 });
 
+ProductSchema.pre("validate", function () {
+	if (this.images.length > 0) {
+		const primary =
+			this.images.find((image) => image.isPrimary) || this.images[0];
+		this.images.forEach((image) => {
+			image.isPrimary = image === primary;
+		});
+		this.image = primary.url;
+		this.thumbnail = primary.thumbnail;
+	} else if (!this.isNew && this.isModified("images")) {
+		// the last gallery image was removed
+		this.image = ProductSchema.path("image").defaultValue;
+		this.thumbnail = undefined;
+	}
+	if (this.variants.length > 0) {
+		this.inventory = this.variants.reduce(
+			(sum, variant) => sum + variant.inventory,
+			0
+		);
+	}
+});
+
+// a variant's stock and the product total move together
+const stockUpdate = (item, direction) => {
+	if (!item.variant) {
+		return {
+			filter: { _id: item.product },
+			update: { $inc: { inventory: direction * item.amount } },
+		};
+	}
+	return {
+		filter: { _id: item.product, "variants._id": item.variant },
+		update: {
+			$inc: {
+				inventory: direction * item.amount,
+				"variants.$.inventory": direction * item.amount,
+			},
+		},
+	};
+};
+
+// decrement stock for every line item or for none of them
+ProductSchema.statics.reserveStock = async function (items) {
+	const reserved = [];
+	for (const item of items) {
+		const { update } = stockUpdate(item, -1);
+		const filter = item.variant
+			? {
+					_id: item.product,
+					variants: {
+						$elemMatch: { _id: item.variant, inventory: { $gte: item.amount } },
+					},
+			  }
+			: { _id: item.product, inventory: { $gte: item.amount } };
+		const result = await this.updateOne(filter, update);
+		if (result.modifiedCount !== 1) {
+			await this.releaseStock(reserved);
+			return { success: false, failedItem: item };
+		}
+		reserved.push(item);
+	}
+	return { success: true };
+};
+
+ProductSchema.statics.releaseStock = async function (items) {
+	for (const item of items) {
+		const { filter, update } = stockUpdate(item, 1);
+		await this.updateOne(filter, update);
+	}
+};
+
+ProductSchema.methods.setPrimaryImage = function (image) {
+	this.images.forEach((item) => {
+		item.isPrimary = item._id.equals(image._id);
+	});
+};
+
 module.exports = mongoose.model("Product", ProductSchema);
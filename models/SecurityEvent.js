@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const SECURITY_EVENT_TYPES = [
+	"login_failed",
+	"account_locked",
+	"account_unlocked",
+	"ip_blocked",
+];
+
+// append-only audit trail of authentication events
+const SecurityEventSchema = new mongoose.Schema(
+	{
+		type: {
+			type: String,
+			enum: SECURITY_EVENT_TYPES,
+			required: true,
+		},
+		user: {
+			type: mongoose.Types.ObjectId,
+			ref: "User",
+		},
+		email: {
+			type: String,
+		},
+		ip: {
+			type: String,
+		},
+		userAgent: {
+			type: String,
+		},
+		details: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+	},
+	{ timestamps: true }
+);
+
+SecurityEventSchema.index({ type: 1, ip: 1, createdAt: -1 });
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+
+SecurityEventSchema.statics.record = function ({ type, req, user, email, details }) {
+	return this.create({
+		type,
+		user,
+		email,
+		ip: req && req.ip,
+		userAgent: req && req.headers && req.headers["user-agent"],
+		details,
+	});
+};
+
+module.exports = mongoose.model("SecurityEvent", SecurityEventSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// one refresh token per document; rotated tokens of one login share a family
+const TokenSchema = new mongoose.Schema(
+	{
+		user: {
+			type: mongoose.Types.ObjectId,
+			ref: "User",
+			required: true,
+		},
+		family: {
+			type: String,
+			required: true,
+		},
+		tokenHash: {
+			type: String,
+			required: true,
+			unique: true,
+		},
+		userAgent: {
+			type: String,
+		},
+		ip: {
+			type: String,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+		lastUsedAt: {
+			type: Date,
+		},
+		revokedAt: {
+			type: Date,
+		},
+		replacedBy: {
+			type: mongoose.Types.ObjectId,
+			ref: "Token",
+		},
+	},
+	{ timestamps: true }
+);
+
+TokenSchema.index({ family: 1 });
+TokenSchema.index({ user: 1, revokedAt: 1 });
+// mongo removes expired tokens on its own
+TokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+TokenSchema.statics.revokeFamily = function (family) {
+	return this.updateMany(
+		{ family, revokedAt: null },
+		{ revokedAt: new Date() }
+	);
+};
+
+TokenSchema.statics.revokeAllForUser = function (user) {
+	return this.updateMany({ user, revokedAt: null }, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model("Token", TokenSchema);
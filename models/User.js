@@ -1,6 +1,16 @@
 const mongoose = require("mongoose");
 const validator = require("validator");
 const bcrypt = require("bcryptjs");
+const { ROLES } = require("../utils/permissions");
+const { AddressSchema } = require("./Address");
+
+const SavedAddressSchema = AddressSchema.clone();
+SavedAddressSchema.add({
+	isDefault: {
+		type: Boolean,
+		default: false,
+	},
+});
 
 const UserSchema = new mongoose.Schema({
 	name: {
@@ -25,9 +35,48 @@ const UserSchema = new mongoose.Schema({
 	},
 	role: {
 		type: String,
-		enum: ["admin", "user"],
+		enum: ROLES,
 		default: "user",
 	},
+	isVerified: {
+		type: Boolean,
+		default: false,
+	},
+	// sha256 of the token that was emailed, never the token itself
+	verificationToken: String,
+	verificationTokenExpires: Date,
+	verified: Date,
+	passwordToken: String,
+	passwordTokenExpirationDate: Date,
+	failedLoginAttempts: {
+		type: Number,
+		default: 0,
+	},
+	lockUntil: Date,
+	unlockToken: String,
+	twoFactorEnabled: {
+		type: Boolean,
+		default: false,
+	},
+	twoFactorSecret: String,
+	// set by setup, only promoted to twoFactorSecret once a code checks out
+	twoFactorPendingSecret: String,
+	// last accepted time step, so a code can't be replayed
+	twoFactorLastCounter: Number,
+	twoFactorRecoveryCodes: [String],
+	isActive: {
+		type: Boolean,
+		default: true,
+	},
+	deactivatedAt: Date,
+	anonymizedAt: Date,
+	addresses: {
+		type: [SavedAddressSchema],
+		validate: {
+			validator: (addresses) => addresses.length <= 20,
+			message: "You can save up to 20 addresses",
+		},
+	},
 });
 
 UserSchema.pre("save", async function () {
@@ -43,4 +92,19 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
 	return isMatch;
 };
 
+// secrets and token hashes never leave the server
+UserSchema.methods.toJSON = function () {
+	const user = this.toObject();
+	[
+		"password",
+		"verificationToken",
+		"passwordToken",
+		"unlockToken",
+		"twoFactorSecret",
+		"twoFactorPendingSecret",
+		"twoFactorRecoveryCodes",
+	].forEach((field) => delete user[field]);
+	return user;
+};
+
 module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const slugify = require("../../utils/slugify");
+
+// unique slug derived from the name, plus lookups that accept slugs or ids
+const sluggable = (schema) => {
+	schema.add({
+		slug: {
+			type: String,
+			trim: true,
+			lowercase: true,
+			unique: true,
+			match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Please provide a valid slug"],
+		},
+	});
+
+	// slugs are global, even for nested categories, so lookups by slug stay
+	// unambiguous. A clash gets a readable error instead of E11000
+	schema.path("slug").validate({
+		validator: async function (slug) {
+			const taken = await this.constructor.exists({
+				slug,
+				_id: { $ne: this._id },
+			});
+			return !taken;
+		},
+		message: "Slug {VALUE} is already taken, please provide a different slug",
+	});
+
+	schema.pre("validate", function () {
+		if (!this.slug && this.name) {
+			this.slug = slugify(this.name);
+		}
+	});
+
+	// storefront filters send slugs, admin tools tend to send ids
+	schema.statics.findBySlugsOrIds = function (values) {
+		const ids = values.filter((value) => mongoose.isObjectIdOrHexString(value));
+		const slugs = values.map((value) => slugify(value));
+		return this.find({ $or: [{ _id: { $in: ids } }, { slug: { $in: slugs } }] });
+	};
+};
+
+module.exports = sluggable;
@@ -0,0 +1,37 @@
+const createMockProvider = require("./mock-provider");
+const createStripeProvider = require("./stripe-provider");
+const { signWebhookPayload, verifyWebhookSignature } = require("./signature");
+
+// every provider exposes createPaymentIntent, confirmPaymentIntent,
+// retrievePaymentIntent, cancelPaymentIntent, refundPayment and parseWebhookEvent
+const providers = {
+	mock: createMockProvider,
+	stripe: createStripeProvider,
+};
+
+let paymentProvider;
+
+const getPaymentProvider = () => {
+	if (!paymentProvider) {
+		const name = process.env.PAYMENT_PROVIDER || "mock";
+		const createProvider = providers[name];
+		if (!createProvider) {
+			throw new Error(`Unknown payment provider: ${name}`);
+		}
+		paymentProvider = createProvider();
+	}
+	return paymentProvider;
+};
+
+const setPaymentProvider = (provider) => {
+	paymentProvider = provider;
+};
+
+module.exports = {
+	getPaymentProvider,
+	setPaymentProvider,
+	createMockProvider,
+	createStripeProvider,
+	signWebhookPayload,
+	verifyWebhookSignature,
+};
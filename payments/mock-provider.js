@@ -0,0 +1,95 @@
+const WEBHOOK_EVENT_TYPES = [
+	"payment.succeeded",
+	"payment.failed",
+	"payment.refunded",
+];
+
+// deterministic in-memory provider for local development and tests
+const createMockProvider = () => {
+	const intents = new Map();
+	const refunds = new Map();
+	let sequence = 0;
+
+	const getIntent = (id) => {
+		const intent = intents.get(id);
+		if (!intent) {
+			throw new Error(`No payment intent with id: ${id}`);
+		}
+		return intent;
+	};
+
+	const createPaymentIntent = async ({ amount, currency, metadata = {} }) => {
+		sequence += 1;
+		const id = `pi_mock_${sequence}`;
+		const intent = {
+			id,
+			clientSecret: `${id}_secret`,
+			amount,
+			currency,
+			status: "requires_confirmation",
+			metadata,
+		};
+		intents.set(id, intent);
+		return { ...intent };
+	};
+
+	// "pm_mock_declined" simulates a card that is declined
+	const confirmPaymentIntent = async (id, { paymentMethod } = {}) => {
+		const intent = getIntent(id);
+		intent.status =
+			paymentMethod === "pm_mock_declined" ? "failed" : "succeeded";
+		return { ...intent };
+	};
+
+	const retrievePaymentIntent = async (id) => ({ ...getIntent(id) });
+
+	const cancelPaymentIntent = async (id) => {
+		const intent = getIntent(id);
+		if (intent.status === "succeeded" || intent.status === "refunded") {
+			throw new Error(`Payment intent ${id} was already captured`);
+		}
+		intent.status = "canceled";
+		return { ...intent };
+	};
+
+	const refundPayment = async ({ paymentIntentId, amount }) => {
+		const intent = getIntent(paymentIntentId);
+		if (intent.status !== "succeeded") {
+			throw new Error(`Payment intent ${paymentIntentId} was not captured`);
+		}
+		const refund = {
+			id: `re_mock_${refunds.size + 1}`,
+			paymentIntentId,
+			amount: amount === undefined ? intent.amount : amount,
+			status: "succeeded",
+		};
+		refunds.set(refund.id, refund);
+		intent.status = "refunded";
+		return { ...refund };
+	};
+
+	// events are posted already in the app's own shape
+	const parseWebhookEvent = (body = {}) => {
+		const { id, type, data = {} } = body;
+		if (!id || !WEBHOOK_EVENT_TYPES.includes(type)) return null;
+		return {
+			id,
+			type,
+			paymentIntentId: data.paymentIntentId,
+			amount: data.amount,
+		};
+	};
+
+	return {
+		name: "mock",
+		signatureHeader: "x-payment-signature",
+		createPaymentIntent,
+		confirmPaymentIntent,
+		retrievePaymentIntent,
+		cancelPaymentIntent,
+		refundPayment,
+		parseWebhookEvent,
+	};
+};
+
+module.exports = createMockProvider;
@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const computeSignature = ({ payload, timestamp, secret }) =>
+	crypto
+		.createHmac("sha256", secret)
+		.update(`${timestamp}.${payload}`)
+		.digest("hex");
+
+// header format is "t=<unix seconds>,v1=<hex hmac of `${t}.${payload}`>"
+const signWebhookPayload = ({
+	payload,
+	secret,
+	timestamp = Math.floor(Date.now() / 1000),
+}) => `t=${timestamp},v1=${computeSignature({ payload, timestamp, secret })}`;
+
+const parseSignatureHeader = (header) =>
+	String(header)
+		.split(",")
+		.reduce((parts, item) => {
+			const [key, value] = item.split("=");
+			if (key && value) {
+				parts[key.trim()] = [...(parts[key.trim()] || []), value.trim()];
+			}
+			return parts;
+		}, {});
+
+const verifyWebhookSignature = ({
+	payload,
+	header,
+	secret,
+	toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+	now = Math.floor(Date.now() / 1000),
+}) => {
+	if (!payload || !header || !secret) return false;
+
+	const { t: [timestamp] = [], v1: signatures = [] } =
+		parseSignatureHeader(header);
+	if (!timestamp || Math.abs(now - Number(timestamp)) > toleranceSeconds) {
+		return false;
+	}
+
+	const expected = Buffer.from(
+		computeSignature({ payload, timestamp, secret }),
+		"hex"
+	);
+	return signatures.some((signature) => {
+		const candidate = Buffer.from(signature, "hex");
+		return (
+			candidate.length === expected.length &&
+			crypto.timingSafeEqual(candidate, expected)
+		);
+	});
+};
+
+module.exports = {
+	signWebhookPayload,
+	verifyWebhookSignature,
+};
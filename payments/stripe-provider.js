@@ -0,0 +1,120 @@
+const STRIPE_API_URL = "https://api.stripe.com/v1";
+
+// map stripe statuses onto the ones the rest of the app understands
+const normalizeStatus = (status) => {
+	if (status === "succeeded" || status === "canceled") return status;
+	if (status === "requires_payment_method") return "failed";
+	return "requires_confirmation";
+};
+
+const toIntent = (data) => ({
+	id: data.id,
+	clientSecret: data.client_secret,
+	amount: data.amount,
+	currency: data.currency,
+	status: normalizeStatus(data.status),
+	metadata: data.metadata || {},
+});
+
+// stripe event type -> app event type and where to read the intent from
+const webhookEventMap = {
+	"payment_intent.succeeded": (object) => ({
+		type: "payment.succeeded",
+		paymentIntentId: object.id,
+		amount: object.amount_received,
+	}),
+	"payment_intent.payment_failed": (object) => ({
+		type: "payment.failed",
+		paymentIntentId: object.id,
+		amount: object.amount,
+	}),
+	"charge.refunded": (object) => ({
+		type: "payment.refunded",
+		paymentIntentId: object.payment_intent,
+		amount: object.amount_refunded,
+	}),
+};
+
+const createStripeProvider = ({ secretKey = process.env.STRIPE_SECRET_KEY } = {}) => {
+	if (!secretKey) {
+		throw new Error("STRIPE_SECRET_KEY is required for the stripe provider");
+	}
+
+	const request = async (method, path, params) => {
+		const body = new URLSearchParams();
+		Object.entries(params || {}).forEach(([key, value]) => {
+			if (value === undefined) return;
+			if (typeof value === "object") {
+				Object.entries(value).forEach(([nestedKey, nestedValue]) =>
+					body.append(`${key}[${nestedKey}]`, String(nestedValue))
+				);
+			} else {
+				body.append(key, String(value));
+			}
+		});
+
+		const response = await fetch(`${STRIPE_API_URL}${path}`, {
+			method,
+			headers: {
+				Authorization: `Bearer ${secretKey}`,
+				"Content-Type": "application/x-www-form-urlencoded",
+			},
+			body: method === "GET" ? undefined : body,
+		});
+		const data = await response.json();
+		if (!response.ok) {
+			throw new Error(data.error?.message || "Payment provider error");
+		}
+		return data;
+	};
+
+	const createPaymentIntent = async ({ amount, currency, metadata }) =>
+		toIntent(
+			await request("POST", "/payment_intents", { amount, currency, metadata })
+		);
+
+	const confirmPaymentIntent = async (id, { paymentMethod } = {}) =>
+		toIntent(
+			await request("POST", `/payment_intents/${id}/confirm`, {
+				payment_method: paymentMethod,
+			})
+		);
+
+	const retrievePaymentIntent = async (id) =>
+		toIntent(await request("GET", `/payment_intents/${id}`));
+
+	const cancelPaymentIntent = async (id) =>
+		toIntent(await request("POST", `/payment_intents/${id}/cancel`));
+
+	const refundPayment = async ({ paymentIntentId, amount }) => {
+		const data = await request("POST", "/refunds", {
+			payment_intent: paymentIntentId,
+			amount,
+		});
+		return {
+			id: data.id,
+			paymentIntentId,
+			amount: data.amount,
+			status: data.status,
+		};
+	};
+
+	const parseWebhookEvent = (body = {}) => {
+		const toEvent = webhookEventMap[body.type];
+		if (!body.id || !toEvent) return null;
+		return { id: body.id, ...toEvent(body.data.object) };
+	};
+
+	return {
+		name: "stripe",
+		signatureHeader: "stripe-signature",
+		createPaymentIntent,
+		confirmPaymentIntent,
+		retrievePaymentIntent,
+		cancelPaymentIntent,
+		refundPayment,
+		parseWebhookEvent,
+	};
+};
+
+module.exports = createStripeProvider;
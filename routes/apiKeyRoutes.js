@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+	authenticateUser,
+	authorizePermissions,
+} = require("../middleware/authentication");
+
+const {
+	createApiKey,
+	getMyApiKeys,
+	getAllApiKeys,
+	revokeApiKey,
+} = require("../controllers/apiKeyController");
+
+router
+	.route("/")
+	.post(authenticateUser, createApiKey)
+	.get(authenticateUser, getMyApiKeys);
+
+router
+	.route("/all")
+	.get(authenticateUser, authorizePermissions("api-key:manage"), getAllApiKeys);
+
+router.route("/:id").delete(authenticateUser, revokeApiKey);
+
+module.exports = router;
@@ -1,10 +1,45 @@
 const express = require("express");
 const router = express.Router();
+const rateLimiter = require("express-rate-limit");
+const { authenticateUser } = require("../middleware/authentication");
 
-const { register, login, logout } = require("../controllers/authController");
+const {
+	register,
+	verifyEmail,
+	resendVerificationEmail,
+	login,
+	loginWithTwoFactor,
+	refresh,
+	logout,
+	forgotPassword,
+	resetPassword,
+	unlockAccountWithToken,
+	getSessions,
+	revokeSession,
+} = require("../controllers/authController");
 
-router.post("/register", register);
-router.post("/login", login);
-router.get("/logout", logout);
+// much stricter than the app wide limiter, these are the brute force targets
+const authLimiter = rateLimiter({
+	windowMs: 15 * 60 * 1000,
+	max: 10,
+	standardHeaders: true,
+	legacyHeaders: false,
+	message: { msg: "Too many attempts, please try again later" },
+});
+
+router.post("/register", authLimiter, register);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", resendVerificationEmail);
+router.post("/login", authLimiter, login);
+router.post("/2fa", authLimiter, loginWithTwoFactor);
+router.post("/refresh", refresh);
+// POST lets cookie-less clients send their refresh token in the body
+router.route("/logout").get(logout).post(logout);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/unlock-account", unlockAccountWithToken);
+
+router.get("/sessions", authenticateUser, getSessions);
+router.delete("/sessions/:id", authenticateUser, revokeSession);
 
 module.exports = router;
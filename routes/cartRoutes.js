@@ -0,0 +1,30 @@
+const express = require("express");
+const router = express.Router();
+const {
+	authenticateUser,
+	authenticateOptional,
+} = require("../middleware/authentication");
+
+const {
+	getCart,
+	addCartItem,
+	updateCartItem,
+	removeCartItem,
+	clearCart,
+	checkoutCart,
+} = require("../controllers/cartController");
+
+router
+	.route("/")
+	.get(authenticateOptional, getCart)
+	.delete(authenticateOptional, clearCart);
+
+router.route("/items").post(authenticateOptional, addCartItem);
+router
+	.route("/items/:productId")
+	.patch(authenticateOptional, updateCartItem)
+	.delete(authenticateOptional, removeCartItem);
+
+router.route("/checkout").post(authenticateUser, checkoutCart);
+
+module.exports = router;
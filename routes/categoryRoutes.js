@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const {
+	authenticateUser,
+	authorizePermissions,
+} = require("../middleware/authentication");
+
+const {
+	createCategory,
+	getAllCategories,
+	getSingleCategory,
+	updateCategory,
+	deleteCategory,
+} = require("../controllers/categoryController");
+
+router
+	.route("/")
+	.post([authenticateUser, authorizePermissions("product:write")], createCategory)
+	.get(getAllCategories);
+
+router
+	.route("/:id")
+	.get(getSingleCategory)
+	.patch([authenticateUser, authorizePermissions("product:write")], updateCategory)
+	.delete([authenticateUser, authorizePermissions("product:write")], deleteCategory);
+
+module.exports = router;
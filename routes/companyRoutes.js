@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const {
+	authenticateUser,
+	authorizePermissions,
+} = require("../middleware/authentication");
+
+const {
+	createCompany,
+	getAllCompanies,
+	getSingleCompany,
+	updateCompany,
+	deleteCompany,
+} = require("../controllers/companyController");
+
+router
+	.route("/")
+	.post([authenticateUser, authorizePermissions("product:write")], createCompany)
+	.get(getAllCompanies);
+
+router
+	.route("/:id")
+	.get(getSingleCompany)
+	.patch([authenticateUser, authorizePermissions("product:write")], updateCompany)
+	.delete([authenticateUser, authorizePermissions("product:write")], deleteCompany);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const {
+	authenticateUser,
+	authorizePermissions,
+} = require("../middleware/authentication");
+
+const {
+	createCoupon,
+	getAllCoupons,
+	getSingleCoupon,
+	updateCoupon,
+	deleteCoupon,
+} = require("../controllers/couponController");
+
+router
+	.route("/")
+	.post([authenticateUser, authorizePermissions("coupon:write")], createCoupon)
+	.get([authenticateUser, authorizePermissions("coupon:write")], getAllCoupons);
+
+router
+	.route("/:id")
+	.get([authenticateUser, authorizePermissions("coupon:write")], getSingleCoupon)
+	.patch([authenticateUser, authorizePermissions("coupon:write")], updateCoupon)
+	.delete([authenticateUser, authorizePermissions("coupon:write")], deleteCoupon);
+
+module.exports = router;
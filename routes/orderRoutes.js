@@ -3,6 +3,7 @@ const router = express.Router();
 const {
 	authenticateUser,
 	authorizePermissions,
+	authorizeApiKeyScopes,
 } = require("../middleware/authentication");
 
 const {
@@ -11,18 +12,29 @@ const {
 	getSingleOrder,
 	createOrder,
 	updateOrder,
+	shipOrder,
+	deliverOrder,
+	cancelOrder,
 } = require("../controllers/orderController");
 
 router
 	.route("/")
 	.post(authenticateUser, createOrder)
-	.get(authenticateUser, authorizePermissions("admin"), getAllOrders);
+	.get(authenticateUser, authorizePermissions("order:read"), getAllOrders);
 
 router.route("/showAllMyOrders").get(authenticateUser, getCurrentUserOrders);
 
 router
 	.route("/:id")
-	.get(authenticateUser, getSingleOrder)
+	.get(authenticateUser, authorizeApiKeyScopes("order:read"), getSingleOrder)
 	.patch(authenticateUser, updateOrder);
 
+router
+	.route("/:id/ship")
+	.patch(authenticateUser, authorizePermissions("order:ship"), shipOrder);
+router
+	.route("/:id/deliver")
+	.patch(authenticateUser, authorizePermissions("order:ship"), deliverOrder);
+router.route("/:id/cancel").patch(authenticateUser, cancelOrder);
+
 module.exports = router;
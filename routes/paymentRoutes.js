@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+
+const { handleWebhook } = require("../controllers/paymentController");
+
+router.post("/webhook", handleWebhook);
+
+module.exports = router;
@@ -8,28 +8,86 @@ const {
 const {
 	createProduct,
 	getAllProducts,
+	searchProducts,
+	suggestProducts,
 	getSingleProduct,
 	updateProduct,
 	uploadImage,
 	deleteProduct,
 } = require("../controllers/productController");
 
+const {
+	addVariant,
+	updateVariant,
+	deleteVariant,
+} = require("../controllers/variantController");
+
+const {
+	addProductImages,
+	reorderProductImages,
+	updateProductImage,
+	setPrimaryProductImage,
+	deleteProductImage,
+} = require("../controllers/productImageController");
+
+const {
+	importProductCatalog,
+	exportProductCatalog,
+} = require("../controllers/productCatalogController");
+
 const { getSingleProductReviews } = require("../controllers/reviewController");
 
 router
 	.route("/")
-	.post([authenticateUser, authorizePermissions("admin")], createProduct)
+	.post([authenticateUser, authorizePermissions("product:write")], createProduct)
 	.get(getAllProducts);
 
+router.route("/search").get(searchProducts);
+router.route("/suggest").get(suggestProducts);
+
+router
+	.route("/import")
+	.post([authenticateUser, authorizePermissions("product:write")], importProductCatalog);
+
+router
+	.route("/export")
+	.get([authenticateUser, authorizePermissions("product:write")], exportProductCatalog);
+
 router
 	.route("/uploadImage")
-	.post([authenticateUser, authorizePermissions("admin")], uploadImage);
+	.post([authenticateUser, authorizePermissions("product:write")], uploadImage);
 
 router
 	.route("/:id")
 	.get(getSingleProduct)
-	.patch([authenticateUser, authorizePermissions("admin")], updateProduct)
-	.delete([authenticateUser, authorizePermissions("admin")], deleteProduct);
+	.patch([authenticateUser, authorizePermissions("product:write")], updateProduct)
+	.delete([authenticateUser, authorizePermissions("product:write")], deleteProduct);
+
+router
+	.route("/:id/images")
+	.post([authenticateUser, authorizePermissions("product:write")], addProductImages);
+
+router
+	.route("/:id/images/order")
+	.patch([authenticateUser, authorizePermissions("product:write")], reorderProductImages);
+
+router
+	.route("/:id/images/:imageId")
+	.patch([authenticateUser, authorizePermissions("product:write")], updateProductImage)
+	.delete([authenticateUser, authorizePermissions("product:write")], deleteProductImage);
+
+router
+	.route("/:id/images/:imageId/primary")
+	.patch([authenticateUser, authorizePermissions("product:write")], setPrimaryProductImage);
+
+router
+	.route("/:id/variants")
+	.post([authenticateUser, authorizePermissions("product:write")], addVariant);
+
+router
+	.route("/:id/variants/:variantId")
+	.patch([authenticateUser, authorizePermissions("product:write")], updateVariant)
+	.delete([authenticateUser, authorizePermissions("product:write")], deleteVariant);
 
 router.route("/:id/reviews").get(getSingleProductReviews);
 
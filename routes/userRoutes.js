@@ -3,6 +3,7 @@ const router = express.Router();
 const {
 	authenticateUser,
 	authorizePermissions,
+	authorizeApiKeyScopes,
 } = require("../middleware/authentication");
 
 const {
@@ -11,16 +12,64 @@ const {
 	showCurrentUser,
 	updateUser,
 	updateUserPassword,
+	updateUserRole,
+	unlockUser,
+	deactivateUser,
+	reactivateUser,
+	deleteUser,
 } = require("../controllers/userController");
+const {
+	setupTwoFactor,
+	verifyTwoFactor,
+	disableTwoFactor,
+} = require("../controllers/twoFactorController");
+const {
+	getAddresses,
+	addAddress,
+	updateAddress,
+	setDefaultAddress,
+	deleteAddress,
+} = require("../controllers/addressController");
 
 router
 	.route("/")
-	.get(authenticateUser, authorizePermissions("admin"), getAllUsers);
+	.get(authenticateUser, authorizePermissions("user:read"), getAllUsers);
 
 router.route("/showMe").get(authenticateUser, showCurrentUser);
 router.route("/updateUser").patch(authenticateUser, updateUser);
 router.route("/updateUserPassword").patch(authenticateUser, updateUserPassword);
 
-router.route("/:id").get(authenticateUser, getSingleUser);
+router.route("/2fa/setup").post(authenticateUser, setupTwoFactor);
+router.route("/2fa/verify").post(authenticateUser, verifyTwoFactor);
+router.route("/2fa/disable").post(authenticateUser, disableTwoFactor);
+
+router
+	.route("/addresses")
+	.get(authenticateUser, getAddresses)
+	.post(authenticateUser, addAddress);
+router
+	.route("/addresses/:addressId")
+	.patch(authenticateUser, updateAddress)
+	.delete(authenticateUser, deleteAddress);
+router
+	.route("/addresses/:addressId/default")
+	.patch(authenticateUser, setDefaultAddress);
+
+router
+	.route("/:id")
+	.get(authenticateUser, authorizeApiKeyScopes("user:read"), getSingleUser)
+	.delete(authenticateUser, authorizePermissions("user:manage"), deleteUser);
+router
+	.route("/:id/role")
+	.patch(authenticateUser, authorizePermissions("user:role"), updateUserRole);
+router
+	.route("/:id/unlock")
+	.patch(authenticateUser, authorizePermissions("user:unlock"), unlockUser);
+router
+	.route("/:id/deactivate")
+	.patch(authenticateUser, authorizePermissions("user:manage"), deactivateUser);
+router
+	.route("/:id/reactivate")
+	.patch(authenticateUser, authorizePermissions("user:manage"), reactivateUser);
 
 module.exports = router;
@@ -0,0 +1,34 @@
+// node scripts/exportProducts.js [file.csv|file.json] [--format=csv]
+// without a file the catalog is written to stdout
+require("dotenv").config();
+const fs = require("fs");
+const mongoose = require("mongoose");
+const connectDB = require("../db/connect");
+const {
+	detectFormat,
+	exportProducts,
+	serializeProducts,
+} = require("../utils/productCatalog");
+
+if (require.main === module) {
+	const [file] = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+	const option = process.argv.find((arg) => arg.startsWith("--format="));
+	const format = detectFormat({
+		format: option && option.slice("--format=".length),
+		fileName: file,
+	});
+
+	connectDB(process.env.MONGO_URL)
+		.then(() => exportProducts())
+		.then((records) => {
+			const output = serializeProducts(records, format);
+			if (!file) return process.stdout.write(output);
+			fs.writeFileSync(file, output);
+			console.log(`${records.length} products exported to ${file}`);
+		})
+		.catch((error) => {
+			console.log(error);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,66 @@
+// node scripts/importProducts.js <file.csv|file.json> [--dry-run] [--format=csv] [--user=<email>]
+// new products are owned by --user, or by the oldest admin account
+require("dotenv").config();
+const fs = require("fs");
+const mongoose = require("mongoose");
+const connectDB = require("../db/connect");
+const User = require("../models/User");
+const {
+	detectFormat,
+	parseProductFile,
+	importProducts,
+} = require("../utils/productCatalog");
+
+const readOption = (name) => {
+	const option = process.argv.find((arg) => arg.startsWith(`--${name}=`));
+	return option && option.slice(name.length + 3);
+};
+
+const findOwner = async (email) => {
+	const owner = email
+		? await User.findOne({ email })
+		: await User.findOne({ role: "admin" }).sort("createdAt");
+	if (!owner) {
+		throw new Error(email ? `No user with email: ${email}` : "No admin user found");
+	}
+	return owner;
+};
+
+const printReport = (report) => {
+	report.rows
+		.filter((row) => row.status === "failed")
+		.forEach((row) => {
+			console.log(`  row ${row.row} (${row.name || "unnamed"}):`);
+			row.errors.forEach(({ field, message }) =>
+				console.log(`    ${field ? `${field}: ` : ""}${message}`)
+			);
+		});
+	console.log(`${report.dryRun ? "[dry run] " : ""}products imported`);
+	console.log(`  created: ${report.created}`);
+	console.log(`  updated: ${report.updated}`);
+	console.log(`  failed: ${report.failed}`);
+};
+
+if (require.main === module) {
+	const [file] = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+	const dryRun = process.argv.includes("--dry-run");
+	if (!file) {
+		console.log("usage: node scripts/importProducts.js <file> [--dry-run] [--user=<email>]");
+		process.exit(1);
+	}
+	const format = detectFormat({ format: readOption("format"), fileName: file });
+	const rows = parseProductFile(fs.readFileSync(file, "utf8"), format);
+
+	connectDB(process.env.MONGO_URL)
+		.then(() => findOwner(readOption("user")))
+		.then((owner) => importProducts(rows, { dryRun, userId: owner._id }))
+		.then((report) => {
+			printReport(report);
+			if (report.failed > 0) process.exitCode = 1;
+		})
+		.catch((error) => {
+			console.log(error);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
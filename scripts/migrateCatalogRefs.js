@@ -0,0 +1,117 @@
+// node scripts/migrateCatalogRefs.js [--dry-run]
+// products and coupons used to store "office" / "ikea" as plain strings,
+// this creates the matching categories and companies and stores their ids instead
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db/connect");
+const Product = require("../models/Product");
+const Coupon = require("../models/Coupon");
+const Category = require("../models/Category");
+const Company = require("../models/Company");
+const slugify = require("../utils/slugify");
+
+const isLegacyValue = (value) => typeof value === "string";
+
+const createReferenceResolver = ({ dryRun }) => {
+	const created = { Category: [], Company: [] };
+	const cache = new Map();
+
+	const resolve = async (model, name) => {
+		const slug = slugify(name);
+		const key = `${model.modelName}:${slug}`;
+		if (cache.has(key)) return cache.get(key);
+
+		let document = await model.findOne({ slug });
+		if (!document) {
+			created[model.modelName].push(name);
+			document = dryRun
+				? { _id: new mongoose.Types.ObjectId() }
+				: await model.create({ name, slug });
+		}
+		cache.set(key, document._id);
+		return document._id;
+	};
+
+	return { resolve, created };
+};
+
+const migrateProducts = async ({ resolve, dryRun }) => {
+	let updated = 0;
+	for (const [field, model] of [
+		["category", Category],
+		["company", Company],
+	]) {
+		const values = await Product.collection.distinct(field, {
+			[field]: { $type: "string" },
+		});
+		for (const value of values) {
+			const id = await resolve(model, value);
+			if (dryRun) {
+				updated += await Product.collection.countDocuments({ [field]: value });
+				continue;
+			}
+			const result = await Product.collection.updateMany(
+				{ [field]: value },
+				{ $set: { [field]: id } }
+			);
+			updated += result.modifiedCount;
+		}
+	}
+	return updated;
+};
+
+const migrateCoupons = async ({ resolve, dryRun }) => {
+	const coupons = await Coupon.collection
+		.find({
+			$or: [
+				{ categories: { $type: "string" } },
+				{ companies: { $type: "string" } },
+			],
+		})
+		.toArray();
+
+	for (const coupon of coupons) {
+		const toIds = (values = [], model) =>
+			Promise.all(
+				values.map((value) =>
+					isLegacyValue(value) ? resolve(model, value) : value
+				)
+			);
+		const categories = await toIds(coupon.categories, Category);
+		const companies = await toIds(coupon.companies, Company);
+		if (!dryRun) {
+			await Coupon.collection.updateOne(
+				{ _id: coupon._id },
+				{ $set: { categories, companies } }
+			);
+		}
+	}
+	return coupons.length;
+};
+
+const migrateCatalogRefs = async ({ dryRun = false } = {}) => {
+	const { resolve, created } = createReferenceResolver({ dryRun });
+	const products = await migrateProducts({ resolve, dryRun });
+	const coupons = await migrateCoupons({ resolve, dryRun });
+	return { products, coupons, created };
+};
+
+if (require.main === module) {
+	const dryRun = process.argv.includes("--dry-run");
+	connectDB(process.env.MONGO_URL)
+		.then(() => migrateCatalogRefs({ dryRun }))
+		.then(({ products, coupons, created }) => {
+			console.log(`${dryRun ? "[dry run] " : ""}catalog references migrated`);
+			console.log(`  categories created: ${created.Category.join(", ") || "none"}`);
+			console.log(`  companies created: ${created.Company.join(", ") || "none"}`);
+			console.log(`  products updated: ${products}`);
+			console.log(`  coupons updated: ${coupons}`);
+		})
+		.catch((error) => {
+			console.log(error);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateCatalogRefs;
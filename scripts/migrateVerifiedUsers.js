@@ -0,0 +1,36 @@
+// node scripts/migrateVerifiedUsers.js [--dry-run]
+// accounts created before email verification existed have no isVerified field,
+// mongoose would default it to false and lock every one of them out at login
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db/connect");
+const User = require("../models/User");
+
+// raw collection queries, a mongoose query would see the default instead of a missing field
+const LEGACY_USERS = { isVerified: { $exists: false } };
+
+const migrateVerifiedUsers = async ({ dryRun = false } = {}) => {
+	if (dryRun) {
+		return User.collection.countDocuments(LEGACY_USERS);
+	}
+	const result = await User.collection.updateMany(LEGACY_USERS, {
+		$set: { isVerified: true, verified: new Date() },
+	});
+	return result.modifiedCount;
+};
+
+if (require.main === module) {
+	const dryRun = process.argv.includes("--dry-run");
+	connectDB(process.env.MONGO_URL)
+		.then(() => migrateVerifiedUsers({ dryRun }))
+		.then((count) => {
+			console.log(`${dryRun ? "[dry run] " : ""}existing users marked verified: ${count}`);
+		})
+		.catch((error) => {
+			console.log(error);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
+
+module.exports = migrateVerifiedUsers;
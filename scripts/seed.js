@@ -0,0 +1,199 @@
+// node scripts/seed.js [--env=development] [--wipe]
+// loads mockData into the database of a named environment: users, catalog and orders.
+// without --wipe existing users and products are kept and updated in place
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../db/connect");
+const User = require("../models/User");
+const Category = require("../models/Category");
+const Company = require("../models/Company");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+require("../models/ApiKey");
+require("../models/Cart");
+require("../models/Coupon");
+require("../models/PaymentEvent");
+require("../models/Review");
+require("../models/SecurityEvent");
+require("../models/Token");
+const slugify = require("../utils/slugify");
+const {
+	parseProductFile,
+	importProducts,
+} = require("../utils/productCatalog");
+const products = require("../mockData/products.json");
+const orders = require("../mockData/orders.json");
+
+// each environment reads its database url from its own variable, there is no production entry
+const ENVIRONMENTS = {
+	development: "MONGO_URL",
+	test: "MONGO_URL_TEST",
+	staging: "MONGO_URL_STAGING",
+};
+
+const SEED_PASSWORD = process.env.SEED_PASSWORD || "secret123";
+const SEED_USERS = [
+	{ name: "admin", email: "admin@example.com", role: "admin" },
+	{ name: "catalog manager", email: "catalog@example.com", role: "catalog-manager" },
+	{ name: "warehouse", email: "warehouse@example.com", role: "order-fulfilment" },
+	{ name: "support", email: "support@example.com", role: "support" },
+	{ name: "john", email: "john@example.com", role: "user" },
+	{ name: "susan", email: "susan@example.com", role: "user" },
+];
+
+// the order fixtures predate the product fixtures and still use a few old names
+const FIXTURE_PRODUCT_NAMES = {
+	bed: "emperor bed",
+	chair: "armchair",
+};
+
+const parseArgs = (argv) => {
+	const option = argv.find((arg) => arg.startsWith("--env="));
+	return {
+		environment: option ? option.slice("--env=".length) : "development",
+		wipe: argv.includes("--wipe"),
+	};
+};
+
+const resolveDatabaseUrl = (environment) => {
+	const variable = ENVIRONMENTS[environment];
+	if (!variable) {
+		throw new Error(
+			`Unknown environment: ${environment}, use ${Object.keys(ENVIRONMENTS).join(", ")}`
+		);
+	}
+	if (!process.env[variable]) {
+		throw new Error(`Please set ${variable} to seed ${environment}`);
+	}
+	return process.env[variable];
+};
+
+const wipeDatabase = async () => {
+	for (const model of Object.values(mongoose.models)) {
+		await model.deleteMany({});
+	}
+};
+
+// seed accounts are verified so they can log in straight away
+const seedUsers = async () => {
+	const users = [];
+	for (const { name, email, role } of SEED_USERS) {
+		let user = await User.findOne({ email });
+		if (!user) {
+			user = new User({ name, email, password: SEED_PASSWORD });
+		}
+		user.set({ role, isVerified: true, verified: user.verified || new Date() });
+		users.push(await user.save());
+	}
+	return users;
+};
+
+const seedCatalogRefs = async () => {
+	for (const [field, model] of [
+		["category", Category],
+		["company", Company],
+	]) {
+		const names = [...new Set(products.map((product) => product[field]))];
+		for (const name of names) {
+			if (!(await model.exists({ slug: slugify(name) }))) {
+				await model.create({ name });
+			}
+		}
+	}
+};
+
+const seedProducts = async (admin) => {
+	const report = await importProducts(parseProductFile(products, "json"), {
+		userId: admin._id,
+	});
+	if (report.failed > 0) {
+		const failures = report.rows
+			.filter((row) => row.status === "failed")
+			.map((row) => `${row.name}: ${row.errors.map((error) => error.message).join(", ")}`);
+		throw new Error(`Could not import products\n  ${failures.join("\n  ")}`);
+	}
+	return report;
+};
+
+const fixtureProductName = (name) => FIXTURE_PRODUCT_NAMES[name] || name;
+
+// the fixtures point at product ids from someone's old database, match them by name instead
+const seedOrders = async (customers, fixtures = orders) => {
+	if (await Order.exists({ user: { $in: customers.map((user) => user._id) } })) {
+		return 0;
+	}
+	const catalog = await Product.find({
+		name: {
+			$in: fixtures.flatMap((order) =>
+				order.items.map((item) => fixtureProductName(item.name))
+			),
+		},
+	});
+	const created = [];
+	for (const [index, fixture] of fixtures.entries()) {
+		const orderItems = fixture.items.map((item) => {
+			const name = fixtureProductName(item.name);
+			const product = catalog.find((entry) => entry.name === name);
+			if (!product) {
+				throw new Error(`Order fixture ${index + 1} references unknown product: ${item.name}`);
+			}
+			return { ...item, name, product: product._id, image: product.image };
+		});
+		const subtotal = orderItems.reduce(
+			(sum, item) => sum + item.price * item.amount,
+			0
+		);
+		created.push(
+			await Order.create({
+				tax: fixture.tax,
+				shippingFee: fixture.shippingFee,
+				subtotal,
+				total: subtotal + fixture.tax + fixture.shippingFee,
+				orderItems,
+				user: customers[index % customers.length]._id,
+				clientSecret: `seed_secret_${index + 1}`,
+			})
+		);
+	}
+	return created.length;
+};
+
+const seed = async ({ wipe = false } = {}) => {
+	if (wipe) await wipeDatabase();
+	const users = await seedUsers();
+	const admin = users.find((user) => user.role === "admin");
+	const customers = users.filter((user) => user.role === "user");
+	await seedCatalogRefs();
+	const { created, updated } = await seedProducts(admin);
+	const orderCount = await seedOrders(customers);
+	return { users: users.length, created, updated, orders: orderCount };
+};
+
+if (require.main === module) {
+	const { environment, wipe } = parseArgs(process.argv.slice(2));
+
+	Promise.resolve()
+		.then(() => connectDB(resolveDatabaseUrl(environment)))
+		.then(() => seed({ wipe }))
+		.then(({ users, created, updated, orders: orderCount }) => {
+			console.log(`${environment} seeded${wipe ? " from scratch" : ""}`);
+			console.log(`  users: ${users} (password: ${SEED_PASSWORD})`);
+			console.log(`  products created: ${created}, updated: ${updated}`);
+			console.log(`  orders created: ${orderCount}`);
+		})
+		.catch((error) => {
+			console.log(error);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
+
+module.exports = {
+	seed,
+	parseArgs,
+	resolveDatabaseUrl,
+	wipeDatabase,
+	seedOrders,
+	ENVIRONMENTS,
+	FIXTURE_PRODUCT_NAMES,
+};
@@ -0,0 +1,41 @@
+const { Writable } = require("stream");
+
+// speaks the part of the cloudinary uploader api we use, keeps uploads in memory
+const createCloudinaryStandIn = ({ cloudName = "stand-in" } = {}) => {
+	const uploads = new Map();
+
+	const upload_stream = (options, callback) => {
+		const chunks = [];
+		return new Writable({
+			write(chunk, encoding, next) {
+				chunks.push(chunk);
+				next();
+			},
+			final(done) {
+				const publicId = options.public_id;
+				if (uploads.has(publicId) && options.overwrite === false) {
+					callback({ message: `Resource already exists: ${publicId}` });
+					return done();
+				}
+				const buffer = Buffer.concat(chunks);
+				uploads.set(publicId, { buffer, format: options.format });
+				callback(null, {
+					public_id: publicId,
+					format: options.format,
+					bytes: buffer.length,
+					secure_url: `https://res.cloudinary.com/${cloudName}/image/upload/${publicId}.${options.format}`,
+				});
+				done();
+			},
+		});
+	};
+
+	const destroy = async (publicId) => {
+		const existed = uploads.delete(publicId);
+		return { result: existed ? "ok" : "not found" };
+	};
+
+	return { uploader: { upload_stream, destroy }, uploads };
+};
+
+module.exports = createCloudinaryStandIn;
@@ -0,0 +1,40 @@
+const cloudinary = require("cloudinary").v2;
+
+// "products/1f0c.jpg" -> public id "products/1f0c", format "jpg"
+const splitKey = (key) => {
+	const extension = key.slice(key.lastIndexOf(".") + 1);
+	return { publicId: key.slice(0, key.lastIndexOf(".")), format: extension };
+};
+
+// reads CLOUDINARY_URL, pass a client to point it somewhere else
+const createCloudinaryStorage = ({ client = cloudinary } = {}) => {
+	const save = ({ key, buffer }) => {
+		const { publicId, format } = splitKey(key);
+		return new Promise((resolve, reject) => {
+			const stream = client.uploader.upload_stream(
+				{
+					public_id: publicId,
+					format,
+					resource_type: "image",
+					overwrite: false,
+				},
+				(error, result) => {
+					if (error) return reject(error);
+					resolve({ key, url: result.secure_url });
+				}
+			);
+			stream.end(buffer);
+		});
+	};
+
+	const remove = async (key) => {
+		await client.uploader.destroy(splitKey(key).publicId, {
+			resource_type: "image",
+			invalidate: true,
+		});
+	};
+
+	return { name: "cloudinary", save, remove };
+};
+
+module.exports = createCloudinaryStorage;
@@ -0,0 +1,36 @@
+const createLocalStorage = require("./local-storage");
+const createCloudinaryStorage = require("./cloudinary-storage");
+const createCloudinaryStandIn = require("./cloudinary-stand-in");
+
+// every storage exposes save({ key, buffer, contentType }) -> { key, url }
+// and remove(key)
+const drivers = {
+	local: createLocalStorage,
+	cloudinary: createCloudinaryStorage,
+};
+
+let storage;
+
+const getStorage = () => {
+	if (!storage) {
+		const name = process.env.STORAGE_DRIVER || "local";
+		const createStorage = drivers[name];
+		if (!createStorage) {
+			throw new Error(`Unknown storage driver: ${name}`);
+		}
+		storage = createStorage();
+	}
+	return storage;
+};
+
+const setStorage = (driver) => {
+	storage = driver;
+};
+
+module.exports = {
+	getStorage,
+	setStorage,
+	createLocalStorage,
+	createCloudinaryStorage,
+	createCloudinaryStandIn,
+};
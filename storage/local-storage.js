@@ -0,0 +1,39 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_ROOT = path.join(__dirname, "../public/uploads");
+
+// files under public/uploads, served by express.static
+const createLocalStorage = ({
+	root = process.env.LOCAL_STORAGE_ROOT || DEFAULT_ROOT,
+	baseUrl = "/uploads",
+} = {}) => {
+	// keys are generated by us, but never let one point outside the root
+	const resolvePath = (key) => {
+		const filePath = path.resolve(root, key);
+		if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+			throw new Error(`Invalid storage key: ${key}`);
+		}
+		return filePath;
+	};
+
+	const save = async ({ key, buffer }) => {
+		const filePath = resolvePath(key);
+		await fs.mkdir(path.dirname(filePath), { recursive: true });
+		// "wx" fails instead of overwriting an existing file
+		await fs.writeFile(filePath, buffer, { flag: "wx" });
+		return { key, url: `${baseUrl}/${key}` };
+	};
+
+	const remove = async (key) => {
+		try {
+			await fs.unlink(resolvePath(key));
+		} catch (error) {
+			if (error.code !== "ENOENT") throw error;
+		}
+	};
+
+	return { name: "local", save, remove };
+};
+
+module.exports = createLocalStorage;
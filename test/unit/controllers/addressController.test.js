@@ -0,0 +1,162 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const User = require('../../../models/User');
+const handler = rewire('../../../controllers/addressController');
+
+const userId = '507f1f77bcf86cd799439012';
+
+const createAddress = (fields) => ({
+    fullName: 'Jane Doe',
+    line1: '1 Main St',
+    city: 'Springfield',
+    postalCode: '12345',
+    country: 'US',
+    state: 'NY',
+    ...fields
+});
+
+const createMockReqRes = (body = {}, params = {}) => {
+    return {
+        req: {
+            body,
+            params,
+            user: { userId }
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+
+describe("addressController", () => {
+    let user, findOneStub;
+
+    beforeEach(() => {
+        user = new User({
+            _id: userId,
+            addresses: [
+                { ...createAddress({ label: 'home' }), isDefault: true },
+                createAddress({ label: 'work', line1: '2 Office Rd' })
+            ]
+        });
+        // awaited directly or through .select("addresses")
+        findOneStub = sinon.stub(User, 'findOne').callsFake(() => {
+            const query = Promise.resolve(user);
+            query.select = sinon.stub().resolves(user);
+            return query;
+        });
+        sinon.stub(User.prototype, 'save').resolvesThis();
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@getAddresses", () => {
+        it('should return the address book of the logged in user', async () => {
+            const { req, res } = createMockReqRes();
+
+            await handler.getAddresses(req, res);
+
+            expect(findOneStub.calledWith({ _id: userId })).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+            expect(res.json.args[0][0].count).to.equal(2);
+        });
+    });
+
+    describe("@addAddress", () => {
+        it('should add an address without changing the default', async () => {
+            const { req, res } = createMockReqRes(createAddress({ label: 'cabin', line1: '3 Lake Dr' }));
+
+            await handler.addAddress(req, res);
+
+            expect(user.addresses).to.have.length(3);
+            expect(user.addresses[2]).to.include({ label: 'cabin', isDefault: false });
+            expect(user.addresses[0].isDefault).to.be.true;
+            expect(User.prototype.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+        });
+
+        it('should make the new address the default when asked', async () => {
+            const { req, res } = createMockReqRes({ ...createAddress({ label: 'cabin' }), isDefault: true });
+
+            await handler.addAddress(req, res);
+
+            expect(user.addresses.map((address) => address.isDefault)).to.deep.equal([false, false, true]);
+        });
+
+        it('should make the first address the default', async () => {
+            user.addresses = [];
+            const { req, res } = createMockReqRes(createAddress());
+
+            await handler.addAddress(req, res);
+
+            expect(user.addresses[0].isDefault).to.be.true;
+        });
+
+        it('should ignore fields that are not part of an address', async () => {
+            const { req, res } = createMockReqRes({ ...createAddress(), _id: '507f1f77bcf86cd799439099', role: 'admin' });
+
+            await handler.addAddress(req, res);
+
+            expect(user.addresses[2]._id.toString()).to.not.equal('507f1f77bcf86cd799439099');
+            expect(user.role).to.equal('user');
+        });
+    });
+
+    describe("@updateAddress", () => {
+        it('should update the fields of an address', async () => {
+            const addressId = user.addresses[1]._id.toString();
+            const { req, res } = createMockReqRes({ city: 'Shelbyville' }, { addressId });
+
+            await handler.updateAddress(req, res);
+
+            expect(user.addresses[1].city).to.equal('Shelbyville');
+            expect(user.addresses[1].line1).to.equal('2 Office Rd');
+            expect(res.json.args[0][0].address.city).to.equal('Shelbyville');
+        });
+
+        it('should throw NotFoundError for an unknown address', async () => {
+            const { req, res } = createMockReqRes({ city: 'Shelbyville' }, { addressId: '507f1f77bcf86cd799439099' });
+
+            try {
+                await handler.updateAddress(req, res);
+                expect.fail('updateAddress should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No address with id: 507f1f77bcf86cd799439099');
+                expect(User.prototype.save.called).to.be.false;
+            }
+        });
+    });
+
+    describe("@setDefaultAddress", () => {
+        it('should move the default flag to the chosen address', async () => {
+            const addressId = user.addresses[1]._id.toString();
+            const { req, res } = createMockReqRes({}, { addressId });
+
+            await handler.setDefaultAddress(req, res);
+
+            expect(user.addresses.map((address) => address.isDefault)).to.deep.equal([false, true]);
+            expect(User.prototype.save.calledOnce).to.be.true;
+        });
+    });
+
+    describe("@deleteAddress", () => {
+        it('should promote another address when the default is removed', async () => {
+            const addressId = user.addresses[0]._id.toString();
+            const { req, res } = createMockReqRes({}, { addressId });
+
+            await handler.deleteAddress(req, res);
+
+            expect(user.addresses).to.have.length(1);
+            expect(user.addresses[0]).to.include({ label: 'work', isDefault: true });
+            expect(res.json.calledWith({ msg: 'Success! Address removed' })).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,153 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const ApiKey = require('../../../models/ApiKey');
+const createHash = require('../../../utils/createHash');
+const handler = rewire('../../../controllers/apiKeyController');
+
+const userId = '507f1f77bcf86cd799439012';
+
+const createMockReqRes = (body = {}, params = {}, user = {}, query = {}) => {
+    return {
+        req: {
+            body,
+            params,
+            query,
+            user
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+
+describe("apiKeyController", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@createApiKey", () => {
+        let createStub;
+
+        beforeEach(() => {
+            createStub = sinon.stub(ApiKey, 'create').callsFake(async (data) => data);
+        });
+
+        it('should store a hash and return the raw key once', async () => {
+            const { req, res } = createMockReqRes(
+                { name: 'warehouse', scopes: ['order:read', 'order:ship'], expiresInDays: 30 },
+                {},
+                { userId, role: 'order-fulfilment' }
+            );
+
+            await handler.createApiKey(req, res);
+
+            const { key, apiKey } = res.json.args[0][0];
+            expect(key).to.match(/^sk_[0-9a-f]{8}_[0-9a-f]{48}$/);
+            expect(key.startsWith(`sk_${apiKey.prefix}_`)).to.be.true;
+            expect(createStub.args[0][0]).to.include({ name: 'warehouse', user: userId, keyHash: createHash(key) });
+            expect(createStub.args[0][0].scopes).to.deep.equal(['order:read', 'order:ship']);
+            expect(createStub.args[0][0].expiresAt).to.be.a('date');
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+        });
+
+        it('should not grant scopes the owner does not have', async () => {
+            const { req, res } = createMockReqRes(
+                { name: 'erp', scopes: ['product:write'] },
+                {},
+                { userId, role: 'order-fulfilment' }
+            );
+
+            try {
+                await handler.createApiKey(req, res);
+                expect.fail('createApiKey should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthorizedError');
+                expect(error.message).to.equal('You cannot grant scopes you do not have: product:write');
+                expect(createStub.called).to.be.false;
+            }
+        });
+
+        it('should throw BadRequestError for unknown scopes', async () => {
+            const { req, res } = createMockReqRes({ name: 'erp', scopes: ['everything'] }, {}, { userId, role: 'admin' });
+
+            try {
+                await handler.createApiKey(req, res);
+                expect.fail('createApiKey should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Unknown scopes: everything');
+            }
+        });
+
+        it('should not let an api key create another key', async () => {
+            const { req, res } = createMockReqRes({ name: 'erp' }, {}, { userId, role: 'admin', scopes: [] });
+
+            try {
+                await handler.createApiKey(req, res);
+                expect.fail('createApiKey should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthorizedError');
+                expect(createStub.called).to.be.false;
+            }
+        });
+    });
+
+    describe("@getMyApiKeys", () => {
+        it('should only list keys of the current user', async () => {
+            const apiKeys = [{ name: 'warehouse' }];
+            const findStub = sinon.stub(ApiKey, 'find').returns({ sort: sinon.stub().resolves(apiKeys) });
+            const { req, res } = createMockReqRes({}, {}, { userId, role: 'user' });
+
+            await handler.getMyApiKeys(req, res);
+
+            expect(findStub.calledWith({ user: userId })).to.be.true;
+            expect(res.json.calledWith({ apiKeys, count: 1 })).to.be.true;
+        });
+    });
+
+    describe("@revokeApiKey", () => {
+        it('should revoke a key', async () => {
+            const apiKey = { user: userId, save: sinon.stub().resolves() };
+            sinon.stub(ApiKey, 'findOne').resolves(apiKey);
+            const { req, res } = createMockReqRes({}, { id: 'key1' }, { userId, role: 'user' });
+
+            await handler.revokeApiKey(req, res);
+
+            expect(apiKey.revokedAt).to.be.a('date');
+            expect(apiKey.save.calledOnce).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! API key revoked' })).to.be.true;
+        });
+
+        it('should not let users revoke keys of someone else', async () => {
+            const apiKey = { user: 'someone-else', save: sinon.stub().resolves() };
+            sinon.stub(ApiKey, 'findOne').resolves(apiKey);
+            const { req, res } = createMockReqRes({}, { id: 'key1' }, { userId, role: 'user' });
+
+            try {
+                await handler.revokeApiKey(req, res);
+                expect.fail('revokeApiKey should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthorizedError');
+                expect(apiKey.save.called).to.be.false;
+            }
+        });
+
+        it('should throw NotFoundError if the key does not exist', async () => {
+            sinon.stub(ApiKey, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({}, { id: 'missing' }, { userId, role: 'user' });
+
+            try {
+                await handler.revokeApiKey(req, res);
+                expect.fail('revokeApiKey should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No api key with id: missing');
+            }
+        });
+    });
+});
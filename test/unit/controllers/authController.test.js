@@ -2,8 +2,18 @@ const rewire = require('rewire');
 const sinon = require('sinon');
 const { expect } = require('chai');
 const { StatusCodes } = require('http-status-codes');
+const jwt = require('jsonwebtoken');
 
 const User = require('../../../models/User');
+const Cart = require('../../../models/Cart');
+const Token = require('../../../models/Token');
+const SecurityEvent = require('../../../models/SecurityEvent');
+const createHash = require('../../../utils/createHash');
+const { generateSecret, generateCode, verifyCode } = require('../../../utils/totp');
+const { setMailTransport } = require('../../../utils/sendEmail');
+const sendVerificationEmail = require('../../../utils/sendVerificationEmail');
+const sendResetPasswordEmail = require('../../../utils/sendResetPasswordEmail');
+const sendUnlockAccountEmail = require('../../../utils/sendUnlockAccountEmail');
 const handler = rewire('../../../controllers/authController.js');
 
 const createMockReqRes = (body = {}, params = {}, user = {}) => {
@@ -11,7 +21,9 @@ const createMockReqRes = (body = {}, params = {}, user = {}) => {
         req: {
             body,
             params,
-            user: user
+            user: user,
+            headers: { host: 'localhost:5000' },
+            protocol: 'http'
         },
         res: {
             status: sinon.stub().returnsThis(),
@@ -21,11 +33,31 @@ const createMockReqRes = (body = {}, params = {}, user = {}) => {
     };
 };
 
-handler.__set__('attachCookiesToResponse', sinon.stub());
+const createSessionStub = sinon.stub();
+handler.__set__('createSession', createSessionStub);
 handler.__set__('createTokenUser', sinon.stub());
+const sendVerificationEmailStub = sinon.stub();
+handler.__set__('sendVerificationEmail', sendVerificationEmailStub);
+const sendResetPasswordEmailStub = sinon.stub();
+handler.__set__('sendResetPasswordEmail', sendResetPasswordEmailStub);
+const sendUnlockAccountEmailStub = sinon.stub();
+handler.__set__('sendUnlockAccountEmail', sendUnlockAccountEmailStub);
 
 
 describe("authController", () => {
+    beforeEach(() => {
+        createSessionStub.reset();
+        createSessionStub.resolves({ session: { _id: 'newSession' }, accessToken: 'access-jwt', refreshToken: 'refresh-raw' });
+        sendVerificationEmailStub.reset();
+        sendVerificationEmailStub.resolves();
+        sendResetPasswordEmailStub.reset();
+        sendResetPasswordEmailStub.resolves();
+        sendUnlockAccountEmailStub.reset();
+        sendUnlockAccountEmailStub.resolves();
+        sinon.stub(SecurityEvent, 'countDocuments').resolves(0);
+        sinon.stub(SecurityEvent, 'create').resolves();
+    });
+
     afterEach(() => {
         sinon.restore();
     });
@@ -52,8 +84,32 @@ describe("authController", () => {
             
             await handler.register(req, res);
             
-            expect(User.create.calledWith({ name: 'test', email: 'test@mock.com', password: 'password', role: 'user' })).to.be.true;
-        });        
+            expect(User.create.calledWith(sinon.match({ name: 'test', email: 'test@mock.com', password: 'password', role: 'user' }))).to.be.true;
+        });
+
+        it('should store only a hash of the verification token', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', name: 'test', password: 'password' });
+            countDocumentsStub.returns(1);
+
+            await handler.register(req, res);
+
+            const { verificationToken, verificationTokenExpires } = createStub.args[0][0];
+            const emailArgs = sendVerificationEmailStub.args[0][0];
+            expect(emailArgs).to.include({ name: 'test', email: 'test@mock.com' });
+            expect(verificationToken).to.equal(createHash(emailArgs.verificationToken));
+            expect(verificationTokenExpires).to.be.a('date');
+        });
+
+        it('should not log the new user in before they verify', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', name: 'test', password: 'password' });
+            countDocumentsStub.returns(1);
+
+            await handler.register(req, res);
+
+            expect(createSessionStub.called).to.be.false;
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Please check your email to verify account' })).to.be.true;
+        });
 
         it('should register a user', async () => {
             const { req, res } = createMockReqRes({ email: 'test@mock.com', name: 'test', password: 'password' });
@@ -89,11 +145,15 @@ describe("authController", () => {
 
 
     describe('@login', () => {
-        let findOneStub, comparePasswordStub;
+        let findOneStub, comparePasswordStub, incrementStub, updateUserStub;
 
         beforeEach(() => {
+            incrementStub = sinon.stub(User, 'findOneAndUpdate').resolves({ failedLoginAttempts: 1 });
+            updateUserStub = sinon.stub(User, 'updateOne').resolves();
             comparePasswordStub = sinon.stub();
             findOneStub = sinon.stub(User, 'findOne').returns({
+                isVerified: true,
+                isActive: true,
                 comparePassword: comparePasswordStub
             })
         });
@@ -106,6 +166,7 @@ describe("authController", () => {
 
             expect(findOneStub.calledOnce).to.be.true;
             expect(comparePasswordStub.calledOnce).to.be.true;
+            expect(createSessionStub.calledOnce).to.be.true;
             expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
             expect(res.json.calledOnce).to.be.true;
         });
@@ -127,7 +188,7 @@ describe("authController", () => {
 
         it('should verify correct password handling', async () => {
             const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
-            findOneStub.returns({ comparePassword: sinon.stub().returns(true) });
+            findOneStub.returns({ isVerified: true, isActive: true, comparePassword: sinon.stub().returns(true) });
             await handler.login(req, res);
             expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
             expect(res.json.calledWith(sinon.match.has("user"))).to.be.true;
@@ -149,6 +210,189 @@ describe("authController", () => {
             }
         });
 
+        it('should only return the tokens to clients that ask for them in the body', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            comparePasswordStub.returns(true);
+
+            await handler.login(req, res);
+            expect(res.json.args[0][0]).to.not.have.property('accessToken');
+
+            req.headers['x-token-delivery'] = 'body';
+            await handler.login(req, res);
+            expect(res.json.args[1][0]).to.include({ accessToken: 'access-jwt', refreshToken: 'refresh-raw' });
+        });
+
+        it('should block deactivated accounts even with the right password', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            findOneStub.returns({ isVerified: true, isActive: false, comparePassword: sinon.stub().returns(true) });
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Your account has been deactivated');
+                expect(createSessionStub.called).to.be.false;
+            }
+        });
+
+        it('should block users who have not verified their email', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            findOneStub.returns({ isVerified: false, isActive: true, comparePassword: sinon.stub().returns(true) });
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Please verify your email');
+                expect(createSessionStub.called).to.be.false;
+            }
+        });
+
+        it('should count a failed attempt against the account and the ip', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'wrong' });
+            req.ip = '1.2.3.4';
+            findOneStub.returns({ _id: 'user1', isVerified: true, isActive: true, comparePassword: sinon.stub().returns(false) });
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Invalid Credentials');
+                expect(incrementStub.calledWith({ _id: 'user1' }, { $inc: { failedLoginAttempts: 1 } })).to.be.true;
+                expect(SecurityEvent.create.args[0][0]).to.include({ type: 'login_failed', user: 'user1', ip: '1.2.3.4' });
+                expect(updateUserStub.called).to.be.false;
+            }
+        });
+
+        it('should make the user wait after repeated failures', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'wrong' });
+            findOneStub.returns({ _id: 'user1', isVerified: true, isActive: true, comparePassword: sinon.stub().returns(false) });
+            incrementStub.resolves({ failedLoginAttempts: 3 });
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                const { lockUntil } = updateUserStub.args[0][1];
+                expect(lockUntil.getTime() - Date.now()).to.be.within(29000, 30000);
+                expect(sendUnlockAccountEmailStub.called).to.be.false;
+            }
+        });
+
+        it('should lock the account and email an unlock link on the fifth failure', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'wrong' });
+            findOneStub.returns({ _id: 'user1', name: 'test', email: 'test@mock.com', isVerified: true, isActive: true, comparePassword: sinon.stub().returns(false) });
+            incrementStub.resolves({ failedLoginAttempts: 5 });
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Invalid Credentials');
+                const update = updateUserStub.args[0][1];
+                expect(update.lockUntil.getTime() - Date.now()).to.be.within(14 * 60000, 15 * 60000);
+                const { unlockToken } = sendUnlockAccountEmailStub.args[0][0];
+                expect(update.unlockToken).to.equal(createHash(unlockToken));
+                expect(SecurityEvent.create.calledWith(sinon.match({ type: 'account_locked', user: 'user1' }))).to.be.true;
+            }
+        });
+
+        it('should lock the account again when a failure follows an expired lock', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'wrong' });
+            findOneStub.returns({ _id: 'user1', name: 'test', email: 'test@mock.com', isVerified: true, isActive: true, failedLoginAttempts: 5, lockUntil: new Date(Date.now() - 1000), comparePassword: sinon.stub().returns(false) });
+            incrementStub.resolves({ failedLoginAttempts: 6 });
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Invalid Credentials');
+                const update = updateUserStub.args[0][1];
+                expect(update.lockUntil.getTime() - Date.now()).to.be.within(14 * 60000, 15 * 60000);
+                const { unlockToken } = sendUnlockAccountEmailStub.args[0][0];
+                expect(update.unlockToken).to.equal(createHash(unlockToken));
+                expect(SecurityEvent.create.calledWith(sinon.match({ type: 'account_locked', details: { failedLoginAttempts: 6 } }))).to.be.true;
+            }
+        });
+
+        it('should reject a locked account before checking the password', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            findOneStub.returns({
+                isVerified: true,
+                isActive: true,
+                failedLoginAttempts: 5,
+                lockUntil: new Date(Date.now() + 60000),
+                comparePassword: comparePasswordStub
+            });
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('TooManyRequestsError');
+                expect(error.statusCode).to.equal(StatusCodes.TOO_MANY_REQUESTS);
+                expect(error.message).to.equal('Account locked, check your email to unlock it or try again later');
+                expect(error.retryAfter).to.be.within(59, 60);
+                expect(comparePasswordStub.called).to.be.false;
+            }
+        });
+
+        it('should block an ip with too many recent failures', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            SecurityEvent.countDocuments.resolves(20);
+
+            try {
+                await handler.login(req, res);
+                expect.fail('login should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('TooManyRequestsError');
+                expect(findOneStub.called).to.be.false;
+                expect(SecurityEvent.create.calledWith(sinon.match({ type: 'ip_blocked' }))).to.be.true;
+            }
+        });
+
+        it('should reset the counters after a successful login', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            findOneStub.returns({
+                _id: 'user1',
+                isVerified: true,
+                isActive: true,
+                failedLoginAttempts: 2,
+                comparePassword: sinon.stub().returns(true)
+            });
+
+            await handler.login(req, res);
+
+            expect(updateUserStub.calledWith({ _id: 'user1' }, sinon.match({ failedLoginAttempts: 0 }))).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should merge the guest cart into the user cart', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            req.signedCookies = { cartId: 'guest-1' };
+            const mergeStub = sinon.stub(Cart, 'mergeGuestCart').resolves();
+            findOneStub.returns({ _id: 'user1', isVerified: true, isActive: true, comparePassword: sinon.stub().returns(true) });
+
+            await handler.login(req, res);
+
+            expect(mergeStub.calledWith({ guestId: 'guest-1', userId: 'user1' })).to.be.true;
+            expect(res.cookie.calledWith('cartId', '', sinon.match({ httpOnly: true, expires: sinon.match.date }))).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should not touch carts when there is no guest cart', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+            const mergeStub = sinon.stub(Cart, 'mergeGuestCart').resolves();
+            comparePasswordStub.returns(true);
+
+            await handler.login(req, res);
+
+            expect(mergeStub.called).to.be.false;
+            expect(res.cookie.called).to.be.false;
+        });
+
         it('should throw an error if email or password is missing', async () => {
             const { req, res } = createMockReqRes({ email: null, password: 'password' });
 
@@ -163,6 +407,329 @@ describe("authController", () => {
     });
 
 
+    describe('@verifyEmail', () => {
+        let mockUser;
+
+        beforeEach(() => {
+            mockUser = {
+                email: 'test@mock.com',
+                isVerified: false,
+                verificationToken: createHash('verify-secret'),
+                verificationTokenExpires: new Date(Date.now() + 60000),
+                save: sinon.stub().resolves()
+            };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+        });
+
+        it('should verify the user with a valid token', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', verificationToken: 'verify-secret' });
+
+            await handler.verifyEmail(req, res);
+
+            expect(mockUser.isVerified).to.be.true;
+            expect(mockUser.verified).to.be.a('number');
+            expect(mockUser.verificationToken).to.be.undefined;
+            expect(mockUser.save.calledOnce).to.be.true;
+            expect(res.json.calledWith({ msg: 'Email Verified' })).to.be.true;
+        });
+
+        it('should reject a wrong token', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', verificationToken: 'wrong' });
+
+            try {
+                await handler.verifyEmail(req, res);
+                expect.fail('verifyEmail should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Verification Failed');
+                expect(mockUser.isVerified).to.be.false;
+            }
+        });
+
+        it('should reject an expired token', async () => {
+            mockUser.verificationTokenExpires = new Date(Date.now() - 1000);
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', verificationToken: 'verify-secret' });
+
+            try {
+                await handler.verifyEmail(req, res);
+                expect.fail('verifyEmail should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Verification Failed');
+                expect(mockUser.save.called).to.be.false;
+            }
+        });
+
+        it('should throw BadRequestError if the token is missing', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com' });
+
+            try {
+                await handler.verifyEmail(req, res);
+                expect.fail('verifyEmail should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+            }
+        });
+    });
+
+
+    describe('@resendVerificationEmail', () => {
+        it('should send a fresh token to an unverified user', async () => {
+            const mockUser = { name: 'test', email: 'test@mock.com', isVerified: false, verificationToken: 'old', save: sinon.stub().resolves() };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            const { req, res } = createMockReqRes({ email: 'test@mock.com' });
+
+            await handler.resendVerificationEmail(req, res);
+
+            expect(mockUser.verificationToken).to.not.equal('old');
+            expect(mockUser.save.calledOnce).to.be.true;
+            expect(sendVerificationEmailStub.calledOnce).to.be.true;
+            const { verificationToken } = sendVerificationEmailStub.args[0][0];
+            expect(createHash(verificationToken)).to.equal(mockUser.verificationToken);
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should answer the same way for unknown or verified accounts', async () => {
+            sinon.stub(User, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({ email: 'nobody@mock.com' });
+
+            await handler.resendVerificationEmail(req, res);
+
+            expect(sendVerificationEmailStub.called).to.be.false;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+    });
+
+
+    describe('@loginWithTwoFactor', () => {
+        let previousSecret, mockUser, consumeStub;
+        const secret = generateSecret();
+
+        before(() => {
+            previousSecret = process.env.JWT_SECRET;
+            process.env.JWT_SECRET = 'test-secret';
+        });
+
+        after(() => {
+            process.env.JWT_SECRET = previousSecret;
+        });
+
+        beforeEach(() => {
+            mockUser = { _id: 'user1', email: 'test@mock.com', isActive: true, twoFactorEnabled: true, twoFactorSecret: secret };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            consumeStub = sinon.stub(User, 'updateOne').resolves({ modifiedCount: 1 });
+            sinon.stub(User, 'findOneAndUpdate').resolves({ failedLoginAttempts: 1 });
+        });
+
+        const challengeFor = (payload = { userId: 'user1', purpose: '2fa' }) =>
+            jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: 300 });
+
+        it('should only hand out a challenge when the user has two-factor enabled', async () => {
+            User.findOne.resolves({ ...mockUser, isVerified: true, isActive: true, comparePassword: sinon.stub().returns(true) });
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', password: 'password' });
+
+            await handler.login(req, res);
+
+            const { twoFactorRequired, challengeToken } = res.json.args[0][0];
+            expect(twoFactorRequired).to.be.true;
+            expect(jwt.verify(challengeToken, 'test-secret')).to.include({ userId: 'user1', purpose: '2fa' });
+            expect(createSessionStub.called).to.be.false;
+        });
+
+        it('should start the session with a valid code', async () => {
+            const { req, res } = createMockReqRes({ challengeToken: challengeFor(), code: generateCode(secret) });
+
+            await handler.loginWithTwoFactor(req, res);
+
+            expect(User.findOne.calledWith({ _id: 'user1' })).to.be.true;
+            expect(consumeStub.args[0][1]).to.have.property('twoFactorLastCounter');
+            expect(createSessionStub.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should accept a recovery code once', async () => {
+            const { req, res } = createMockReqRes({ challengeToken: challengeFor(), recoveryCode: 'ABCD-1234' });
+
+            await handler.loginWithTwoFactor(req, res);
+
+            const [filter, update] = consumeStub.args[0];
+            expect(filter.twoFactorRecoveryCodes).to.equal(createHash('abcd1234'));
+            expect(update).to.deep.equal({ $pull: { twoFactorRecoveryCodes: createHash('abcd1234') } });
+            expect(createSessionStub.calledOnce).to.be.true;
+        });
+
+        it('should reject a wrong code and count it as a failed login', async () => {
+            const wrongCode = ['000000', '111111', '222222', '333333'].find((code) => verifyCode(secret, code) === null);
+            const { req, res } = createMockReqRes({ challengeToken: challengeFor(), code: wrongCode });
+
+            try {
+                await handler.loginWithTwoFactor(req, res);
+                expect.fail('loginWithTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Invalid two-factor code');
+                expect(User.findOneAndUpdate.calledOnce).to.be.true;
+                expect(createSessionStub.called).to.be.false;
+            }
+        });
+
+        it('should reject a code that was already used', async () => {
+            consumeStub.resolves({ modifiedCount: 0 });
+            const { req, res } = createMockReqRes({ challengeToken: challengeFor(), code: generateCode(secret) });
+
+            try {
+                await handler.loginWithTwoFactor(req, res);
+                expect.fail('loginWithTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Invalid two-factor code');
+            }
+        });
+
+        it('should not accept an access token as a challenge', async () => {
+            const { req, res } = createMockReqRes({ challengeToken: challengeFor({ userId: 'user1', role: 'admin' }), code: generateCode(secret) });
+
+            try {
+                await handler.loginWithTwoFactor(req, res);
+                expect.fail('loginWithTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Authentication Invalid');
+                expect(User.findOne.called).to.be.false;
+            }
+        });
+
+        it('should reject an expired challenge', async () => {
+            const expired = jwt.sign({ userId: 'user1', purpose: '2fa', exp: Math.floor(Date.now() / 1000) - 10 }, 'test-secret');
+            const { req, res } = createMockReqRes({ challengeToken: expired, code: generateCode(secret) });
+
+            try {
+                await handler.loginWithTwoFactor(req, res);
+                expect.fail('loginWithTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Login challenge expired, please log in again');
+            }
+        });
+    });
+
+
+    describe('@refresh', () => {
+        let findOneTokenStub, claimStub, revokeFamilyStub, findUserStub, updateTokenStub;
+        const storedToken = {
+            _id: 'token1',
+            user: 'user1',
+            family: 'family1',
+            expiresAt: new Date(Date.now() + 60000)
+        };
+
+        beforeEach(() => {
+            findOneTokenStub = sinon.stub(Token, 'findOne').resolves(storedToken);
+            claimStub = sinon.stub(Token, 'findOneAndUpdate').resolves(storedToken);
+            revokeFamilyStub = sinon.stub(Token, 'revokeFamily').resolves();
+            updateTokenStub = sinon.stub(Token, 'updateOne').resolves();
+            findUserStub = sinon.stub(User, 'findOne').resolves({ _id: 'user1', name: 'test', role: 'user', isActive: true });
+        });
+
+        it('should rotate the refresh token within the same family', async () => {
+            const { req, res } = createMockReqRes();
+            req.signedCookies = { refreshToken: 'refresh-secret' };
+
+            await handler.refresh(req, res);
+
+            expect(findOneTokenStub.calledWith({ tokenHash: createHash('refresh-secret') })).to.be.true;
+            expect(claimStub.args[0][0]).to.deep.equal({ _id: 'token1', revokedAt: null });
+            expect(findUserStub.calledWith({ _id: 'user1' })).to.be.true;
+            expect(createSessionStub.calledOnce).to.be.true;
+            expect(createSessionStub.args[0][0].family).to.equal('family1');
+            expect(updateTokenStub.calledWith({ _id: 'token1' }, { replacedBy: 'newSession' })).to.be.true;
+            expect(revokeFamilyStub.called).to.be.false;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should accept the refresh token from the body', async () => {
+            const { req, res } = createMockReqRes({ refreshToken: 'refresh-secret' });
+            req.headers['x-token-delivery'] = 'body';
+
+            await handler.refresh(req, res);
+
+            expect(findOneTokenStub.calledWith({ tokenHash: createHash('refresh-secret') })).to.be.true;
+            expect(createSessionStub.calledOnce).to.be.true;
+            expect(res.json.args[0][0]).to.include({ accessToken: 'access-jwt', refreshToken: 'refresh-raw' });
+        });
+
+        it('should revoke the whole family when a rotated token is reused', async () => {
+            const { req, res } = createMockReqRes();
+            req.signedCookies = { refreshToken: 'refresh-secret' };
+            claimStub.resolves(null);
+
+            try {
+                await handler.refresh(req, res);
+                expect.fail('refresh should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Session revoked, please log in again');
+                expect(revokeFamilyStub.calledWith('family1')).to.be.true;
+                expect(createSessionStub.called).to.be.false;
+                expect(res.cookie.calledWith('refreshToken', 'logout')).to.be.true;
+            }
+        });
+
+        it('should reject an expired refresh token', async () => {
+            const { req, res } = createMockReqRes();
+            req.signedCookies = { refreshToken: 'refresh-secret' };
+            findOneTokenStub.resolves({ ...storedToken, expiresAt: new Date(Date.now() - 1000) });
+
+            try {
+                await handler.refresh(req, res);
+                expect.fail('refresh should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Session expired, please log in again');
+                expect(createSessionStub.called).to.be.false;
+            }
+        });
+
+        it('should not refresh the session of a deactivated user', async () => {
+            const { req, res } = createMockReqRes();
+            req.signedCookies = { refreshToken: 'refresh-secret' };
+            findUserStub.resolves({ _id: 'user1', isActive: false });
+
+            try {
+                await handler.refresh(req, res);
+                expect.fail('refresh should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Authentication Invalid');
+                expect(createSessionStub.called).to.be.false;
+            }
+        });
+
+        it('should reject a missing refresh token', async () => {
+            const { req, res } = createMockReqRes();
+            req.signedCookies = {};
+
+            try {
+                await handler.refresh(req, res);
+                expect.fail('refresh should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Authentication Invalid');
+                expect(findOneTokenStub.called).to.be.false;
+            }
+        });
+
+        it('should reject an unknown refresh token', async () => {
+            const { req, res } = createMockReqRes();
+            req.signedCookies = { refreshToken: 'unknown' };
+            findOneTokenStub.resolves(null);
+
+            try {
+                await handler.refresh(req, res);
+                expect.fail('refresh should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Authentication Invalid');
+                expect(claimStub.called).to.be.false;
+            }
+        });
+    });
+
+
     describe('@logout', () => {
         it('should logout a user', async () => {
             const { req, res } = createMockReqRes();
@@ -173,10 +740,244 @@ describe("authController", () => {
             expect(res.json.calledOnce).to.be.true;
         });
 
-        it('should set the correct logout cookie', async () => {
+        it('should set the correct logout cookies', async () => {
             const { req, res } = createMockReqRes();
             await handler.logout(req, res);
-            expect(res.cookie.calledWith('token', 'logout', sinon.match({ httpOnly: true, expires: sinon.match.date }))).to.be.true;
-        });        
+            expect(res.cookie.calledWith('accessToken', 'logout', sinon.match({ httpOnly: true, expires: sinon.match.date }))).to.be.true;
+            expect(res.cookie.calledWith('refreshToken', 'logout', sinon.match({ httpOnly: true, expires: sinon.match.date }))).to.be.true;
+        });
+
+        it('should revoke the session server side', async () => {
+            const { req, res } = createMockReqRes();
+            req.signedCookies = { refreshToken: 'refresh-secret' };
+            const findOneStub = sinon.stub(Token, 'findOne').resolves({ family: 'family1' });
+            const revokeFamilyStub = sinon.stub(Token, 'revokeFamily').resolves();
+
+            await handler.logout(req, res);
+
+            expect(findOneStub.calledWith({ tokenHash: createHash('refresh-secret') })).to.be.true;
+            expect(revokeFamilyStub.calledWith('family1')).to.be.true;
+        });
+    });
+
+
+    describe('@forgotPassword', () => {
+        it('should store a hashed reset token and email the raw one', async () => {
+            const mockUser = { name: 'test', email: 'test@mock.com', save: sinon.stub().resolves() };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            const { req, res } = createMockReqRes({ email: 'test@mock.com' });
+
+            await handler.forgotPassword(req, res);
+
+            expect(mockUser.save.calledOnce).to.be.true;
+            expect(sendResetPasswordEmailStub.calledOnce).to.be.true;
+            const { passwordToken } = sendResetPasswordEmailStub.args[0][0];
+            expect(mockUser.passwordToken).to.equal(createHash(passwordToken));
+            expect(mockUser.passwordTokenExpirationDate.getTime()).to.be.greaterThan(Date.now());
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should answer the same way for unknown accounts', async () => {
+            sinon.stub(User, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({ email: 'nobody@mock.com' });
+
+            await handler.forgotPassword(req, res);
+
+            expect(sendResetPasswordEmailStub.called).to.be.false;
+            expect(res.json.calledWith({ msg: 'Please check your email for reset password link' })).to.be.true;
+        });
+
+        it('should throw BadRequestError if the email is missing', async () => {
+            const { req, res } = createMockReqRes({});
+
+            try {
+                await handler.forgotPassword(req, res);
+                expect.fail('forgotPassword should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+            }
+        });
+    });
+
+
+    describe('@resetPassword', () => {
+        let mockUser, revokeAllStub;
+
+        beforeEach(() => {
+            mockUser = {
+                _id: 'user1',
+                password: 'old-hash',
+                passwordToken: createHash('reset-secret'),
+                passwordTokenExpirationDate: new Date(Date.now() + 60000),
+                save: sinon.stub().resolves()
+            };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            revokeAllStub = sinon.stub(Token, 'revokeAllForUser').resolves();
+        });
+
+        it('should set the new password and revoke every session', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', token: 'reset-secret', password: 'newpassword' });
+
+            await handler.resetPassword(req, res);
+
+            expect(mockUser.password).to.equal('newpassword');
+            expect(mockUser.passwordToken).to.be.undefined;
+            expect(mockUser.failedLoginAttempts).to.equal(0);
+            expect(mockUser.save.calledOnce).to.be.true;
+            expect(revokeAllStub.calledWith('user1')).to.be.true;
+            expect(res.cookie.calledWith('refreshToken', 'logout')).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Password reset' })).to.be.true;
+        });
+
+        it('should reject an expired token', async () => {
+            mockUser.passwordTokenExpirationDate = new Date(Date.now() - 1000);
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', token: 'reset-secret', password: 'newpassword' });
+
+            try {
+                await handler.resetPassword(req, res);
+                expect.fail('resetPassword should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Invalid or expired reset token');
+                expect(mockUser.password).to.equal('old-hash');
+                expect(revokeAllStub.called).to.be.false;
+            }
+        });
+
+        it('should reject a wrong token', async () => {
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', token: 'wrong', password: 'newpassword' });
+
+            try {
+                await handler.resetPassword(req, res);
+                expect.fail('resetPassword should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Invalid or expired reset token');
+                expect(mockUser.save.called).to.be.false;
+            }
+        });
+    });
+
+
+    describe('@unlockAccountWithToken', () => {
+        it('should unlock the account with a valid token', async () => {
+            const mockUser = { _id: 'user1', email: 'test@mock.com', failedLoginAttempts: 5, unlockToken: createHash('unlock-secret') };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            const updateStub = sinon.stub(User, 'updateOne').resolves();
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', token: 'unlock-secret' });
+
+            await handler.unlockAccountWithToken(req, res);
+
+            expect(updateStub.calledWith({ _id: 'user1' }, sinon.match({ failedLoginAttempts: 0 }))).to.be.true;
+            expect(SecurityEvent.create.calledWith(sinon.match({ type: 'account_unlocked', user: 'user1' }))).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Account unlocked' })).to.be.true;
+        });
+
+        it('should reject a wrong token', async () => {
+            sinon.stub(User, 'findOne').resolves({ unlockToken: createHash('unlock-secret') });
+            const { req, res } = createMockReqRes({ email: 'test@mock.com', token: 'wrong' });
+
+            try {
+                await handler.unlockAccountWithToken(req, res);
+                expect.fail('unlockAccountWithToken should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Invalid unlock token');
+            }
+        });
+    });
+
+
+    describe('@getSessions', () => {
+        it('should list active sessions and flag the current one', async () => {
+            const { req, res } = createMockReqRes({}, {}, { userId: 'user1' });
+            req.signedCookies = { refreshToken: 'refresh-secret' };
+            const sortStub = sinon.stub().resolves([
+                { _id: 's1', userAgent: 'firefox', ip: '1.1.1.1', tokenHash: createHash('refresh-secret') },
+                { _id: 's2', userAgent: 'curl', ip: '2.2.2.2', tokenHash: 'other' }
+            ]);
+            const findStub = sinon.stub(Token, 'find').returns({ sort: sortStub });
+
+            await handler.getSessions(req, res);
+
+            expect(findStub.args[0][0]).to.include({ user: 'user1', revokedAt: null });
+            const { sessions, count } = res.json.args[0][0];
+            expect(count).to.equal(2);
+            expect(sessions[0]).to.include({ id: 's1', userAgent: 'firefox', current: true });
+            expect(sessions[1]).to.include({ id: 's2', current: false });
+            expect(sessions[0]).to.not.have.property('tokenHash');
+        });
+    });
+
+
+    describe('@revokeSession', () => {
+        it('should revoke one of the user sessions', async () => {
+            const { req, res } = createMockReqRes({}, { id: 's1' }, { userId: 'user1' });
+            const findOneStub = sinon.stub(Token, 'findOne').resolves({ family: 'family1' });
+            const revokeFamilyStub = sinon.stub(Token, 'revokeFamily').resolves();
+
+            await handler.revokeSession(req, res);
+
+            expect(findOneStub.calledWith({ _id: 's1', user: 'user1' })).to.be.true;
+            expect(revokeFamilyStub.calledWith('family1')).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Session revoked' })).to.be.true;
+        });
+
+        it('should return NotFoundError for a session of another user', async () => {
+            const { req, res } = createMockReqRes({}, { id: 's1' }, { userId: 'user1' });
+            sinon.stub(Token, 'findOne').resolves(null);
+
+            try {
+                await handler.revokeSession(req, res);
+                expect.fail('revokeSession should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No session with id: s1');
+            }
+        });
+    });
+
+    describe('@email links', () => {
+        let previousOrigin, sendMailStub;
+
+        beforeEach(() => {
+            previousOrigin = process.env.CLIENT_ORIGIN;
+            process.env.CLIENT_ORIGIN = 'https://shop.example/';
+            sendMailStub = sinon.stub().resolves();
+            setMailTransport({ sendMail: sendMailStub });
+        });
+
+        afterEach(() => {
+            if (previousOrigin === undefined) delete process.env.CLIENT_ORIGIN;
+            else process.env.CLIENT_ORIGIN = previousOrigin;
+            setMailTransport(undefined);
+        });
+
+        it('should build links from CLIENT_ORIGIN only', async () => {
+            await sendResetPasswordEmail({ name: 'test', email: 'test@mock.com', passwordToken: 'abc' });
+
+            const { html } = sendMailStub.args[0][0];
+            expect(html).to.include('href="https://shop.example/user/reset-password?token=abc&email=test%40mock.com"');
+        });
+
+        it('should refuse to send a link without CLIENT_ORIGIN', () => {
+            delete process.env.CLIENT_ORIGIN;
+
+            expect(() => sendVerificationEmail({ name: 'test', email: 'test@mock.com', verificationToken: 'abc' }))
+                .to.throw('CLIENT_ORIGIN must be set to the frontend url');
+            expect(sendMailStub.called).to.be.false;
+        });
+
+        it('should escape the name in every email', async () => {
+            const name = '<a href="https://evil.example">x</a>';
+
+            await sendVerificationEmail({ name, email: 'test@mock.com', verificationToken: 'abc' });
+            await sendResetPasswordEmail({ name, email: 'test@mock.com', passwordToken: 'abc' });
+            await sendUnlockAccountEmail({ name, email: 'test@mock.com', unlockToken: 'abc' });
+
+            sendMailStub.args.forEach(([{ html }]) => {
+                expect(html).to.include('<h4>Hello, &lt;a href=&quot;https://evil.example&quot;&gt;x&lt;/a&gt;</h4>');
+                expect(html).to.not.include('evil.example">');
+            });
+        });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,357 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const Cart = require('../../../models/Cart');
+const Product = require('../../../models/Product');
+const handler = rewire('../../../controllers/cartController');
+
+const userId = '507f1f77bcf86cd799439012';
+const productId = new mongoose.Types.ObjectId();
+const mockProduct = {
+    _id: productId,
+    name: 'accent chair',
+    price: 2599,
+    image: 'chair.jpg',
+    inventory: 5,
+    freeShipping: false
+};
+
+const createMockReqRes = (body = {}, params = {}, user, signedCookies = {}, query = {}) => {
+    return {
+        req: {
+            body,
+            params,
+            query,
+            user,
+            signedCookies
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub(),
+            cookie: sinon.stub()
+        }
+    };
+};
+
+
+describe("cartController", () => {
+    let placeOrderStub;
+
+    beforeEach(() => {
+        placeOrderStub = sinon.stub();
+        handler.__set__('placeOrder', placeOrderStub);
+        sinon.stub(Cart.prototype, 'save').resolvesThis();
+        sinon.stub(Product, 'find').resolves([mockProduct]);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@getCart", () => {
+        it('should return the cart of the logged in user with current prices', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 2 }] });
+            const findOneStub = sinon.stub(Cart, 'findOne').resolves(cart);
+            const { req, res } = createMockReqRes({}, {}, { userId });
+
+            await handler.getCart(req, res);
+
+            expect(findOneStub.calledWith({ user: userId })).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+            const { cart: response } = res.json.args[0][0];
+            expect(response.subtotal).to.equal(5198);
+            expect(response.items[0]).to.include({
+                name: 'accent chair',
+                price: 2599,
+                amount: 2,
+                lineTotal: 5198,
+                available: true,
+                inStock: true
+            });
+        });
+
+        it('should give a new guest a signed cart cookie', async () => {
+            sinon.stub(Cart, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes();
+
+            await handler.getCart(req, res);
+
+            expect(res.cookie.calledOnce).to.be.true;
+            expect(res.cookie.args[0][0]).to.equal('cartId');
+            expect(res.cookie.args[0][2]).to.include({ httpOnly: true, signed: true });
+            expect(res.json.args[0][0].cart.items).to.deep.equal([]);
+        });
+
+        it('should find a guest cart by its cookie', async () => {
+            const findOneStub = sinon.stub(Cart, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({}, {}, undefined, { cartId: 'guest-1' });
+
+            await handler.getCart(req, res);
+
+            expect(findOneStub.calledWith({ guestId: 'guest-1' })).to.be.true;
+            expect(res.cookie.called).to.be.false;
+        });
+
+        it('should flag items that are no longer available', async () => {
+            const goneId = new mongoose.Types.ObjectId();
+            sinon.stub(Cart, 'findOne').resolves(new Cart({ user: userId, items: [{ product: goneId, amount: 1 }] }));
+            Product.find.resolves([]);
+            const { req, res } = createMockReqRes({}, {}, { userId });
+
+            await handler.getCart(req, res);
+
+            const { cart: response } = res.json.args[0][0];
+            expect(response.items[0]).to.include({ amount: 1, available: false });
+            expect(response.subtotal).to.equal(0);
+        });
+    });
+
+    describe("@addCartItem", () => {
+        let findProductStub;
+
+        beforeEach(() => {
+            findProductStub = sinon.stub(Product, 'findOne').resolves(mockProduct);
+        });
+
+        it('should add a product to the cart', async () => {
+            sinon.stub(Cart, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({ product: productId.toString(), amount: 2 }, {}, { userId });
+
+            await handler.addCartItem(req, res);
+
+            expect(findProductStub.calledWith({ _id: productId.toString() })).to.be.true;
+            expect(Cart.prototype.save.calledOnce).to.be.true;
+            expect(res.json.args[0][0].cart.items[0]).to.include({ amount: 2 });
+        });
+
+        it('should increase the amount of a product already in the cart', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 2 }] });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            const { req, res } = createMockReqRes({ product: productId.toString(), amount: 1 }, {}, { userId });
+
+            await handler.addCartItem(req, res);
+
+            expect(cart.items).to.have.length(1);
+            expect(cart.items[0].amount).to.equal(3);
+        });
+
+        it('should throw BadRequestError if the product does not have enough stock', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 4 }] });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            const { req, res } = createMockReqRes({ product: productId.toString(), amount: 2 }, {}, { userId });
+
+            try {
+                await handler.addCartItem(req, res);
+                expect.fail('addCartItem should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Not enough stock for accent chair: requested 6, available 5');
+                expect(cart.items[0].amount).to.equal(4);
+                expect(Cart.prototype.save.called).to.be.false;
+            }
+        });
+
+        it('should keep each variant of a product on its own line', async () => {
+            const product = new Product({
+                ...mockProduct,
+                variants: [
+                    { sku: 'chair-black', options: { color: 'black' }, inventory: 1 },
+                    { sku: 'chair-red', options: { color: 'red' }, inventory: 5 }
+                ]
+            });
+            findProductStub.resolves(product);
+            Product.find.resolves([product]);
+            const [black, red] = product.variants;
+            const cart = new Cart({ user: userId, items: [{ product: productId, variant: black._id, amount: 1 }] });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            const { req, res } = createMockReqRes({ product: productId.toString(), variant: red._id.toString(), amount: 2 }, {}, { userId });
+
+            await handler.addCartItem(req, res);
+
+            expect(cart.items).to.have.length(2);
+            expect(cart.items[1].variant.toString()).to.equal(red._id.toString());
+            const { cart: response } = res.json.args[0][0];
+            expect(response.items.map((item) => item.sku)).to.deep.equal(['CHAIR-BLACK', 'CHAIR-RED']);
+            expect(response.items[1]).to.include({ name: 'accent chair (red)', amount: 2, inStock: true });
+        });
+
+        it('should check the stock of the chosen variant', async () => {
+            const product = new Product({
+                ...mockProduct,
+                variants: [{ sku: 'chair-black', options: { color: 'black' }, inventory: 1 }]
+            });
+            findProductStub.resolves(product);
+            sinon.stub(Cart, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({ product: productId.toString(), variant: product.variants[0]._id.toString(), amount: 2 }, {}, { userId });
+
+            try {
+                await handler.addCartItem(req, res);
+                expect.fail('addCartItem should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Not enough stock for accent chair (black): requested 2, available 1');
+            }
+        });
+
+        it('should throw NotFoundError if the product does not exist', async () => {
+            sinon.stub(Cart, 'findOne').resolves(null);
+            findProductStub.resolves(null);
+            const { req, res } = createMockReqRes({ product: 'missing', amount: 1 }, {}, { userId });
+
+            try {
+                await handler.addCartItem(req, res);
+                expect.fail('addCartItem should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No product with id: missing');
+            }
+        });
+
+        it('should throw BadRequestError for an invalid amount', async () => {
+            sinon.stub(Cart, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({ product: productId.toString(), amount: -1 }, {}, { userId });
+
+            try {
+                await handler.addCartItem(req, res);
+                expect.fail('addCartItem should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Please provide a valid amount');
+            }
+        });
+    });
+
+    describe("@updateCartItem", () => {
+        it('should set the amount of a cart item', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 2 }] });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            sinon.stub(Product, 'findOne').resolves(mockProduct);
+            const { req, res } = createMockReqRes({ amount: 5 }, { productId: productId.toString() }, { userId });
+
+            await handler.updateCartItem(req, res);
+
+            expect(cart.items[0].amount).to.equal(5);
+            expect(Cart.prototype.save.calledOnce).to.be.true;
+        });
+
+        it('should throw NotFoundError if the product is not in the cart', async () => {
+            sinon.stub(Cart, 'findOne').resolves(new Cart({ user: userId, items: [] }));
+            const { req, res } = createMockReqRes({ amount: 5 }, { productId: productId.toString() }, { userId });
+
+            try {
+                await handler.updateCartItem(req, res);
+                expect.fail('updateCartItem should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal(`No product with id: ${productId} in cart`);
+            }
+        });
+    });
+
+    describe("@removeCartItem", () => {
+        it('should only remove the variant picked by the query', async () => {
+            const black = new mongoose.Types.ObjectId();
+            const red = new mongoose.Types.ObjectId();
+            const cart = new Cart({
+                user: userId,
+                items: [
+                    { product: productId, variant: black, amount: 1 },
+                    { product: productId, variant: red, amount: 1 }
+                ]
+            });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            const { req, res } = createMockReqRes({}, { productId: productId.toString() }, { userId }, {}, { variant: red.toString() });
+
+            await handler.removeCartItem(req, res);
+
+            expect(cart.items).to.have.length(1);
+            expect(cart.items[0].variant.toString()).to.equal(black.toString());
+        });
+
+        it('should remove a product from the cart', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 2 }] });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            const { req, res } = createMockReqRes({}, { productId: productId.toString() }, { userId });
+
+            await handler.removeCartItem(req, res);
+
+            expect(cart.items).to.have.length(0);
+            expect(Cart.prototype.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+    });
+
+    describe("@clearCart", () => {
+        it('should empty the cart', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 2 }] });
+            cart.isNew = false;
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            const { req, res } = createMockReqRes({}, {}, { userId });
+
+            await handler.clearCart(req, res);
+
+            expect(cart.items).to.have.length(0);
+            expect(Cart.prototype.save.calledOnce).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Cart cleared' })).to.be.true;
+        });
+    });
+
+    describe("@checkoutCart", () => {
+        it('should place an order from the cart and empty it', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 2 }] });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            const order = { clientSecret: 'pi_mock_1_secret' };
+            const pricing = { total: 5697 };
+            placeOrderStub.resolves({ order, pricing });
+            const { req, res } = createMockReqRes({ addressId: 'address1', couponCode: 'SPRING10' }, {}, { userId });
+
+            await handler.checkoutCart(req, res);
+
+            expect(placeOrderStub.calledOnce).to.be.true;
+            expect(placeOrderStub.args[0][0]).to.deep.equal({
+                items: [{ product: productId, variant: undefined, amount: 2 }],
+                addressId: 'address1',
+                shippingAddress: undefined,
+                couponCode: 'SPRING10',
+                userId
+            });
+            expect(cart.items).to.have.length(0);
+            expect(Cart.prototype.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+            expect(res.json.calledWith({ order, clientSecret: 'pi_mock_1_secret', pricing })).to.be.true;
+        });
+
+        it('should keep the cart if the order cannot be placed', async () => {
+            const cart = new Cart({ user: userId, items: [{ product: productId, amount: 2 }] });
+            sinon.stub(Cart, 'findOne').resolves(cart);
+            placeOrderStub.rejects(new Error('Not enough stock for accent chair'));
+            const { req, res } = createMockReqRes({}, {}, { userId });
+
+            try {
+                await handler.checkoutCart(req, res);
+                expect.fail('checkoutCart should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Not enough stock for accent chair');
+                expect(cart.items).to.have.length(1);
+                expect(Cart.prototype.save.called).to.be.false;
+            }
+        });
+
+        it('should throw BadRequestError if the cart is empty', async () => {
+            sinon.stub(Cart, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({}, {}, { userId });
+
+            try {
+                await handler.checkoutCart(req, res);
+                expect.fail('checkoutCart should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Your cart is empty');
+                expect(placeOrderStub.called).to.be.false;
+            }
+        });
+    });
+});
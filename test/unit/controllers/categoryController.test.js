@@ -0,0 +1,209 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const Category = require('../../../models/Category');
+const Product = require('../../../models/Product');
+const handler = rewire('../../../controllers/categoryController');
+
+const createMockReqRes = (body = {}, params = {}, query = {}) => {
+    return {
+        req: {
+            body,
+            params,
+            query
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+
+describe("categoryController", () => {
+    let furniture, chairs, kitchen;
+
+    beforeEach(() => {
+        furniture = new Category({ name: 'Furniture', slug: 'furniture' });
+        chairs = new Category({ name: 'Chairs', slug: 'chairs', parent: furniture._id, ancestors: [furniture._id] });
+        kitchen = new Category({ name: 'Kitchen', slug: 'kitchen' });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@createCategory", () => {
+        it('should only create a category from category fields', async () => {
+            const createStub = sinon.stub(Category, 'create').resolves(chairs);
+            const { req, res } = createMockReqRes({ name: 'Chairs', parent: furniture._id, ancestors: [] });
+
+            await handler.createCategory(req, res);
+
+            expect(createStub.calledWith({ name: 'Chairs', parent: furniture._id })).to.be.true;
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+            expect(res.json.calledWith({ category: chairs })).to.be.true;
+        });
+    });
+
+    describe("@getAllCategories", () => {
+        beforeEach(() => {
+            sinon.stub(Category, 'find').returns({ sort: sinon.stub().resolves([chairs, furniture, kitchen]) });
+        });
+
+        it('should return a flat list', async () => {
+            const { req, res } = createMockReqRes();
+
+            await handler.getAllCategories(req, res);
+
+            expect(res.json.args[0][0]).to.deep.equal({ categories: [chairs, furniture, kitchen], count: 3 });
+        });
+
+        it('should nest subcategories under their parent', async () => {
+            const { req, res } = createMockReqRes({}, {}, { tree: 'true' });
+
+            await handler.getAllCategories(req, res);
+
+            const { categories, count } = res.json.args[0][0];
+            expect(count).to.equal(3);
+            expect(categories.map((category) => category.slug)).to.deep.equal(['furniture', 'kitchen']);
+            expect(categories[0].children.map((category) => category.slug)).to.deep.equal(['chairs']);
+        });
+    });
+
+    describe("@getSingleCategory", () => {
+        it('should find a category by slug and list its children', async () => {
+            const findOneStub = sinon.stub(Category, 'findOne').resolves(furniture);
+            sinon.stub(Category, 'find').returns({ sort: sinon.stub().resolves([chairs]) });
+            const { req, res } = createMockReqRes({}, { id: 'furniture' });
+
+            await handler.getSingleCategory(req, res);
+
+            expect(findOneStub.calledWith({ slug: 'furniture' })).to.be.true;
+            expect(res.json.calledWith({ category: furniture, children: [chairs] })).to.be.true;
+        });
+
+        it('should find a category by id', async () => {
+            const findOneStub = sinon.stub(Category, 'findOne').resolves(furniture);
+            sinon.stub(Category, 'find').returns({ sort: sinon.stub().resolves([]) });
+            const { req, res } = createMockReqRes({}, { id: furniture._id.toString() });
+
+            await handler.getSingleCategory(req, res);
+
+            expect(findOneStub.calledWith({ _id: furniture._id.toString() })).to.be.true;
+        });
+
+        it('should look up a twelve character slug by slug, not as an id', async () => {
+            const livingRooms = new Category({ name: 'Living Rooms', slug: 'living-rooms' });
+            const findOneStub = sinon.stub(Category, 'findOne').resolves(livingRooms);
+            sinon.stub(Category, 'find').returns({ sort: sinon.stub().resolves([]) });
+            const { req, res } = createMockReqRes({}, { id: 'living-rooms' });
+
+            await handler.getSingleCategory(req, res);
+
+            expect(findOneStub.calledWith({ slug: 'living-rooms' })).to.be.true;
+            expect(res.json.calledWith({ category: livingRooms, children: [] })).to.be.true;
+        });
+
+        it('should throw NotFoundError if the category does not exist', async () => {
+            sinon.stub(Category, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({}, { id: 'garden' });
+
+            try {
+                await handler.getSingleCategory(req, res);
+                expect.fail('getSingleCategory should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No category with id: garden');
+            }
+        });
+    });
+
+    describe("@updateCategory", () => {
+        it('should move a category under a new parent', async () => {
+            sinon.stub(Category, 'findOne').resolves(kitchen);
+            const saveStub = sinon.stub(kitchen, 'save').resolves(kitchen);
+            const { req, res } = createMockReqRes({ parent: furniture._id, slug: 'kitchen-furniture' }, { id: 'kitchen' });
+
+            await handler.updateCategory(req, res);
+
+            expect(kitchen.parent.equals(furniture._id)).to.be.true;
+            expect(kitchen.slug).to.equal('kitchen-furniture');
+            expect(saveStub.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+    });
+
+    describe("@slug", () => {
+        it('should explain a clash with a category under another parent', async () => {
+            const existsStub = sinon.stub(Category, 'exists').resolves({ _id: chairs._id });
+            const officeChairs = new Category({ name: 'Chairs', parent: kitchen._id, ancestors: [kitchen._id] });
+
+            try {
+                await officeChairs.validate();
+                expect.fail('validate should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('ValidationError');
+                expect(error.errors.slug.message).to.equal('Slug chairs is already taken, please provide a different slug');
+                expect(existsStub.calledWith({ slug: 'chairs', _id: { $ne: officeChairs._id } })).to.be.true;
+            }
+        });
+
+        it('should accept a category keeping its own slug', async () => {
+            sinon.stub(Category, 'exists').resolves(null);
+
+            await chairs.validate();
+        });
+    });
+
+    describe("@deleteCategory", () => {
+        let existsStub, productExistsStub, removeStub;
+
+        beforeEach(() => {
+            sinon.stub(Category, 'findOne').resolves(furniture);
+            existsStub = sinon.stub(Category, 'exists').resolves(null);
+            productExistsStub = sinon.stub(Product, 'exists').resolves(null);
+            removeStub = sinon.stub(furniture, 'remove').resolves();
+        });
+
+        it('should remove an unused category', async () => {
+            const { req, res } = createMockReqRes({}, { id: 'furniture' });
+
+            await handler.deleteCategory(req, res);
+
+            expect(productExistsStub.calledWith({ category: furniture._id })).to.be.true;
+            expect(removeStub.calledOnce).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Category removed' })).to.be.true;
+        });
+
+        it('should refuse to remove a category with subcategories', async () => {
+            existsStub.resolves({ _id: chairs._id });
+            const { req, res } = createMockReqRes({}, { id: 'furniture' });
+
+            try {
+                await handler.deleteCategory(req, res);
+                expect.fail('deleteCategory should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Category has subcategories, move or delete them first');
+                expect(removeStub.called).to.be.false;
+            }
+        });
+
+        it('should refuse to remove a category with products', async () => {
+            productExistsStub.resolves({ _id: 'product1' });
+            const { req, res } = createMockReqRes({}, { id: 'furniture' });
+
+            try {
+                await handler.deleteCategory(req, res);
+                expect.fail('deleteCategory should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Category has products, move them to another category first');
+                expect(removeStub.called).to.be.false;
+            }
+        });
+    });
+});
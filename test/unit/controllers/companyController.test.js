@@ -0,0 +1,100 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const Company = require('../../../models/Company');
+const Product = require('../../../models/Product');
+const handler = rewire('../../../controllers/companyController');
+
+const createMockReqRes = (body = {}, params = {}) => {
+    return {
+        req: {
+            body,
+            params
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+
+describe("companyController", () => {
+    let company;
+
+    beforeEach(() => {
+        company = new Company({ name: 'Ikea', slug: 'ikea' });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@createCompany", () => {
+        it('should create a company', async () => {
+            const createStub = sinon.stub(Company, 'create').resolves(company);
+            const { req, res } = createMockReqRes({ name: 'Ikea', createdAt: 'yesterday' });
+
+            await handler.createCompany(req, res);
+
+            expect(createStub.calledWith({ name: 'Ikea' })).to.be.true;
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+        });
+
+        it('should derive the slug from the name', async () => {
+            sinon.stub(Company, 'exists').resolves(null);
+            const draft = new Company({ name: 'Marcos & Sons' });
+
+            await draft.validate();
+
+            expect(draft.slug).to.equal('marcos-sons');
+        });
+    });
+
+    describe("@updateCompany", () => {
+        it('should rename a company', async () => {
+            const findOneStub = sinon.stub(Company, 'findOne').resolves(company);
+            sinon.stub(company, 'save').resolves(company);
+            const { req, res } = createMockReqRes({ name: 'IKEA' }, { id: 'ikea' });
+
+            await handler.updateCompany(req, res);
+
+            expect(findOneStub.calledWith({ slug: 'ikea' })).to.be.true;
+            expect(company.name).to.equal('IKEA');
+            expect(res.json.calledWith({ company })).to.be.true;
+        });
+    });
+
+    describe("@deleteCompany", () => {
+        it('should refuse to remove a company with products', async () => {
+            sinon.stub(Company, 'findOne').resolves(company);
+            sinon.stub(Product, 'exists').resolves({ _id: 'product1' });
+            const removeStub = sinon.stub(company, 'remove').resolves();
+            const { req, res } = createMockReqRes({}, { id: 'ikea' });
+
+            try {
+                await handler.deleteCompany(req, res);
+                expect.fail('deleteCompany should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Company has products, move them to another company first');
+                expect(removeStub.called).to.be.false;
+            }
+        });
+
+        it('should throw NotFoundError if the company does not exist', async () => {
+            sinon.stub(Company, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({}, { id: 'acme' });
+
+            try {
+                await handler.deleteCompany(req, res);
+                expect.fail('deleteCompany should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No company with id: acme');
+            }
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const Coupon = require('../../../models/Coupon');
+const handler = rewire('../../../controllers/couponController');
+
+const createMockReqRes = (body = {}, params = {}, user = {}, query = {}) => {
+    return {
+        req: {
+            body,
+            params,
+            query,
+            user
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+
+describe("couponController", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@createCoupon", () => {
+        it('should create a coupon owned by the admin', async () => {
+            const createStub = sinon.stub(Coupon, 'create').resolves({ code: 'SPRING10' });
+            const { req, res } = createMockReqRes(
+                { code: 'spring10', type: 'percentage', value: 10, usedCount: 99 },
+                {},
+                { userId: '507f1f77bcf86cd799439012' }
+            );
+
+            await handler.createCoupon(req, res);
+
+            expect(createStub.calledWith({
+                code: 'spring10',
+                type: 'percentage',
+                value: 10,
+                user: '507f1f77bcf86cd799439012'
+            })).to.be.true;
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+            expect(res.json.calledWith({ coupon: { code: 'SPRING10' } })).to.be.true;
+        });
+    });
+
+    describe("@getAllCoupons", () => {
+        it('should return coupons filtered by active flag', async () => {
+            const sortStub = sinon.stub().resolves([{ code: 'SPRING10' }]);
+            const findStub = sinon.stub(Coupon, 'find').returns({ sort: sortStub });
+            const { req, res } = createMockReqRes({}, {}, {}, { active: 'true' });
+
+            await handler.getAllCoupons(req, res);
+
+            expect(findStub.calledWith({ isActive: true })).to.be.true;
+            expect(sortStub.calledWith('-createdAt')).to.be.true;
+            expect(res.json.calledWith({ coupons: [{ code: 'SPRING10' }], count: 1 })).to.be.true;
+        });
+    });
+
+    describe("@getSingleCoupon", () => {
+        it('should return NotFoundError if coupon is not found', async () => {
+            sinon.stub(Coupon, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({}, { id: '1' });
+
+            try {
+                await handler.getSingleCoupon(req, res);
+                expect.fail('getSingleCoupon should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No coupon with id: 1');
+                expect(error.statusCode).to.equal(StatusCodes.NOT_FOUND);
+            }
+        });
+    });
+
+    describe("@updateCoupon", () => {
+        it('should update a coupon without touching its usage count', async () => {
+            const coupon = new Coupon({ code: 'SPRING10', type: 'percentage', value: 10, usedCount: 3 });
+            sinon.stub(coupon, 'save').resolves(coupon);
+            sinon.stub(Coupon, 'findOne').resolves(coupon);
+            const { req, res } = createMockReqRes({ value: 20, usedCount: 0 }, { id: coupon._id });
+
+            await handler.updateCoupon(req, res);
+
+            expect(coupon.value).to.equal(20);
+            expect(coupon.usedCount).to.equal(3);
+            expect(coupon.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should return NotFoundError if coupon is not found', async () => {
+            sinon.stub(Coupon, 'findOne').resolves(null);
+            const { req, res } = createMockReqRes({ value: 20 }, { id: '1' });
+
+            try {
+                await handler.updateCoupon(req, res);
+                expect.fail('updateCoupon should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+            }
+        });
+    });
+
+    describe("@deleteCoupon", () => {
+        it('should delete a coupon', async () => {
+            const removeStub = sinon.stub().resolves();
+            sinon.stub(Coupon, 'findOne').resolves({ remove: removeStub });
+            const { req, res } = createMockReqRes({}, { id: '1' });
+
+            await handler.deleteCoupon(req, res);
+
+            expect(removeStub.calledOnce).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Coupon removed' })).to.be.true;
+        });
+    });
+});
@@ -5,12 +5,24 @@ const { StatusCodes } = require('http-status-codes');
 
 const Order = require('../../../models/Order');
 const Product = require('../../../models/Product');
+const Coupon = require('../../../models/Coupon');
+const User = require('../../../models/User');
+const { createMockProvider, setPaymentProvider } = require('../../../payments');
+const { assertPricingConfig } = require('../../../utils/pricing');
 const handler = rewire('../../../controllers/orderController');
 
+let paymentProvider;
 handler.__set__('checkPermissions', sinon.stub());
-handler.__set__('fakeStripeAPI', sinon.stub().resolves({
-    client_secret: "someRandomValue", amount: 500
-}));
+
+const createAddress = (fields) => ({
+    fullName: 'Jane Doe',
+    line1: '1 Main St',
+    city: 'Springfield',
+    postalCode: '12345',
+    country: 'US',
+    state: 'NY',
+    ...fields
+});
 
 const createMockReqRes = (body = {}, params = {}, user = {}) => {
     return {
@@ -28,16 +40,28 @@ const createMockReqRes = (body = {}, params = {}, user = {}) => {
 
 
 describe("orderController", () => {
+    beforeEach(() => {
+        paymentProvider = createMockProvider();
+        sinon.spy(paymentProvider, 'createPaymentIntent');
+        setPaymentProvider(paymentProvider);
+    });
+
     afterEach(() => {
         sinon.restore();
     });
 
     describe("@createOrder", () => {
-        let findOneStub, createStub;
+        let findOneStub, createStub, reserveStockStub, releaseStockStub, findUserStub, savedAddress;
     
         beforeEach(() => {
+            // every user in these tests has a default address in New York
+            const user = new User({ addresses: [{ ...createAddress(), isDefault: true }] });
+            savedAddress = user.addresses[0];
+            findUserStub = sinon.stub(User, 'findOne').returns({ select: sinon.stub().resolves(user) });
             findOneStub = sinon.stub(Product, 'findOne');
             createStub = sinon.stub(Order, 'create');
+            reserveStockStub = sinon.stub(Product, 'reserveStock').resolves({ success: true });
+            releaseStockStub = sinon.stub(Product, 'releaseStock').resolves();
         });
     
         it('should throw BadRequestError if no cart items are provided', async () => {
@@ -64,63 +88,475 @@ describe("orderController", () => {
             }
         });
 
-        it('should throw BadRequestError if no tax or shipping fee is provided', async () => {
-            const { req, res } = createMockReqRes({ items: [{ mock: true }] });
-    
+        it('should compute tax and shipping instead of trusting the request body', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 2 }],
+                tax: 1,
+                shippingFee: 0,
+                shippingAddress: createAddress({ state: 'ca' })
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 10000, image: 'mock.jpg', inventory: 5, freeShipping: false, _id: id });
+            createStub.resolves({ clientSecret: 'mockSecret' });
+
+            await handler.createOrder(req, res);
+
+            const orderData = createStub.args[0][0];
+            expect(orderData.subtotal).to.equal(20000);
+            expect(orderData.tax).to.equal(1450);
+            expect(orderData.taxRate).to.equal(0.0725);
+            expect(orderData.region).to.equal('US-CA');
+            expect(orderData.shippingFee).to.equal(499);
+            expect(orderData.total).to.equal(21949);
+            expect(res.json.args[0][0].pricing).to.deep.equal({
+                subtotal: 20000,
+                discount: 0,
+                tax: 1450,
+                taxRate: 0.0725,
+                region: 'US-CA',
+                shippingFee: 499,
+                total: 21949
+            });
+        });
+
+        it('should fall back to the country rate of the shipping address', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            findOneStub.resolves({ name: 'mock', price: 1000, image: 'mock.jpg', inventory: 5, _id: id });
+            createStub.resolves({ clientSecret: 'mockSecret' });
+
+            const withState = createMockReqRes({ items: [{ product: id, amount: 1 }], shippingAddress: createAddress({ country: 'ro', state: 'B' }) }, {}, { userId: '1' });
+            await handler.createOrder(withState.req, withState.res);
+            expect(createStub.args[0][0].region).to.equal('RO');
+            expect(createStub.args[0][0].tax).to.equal(190);
+
+            const withDefaultAddress = createMockReqRes({ items: [{ product: id, amount: 1 }] }, {}, { userId: '1' });
+            await handler.createOrder(withDefaultAddress.req, withDefaultAddress.res);
+            expect(createStub.args[1][0].region).to.equal('US');
+            expect(createStub.args[1][0].tax).to.equal(70);
+        });
+
+        it('should snapshot the default address when none is given', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            findOneStub.resolves({ name: 'mock', price: 1000, image: 'mock.jpg', inventory: 5, _id: id });
+            createStub.callsFake(async (data) => data);
+            const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }] }, {}, { userId: '1' });
+
+            await handler.createOrder(req, res);
+
+            expect(findUserStub.calledWith({ _id: '1' })).to.be.true;
+            expect(createStub.args[0][0].shippingAddress.toObject()).to.include({ fullName: 'Jane Doe', city: 'Springfield', country: 'US', state: 'NY' });
+        });
+
+        it('should snapshot a saved address picked by id', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            findOneStub.resolves({ name: 'mock', price: 1000, image: 'mock.jpg', inventory: 5, _id: id });
+            createStub.callsFake(async (data) => data);
+            const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], addressId: savedAddress._id.toString() }, {}, { userId: '1' });
+
+            await handler.createOrder(req, res);
+
+            expect(createStub.args[0][0].shippingAddress.line1).to.equal('1 Main St');
+            expect(createStub.args[0][0].shippingAddress).to.not.have.property('isDefault');
+        });
+
+        it('should throw NotFoundError for an address the user does not have', async () => {
+            const { req, res } = createMockReqRes({ items: [{ product: 'prod1', amount: 1 }], addressId: '507f1f77bcf86cd799439099' }, {}, { userId: '1' });
+
             try {
                 await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
             } catch (error) {
-                expect(error.name).to.equal('BadRequestError');
-                expect(error.message).to.equal('Please provide tax and shipping fee');
-                expect(error.statusCode).to.equal(StatusCodes.BAD_REQUEST);
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No address with id: 507f1f77bcf86cd799439099');
+                expect(findOneStub.called).to.be.false;
             }
-        })
+        });
+
+        it('should require an address when the user has no default one', async () => {
+            findUserStub.returns({ select: sinon.stub().resolves(new User({})) });
+            const { req, res } = createMockReqRes({ items: [{ product: 'prod1', amount: 1 }] }, {}, { userId: '1' });
 
-        
-        it('should throw BadRequestError if no tax or shipping fee is provided', async () => {
-            const { req, res } = createMockReqRes({ items: [{ mock: true }] });
-    
             try {
                 await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
             } catch (error) {
                 expect(error.name).to.equal('BadRequestError');
-                expect(error.message).to.equal('Please provide tax and shipping fee');
-                expect(error.statusCode).to.equal(StatusCodes.BAD_REQUEST);
+                expect(error.message).to.equal('Please provide a shipping address');
             }
         });
 
-        it('should verify the structure of fakeStripeAPI response', async () => {
-            const productID = 'prod1';
+        it('should validate an inline address', async () => {
+            const { req, res } = createMockReqRes({ items: [{ product: 'prod1', amount: 1 }], shippingAddress: { fullName: 'Jane Doe', country: 'USA' } }, {}, { userId: '1' });
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('ValidationError');
+                expect(Object.keys(error.errors)).to.have.members([
+                    'shippingAddress.line1',
+                    'shippingAddress.city',
+                    'shippingAddress.postalCode',
+                    'shippingAddress.country'
+                ]);
+                expect(findOneStub.called).to.be.false;
+            }
+        });
+
+        it('should charge the default rate for a country missing from the table', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], shippingAddress: createAddress({ country: 'FR', state: undefined }) }, {}, { userId: '1' });
+            findOneStub.resolves({ name: 'mock', price: 1000, image: 'mock.jpg', inventory: 5, _id: id });
+            createStub.resolves({ clientSecret: 'mockSecret' });
+
+            await handler.createOrder(req, res);
+
+            const orderData = createStub.args[0][0];
+            expect(orderData.region).to.equal('default');
+            expect(orderData.taxRate).to.equal(0.1);
+            expect(orderData.tax).to.equal(100);
+        });
+
+        describe('with pricing settings', () => {
+            const settings = ['TAX_RATES', 'SHIPPING_FLAT_FEE', 'FREE_SHIPPING_THRESHOLD'];
+            let previous;
+
+            beforeEach(() => {
+                previous = settings.map((name) => process.env[name]);
+            });
+
+            afterEach(() => {
+                settings.forEach((name, index) => {
+                    if (previous[index] === undefined) delete process.env[name];
+                    else process.env[name] = previous[index];
+                });
+            });
+
+            it('should refuse to price an order with a malformed shipping fee', async () => {
+                process.env.SHIPPING_FLAT_FEE = '4.99usd';
+                const id = '507f1f77bcf86cd799439011';
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }] }, {}, { userId: '1' });
+                findOneStub.resolves({ name: 'mock', price: 1000, image: 'mock.jpg', inventory: 5, _id: id });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.message).to.equal('SHIPPING_FLAT_FEE must be a non-negative number, got: 4.99usd');
+                    expect(createStub.called).to.be.false;
+                    expect(paymentProvider.createPaymentIntent.called).to.be.false;
+                }
+            });
+
+            it('should accept valid overrides', () => {
+                process.env.TAX_RATES = '{"US-NY":0.08875}';
+                process.env.SHIPPING_FLAT_FEE = '599';
+                process.env.FREE_SHIPPING_THRESHOLD = '0';
+
+                expect(() => assertPricingConfig()).to.not.throw();
+            });
+
+            it('should reject a tax rate above 1', () => {
+                process.env.TAX_RATES = '{"US-NY":8.875}';
+
+                expect(() => assertPricingConfig()).to.throw('TAX_RATES.US-NY must be a rate between 0 and 1, got: 8.875');
+            });
+
+            it('should reject tax rates that are not an object', () => {
+                process.env.TAX_RATES = '[0.1]';
+
+                expect(() => assertPricingConfig()).to.throw('TAX_RATES must be a JSON object of region: rate');
+            });
+
+            it('should reject a negative free shipping threshold', () => {
+                process.env.FREE_SHIPPING_THRESHOLD = '-1';
+
+                expect(() => assertPricingConfig()).to.throw('FREE_SHIPPING_THRESHOLD must be a non-negative number, got: -1');
+            });
+        });
+
+        it('should not charge shipping when every item ships free', async () => {
             const { req, res } = createMockReqRes({
-                items: [{ product: productID, amount: 1 }],
-                tax: 10,
-                shippingFee: 5
+                items: [{ product: 'prod1', amount: 1 }, { product: 'prod2', amount: 1 }]
+            }, {}, { userId: '1' });
+            findOneStub.withArgs({ _id: 'prod1' }).resolves({ name: 'a', price: 1000, image: 'a.jpg', inventory: 5, freeShipping: true, _id: 'prod1' });
+            findOneStub.withArgs({ _id: 'prod2' }).resolves({ name: 'b', price: 1000, image: 'b.jpg', inventory: 5, freeShipping: true, _id: 'prod2' });
+            createStub.resolves({ clientSecret: 'mockSecret' });
+
+            await handler.createOrder(req, res);
+
+            expect(createStub.args[0][0].shippingFee).to.equal(0);
+        });
+
+        it('should not charge shipping above the free shipping threshold', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({ items: [{ product: id, amount: 2 }] }, {}, { userId: '1' });
+            findOneStub.resolves({ name: 'mock', price: 25000, image: 'mock.jpg', inventory: 5, freeShipping: false, _id: id });
+            createStub.resolves({ clientSecret: 'mockSecret' });
+
+            await handler.createOrder(req, res);
+
+            expect(createStub.args[0][0].shippingFee).to.equal(0);
+            expect(createStub.args[0][0].total).to.equal(53500);
+        });
+
+        describe('with a coupon', () => {
+            const id = '507f1f77bcf86cd799439011';
+            const officeId = '507f1f77bcf86cd799439021';
+            const kitchenId = '507f1f77bcf86cd799439022';
+            let findCouponStub, redeemStub, releaseCouponStub;
+
+            const createCoupon = (fields) => new Coupon({ code: 'SPRING10', type: 'percentage', value: 10, ...fields });
+
+            beforeEach(() => {
+                findOneStub.resolves({ name: 'chair', price: 10000, image: 'a.jpg', inventory: 5, category: officeId, company: '507f1f77bcf86cd799439031', _id: id });
+                createStub.callsFake(async (data) => data);
+                findCouponStub = sinon.stub(Coupon, 'findOne');
+                redeemStub = sinon.stub(Coupon, 'redeem').resolves({});
+                releaseCouponStub = sinon.stub(Coupon, 'release').resolves();
             });
 
-            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', _id: productID });
-            createStub.resolves({
-                clientSecret: '',
-                total: 515,
-                subtotal: 500,
-                tax: 10,
-                shippingFee: 5,
-                orderItems: [{
-                    amount: 1,
-                    product: productID,
-                    price: 500,
-                    image: 'mock.jpg',
-                    name: 'mock'
-                }]
+            it('should apply a percentage discount and persist the discount line', async () => {
+                const coupon = createCoupon();
+                findCouponStub.resolves(coupon);
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 2 }], couponCode: ' spring10 ' }, {}, { userId: '1' });
+
+                await handler.createOrder(req, res);
+
+                expect(findCouponStub.calledWith({ code: 'SPRING10' })).to.be.true;
+                const orderData = createStub.args[0][0];
+                expect(orderData.subtotal).to.equal(20000);
+                expect(orderData.discount).to.deep.equal({ coupon: coupon._id, code: 'SPRING10', type: 'percentage', value: 10, amount: 2000 });
+                expect(orderData.tax).to.equal(1260);
+                expect(orderData.total).to.equal(18000 + 1260 + 499);
+                expect(redeemStub.calledWith(coupon._id)).to.be.true;
             });
-        
-            handler.__set__('fakeStripeAPI', sinon.stub().resolves({ client_secret: '', amount: 0 }));
-        
+
+            it('should cap a fixed discount at the eligible subtotal', async () => {
+                findCouponStub.resolves(createCoupon({ type: 'fixed', value: 50000 }));
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                await handler.createOrder(req, res);
+
+                const orderData = createStub.args[0][0];
+                expect(orderData.discount.amount).to.equal(10000);
+                expect(orderData.tax).to.equal(0);
+            });
+
+            it('should waive shipping for a free shipping coupon', async () => {
+                findCouponStub.resolves(createCoupon({ type: 'free_shipping', value: 0 }));
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                await handler.createOrder(req, res);
+
+                const orderData = createStub.args[0][0];
+                expect(orderData.shippingFee).to.equal(0);
+                expect(orderData.discount.amount).to.equal(0);
+            });
+
+            it('should reject an unknown or expired coupon', async () => {
+                findCouponStub.resolves(createCoupon({ endsAt: new Date(Date.now() - 1000) }));
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.name).to.equal('BadRequestError');
+                    expect(error.message).to.equal('Invalid coupon code: SPRING10');
+                    expect(findOneStub.called).to.be.false;
+                }
+            });
+
+            it('should reject a coupon the user already used up', async () => {
+                const coupon = createCoupon({ perUserLimit: 1 });
+                findCouponStub.resolves(coupon);
+                const countStub = sinon.stub(Order, 'countDocuments').resolves(1);
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.message).to.equal('You have already used coupon SPRING10');
+                    expect(countStub.args[0][0]).to.deep.equal({
+                        user: '1',
+                        'discount.coupon': coupon._id,
+                        status: { $nin: ['failed', 'canceled'] }
+                    });
+                }
+            });
+
+            it('should reject a coupon below its minimum subtotal', async () => {
+                findCouponStub.resolves(createCoupon({ minSubtotal: 50000 }));
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.message).to.equal('Coupon SPRING10 requires a minimum subtotal of 50000');
+                    expect(reserveStockStub.called).to.be.false;
+                }
+            });
+
+            it('should only discount items in the coupon category', async () => {
+                findCouponStub.resolves(createCoupon({ categories: [kitchenId] }));
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.message).to.equal('Coupon SPRING10 does not apply to any item in this order');
+                }
+            });
+
+            it('should discount items in the coupon category', async () => {
+                findCouponStub.resolves(createCoupon({ categories: [officeId, kitchenId] }));
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                await handler.createOrder(req, res);
+
+                expect(createStub.args[0][0].discount.amount).to.equal(1000);
+            });
+
+            it('should release stock if the coupon runs out during checkout', async () => {
+                findCouponStub.resolves(createCoupon({ usageLimit: 1 }));
+                redeemStub.resolves(null);
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.message).to.equal('Coupon SPRING10 is no longer available');
+                    expect(releaseStockStub.calledOnce).to.be.true;
+                    expect(createStub.called).to.be.false;
+                    expect(paymentProvider.createPaymentIntent.called).to.be.false;
+                }
+            });
+
+            it('should release the coupon if the order cannot be created', async () => {
+                const coupon = createCoupon();
+                findCouponStub.resolves(coupon);
+                createStub.rejects(new Error('db down'));
+                const { req, res } = createMockReqRes({ items: [{ product: id, amount: 1 }], couponCode: 'SPRING10' }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.message).to.equal('db down');
+                    expect(releaseCouponStub.calledWith(coupon._id)).to.be.true;
+                }
+            });
+        });
+
+        it('should store the payment intent created by the payment provider', async () => {
+            const productID = 'prod1';
+            const { req, res } = createMockReqRes({
+                items: [{ product: productID, amount: 1 }]
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', inventory: 5, _id: productID });
+            createStub.callsFake(async (data) => data);
+
             await handler.createOrder(req, res);
-        
+
+            const orderData = createStub.args[0][0];
+            expect(orderData.paymentIntentId).to.equal('pi_mock_1');
+            expect(orderData.clientSecret).to.equal('pi_mock_1_secret');
+            const intent = await paymentProvider.retrievePaymentIntent('pi_mock_1');
+            expect(intent.amount).to.equal(orderData.total);
+            expect(intent.currency).to.equal('usd');
             expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
-            expect(res.json.args[0][0].clientSecret).to.equal('');
-        });        
+            expect(res.json.args[0][0].clientSecret).to.equal('pi_mock_1_secret');
+        });
+
+
+        describe('with variants', () => {
+            let product;
+
+            beforeEach(() => {
+                product = new Product({
+                    name: 'accent chair',
+                    price: 10000,
+                    image: 'chair.jpg',
+                    variants: [
+                        { sku: 'chair-black', options: { color: 'black' }, inventory: 1 },
+                        { sku: 'chair-red', options: { color: 'red' }, inventory: 5, price: 12000, image: 'red.jpg' }
+                    ]
+                });
+                findOneStub.resolves(product);
+                createStub.callsFake(async (data) => data);
+            });
+
+            it('should price, snapshot and reserve the chosen variant', async () => {
+                const variant = product.variants[1];
+                const { req, res } = createMockReqRes({
+                    items: [{ product: product._id, variant: variant._id.toString(), amount: 2 }]
+                }, {}, { userId: '1' });
 
+                await handler.createOrder(req, res);
+
+                const [orderItem] = createStub.args[0][0].orderItems;
+                expect(orderItem).to.deep.include({
+                    name: 'accent chair (red)',
+                    price: 12000,
+                    image: 'red.jpg',
+                    variant: variant._id,
+                    sku: 'CHAIR-RED',
+                    options: { color: 'red' }
+                });
+                expect(createStub.args[0][0].subtotal).to.equal(24000);
+                expect(reserveStockStub.args[0][0][0]).to.include({ variant: variant._id, amount: 2 });
+            });
+
+            it('should check stock per variant', async () => {
+                const { req, res } = createMockReqRes({
+                    items: [{ product: product._id, variant: product.variants[0]._id.toString(), amount: 2 }]
+                }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.name).to.equal('BadRequestError');
+                    expect(error.message).to.equal('Not enough stock for accent chair (black): requested 2, available 1');
+                    expect(reserveStockStub.called).to.be.false;
+                }
+            });
+
+            it('should require a variant for products sold in variants', async () => {
+                const { req, res } = createMockReqRes({
+                    items: [{ product: product._id, amount: 1 }]
+                }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.name).to.equal('BadRequestError');
+                    expect(error.message).to.equal('Please choose a variant of accent chair');
+                }
+            });
+
+            it('should throw NotFoundError for an unknown variant', async () => {
+                const { req, res } = createMockReqRes({
+                    items: [{ product: product._id, variant: '507f1f77bcf86cd799439099', amount: 1 }]
+                }, {}, { userId: '1' });
+
+                try {
+                    await handler.createOrder(req, res);
+                    expect.fail('createOrder should have thrown');
+                } catch (error) {
+                    expect(error.name).to.equal('NotFoundError');
+                    expect(error.message).to.equal(`No variant with id: 507f1f77bcf86cd799439099 for product: ${product._id}`);
+                }
+            });
+        });
 
         it('should throw BadRequestError if cart items are empty', async () => {
             const { req, res } = createMockReqRes({ tax: 10, shippingFee: 5 });
@@ -170,6 +606,180 @@ describe("orderController", () => {
             expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
             expect(res.json.calledOnce).to.be.true;
         });
+
+        it('should throw BadRequestError if an item amount is not a positive integer', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 0 }],
+                tax: 5,
+                shippingFee: 10
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal(`Invalid amount for product with id: ${id}`);
+                expect(findOneStub.called).to.be.false;
+            }
+        });
+
+        it('should report every item that is out of stock', async () => {
+            const { req, res } = createMockReqRes({
+                items: [
+                    { product: 'prod1', amount: 3 },
+                    { product: 'prod2', amount: 1 },
+                    { product: 'prod3', amount: 5 }
+                ],
+                tax: 5,
+                shippingFee: 10
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.withArgs({ _id: 'prod1' }).resolves({ name: 'chair', price: 500, image: 'a.jpg', inventory: 2, _id: 'prod1' });
+            findOneStub.withArgs({ _id: 'prod2' }).resolves({ name: 'bed', price: 900, image: 'b.jpg', inventory: 4, _id: 'prod2' });
+            findOneStub.withArgs({ _id: 'prod3' }).resolves({ name: 'sofa', price: 700, image: 'c.jpg', inventory: 0, _id: 'prod3' });
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal(
+                    'Not enough stock for chair: requested 3, available 2; ' +
+                    'Not enough stock for sofa: requested 5, available 0'
+                );
+                expect(reserveStockStub.called).to.be.false;
+                expect(createStub.called).to.be.false;
+            }
+        });
+
+        it('should reserve stock for all order items before creating the order', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 2 }],
+                tax: 5,
+                shippingFee: 10
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', inventory: 2, _id: id });
+            createStub.resolves({ clientSecret: 'mockSecret' });
+
+            await handler.createOrder(req, res);
+
+            expect(reserveStockStub.calledOnce).to.be.true;
+            expect(reserveStockStub.args[0][0]).to.deep.equal([
+                { amount: 2, name: 'mock', price: 500, image: 'mock.jpg', product: id }
+            ]);
+            expect(reserveStockStub.calledBefore(createStub)).to.be.true;
+            expect(releaseStockStub.called).to.be.false;
+        });
+
+        it('should throw BadRequestError if stock runs out during reservation', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 2 }],
+                tax: 5,
+                shippingFee: 10
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', inventory: 2, _id: id });
+            reserveStockStub.resolves({ success: false, failedItem: { name: 'mock', product: id, amount: 2 } });
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Not enough stock for mock');
+                expect(createStub.called).to.be.false;
+                expect(paymentProvider.createPaymentIntent.called).to.be.false;
+            }
+        });
+
+        it('should release reserved stock if the order cannot be created', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 2 }],
+                tax: 5,
+                shippingFee: 10
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', inventory: 5, _id: id });
+            createStub.rejects(new Error('db down'));
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('db down');
+                expect(releaseStockStub.calledOnce).to.be.true;
+                expect(releaseStockStub.args[0][0]).to.deep.equal(reserveStockStub.args[0][0]);
+            }
+        });
+
+        it('should cancel the payment intent if the order cannot be created', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 2 }]
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', inventory: 5, _id: id });
+            createStub.rejects(new Error('db down'));
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('db down');
+                const { id: intentId } = await paymentProvider.createPaymentIntent.firstCall.returnValue;
+                const intent = await paymentProvider.retrievePaymentIntent(intentId);
+                expect(intent.status).to.equal('canceled');
+            }
+        });
+
+        it('should release reserved stock if the payment intent cannot be created', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 2 }]
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', inventory: 5, _id: id });
+            paymentProvider.createPaymentIntent.restore();
+            sinon.stub(paymentProvider, 'createPaymentIntent').rejects(new Error('provider down'));
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('provider down');
+                expect(reserveStockStub.calledBefore(paymentProvider.createPaymentIntent)).to.be.true;
+                expect(releaseStockStub.calledOnce).to.be.true;
+                expect(createStub.called).to.be.false;
+            }
+        });
+
+        it('should report a payment intent that cannot be canceled with the checkout failure', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({
+                items: [{ product: id, amount: 2 }]
+            }, {}, { userId: '507f1f77bcf86cd799439012' });
+
+            findOneStub.resolves({ name: 'mock', price: 500, image: 'mock.jpg', inventory: 5, _id: id });
+            createStub.rejects(new Error('db down'));
+            sinon.stub(paymentProvider, 'cancelPaymentIntent').rejects(new Error('provider down'));
+
+            try {
+                await handler.createOrder(req, res);
+                expect.fail('createOrder should have thrown');
+            } catch (error) {
+                const { id: intentId } = await paymentProvider.createPaymentIntent.firstCall.returnValue;
+                expect(error.name).to.equal('AggregateError');
+                expect(error.message).to.equal(`db down, and payment intent ${intentId} could not be canceled: provider down`);
+                expect(error.errors.map((item) => item.message)).to.deep.equal(['db down', 'provider down']);
+                expect(releaseStockStub.calledOnce).to.be.true;
+            }
+        });
     });
     
     
@@ -261,21 +871,24 @@ describe("orderController", () => {
     describe("@updateOrder", () => {
         let findOneStub, mockOrder;
     
-        beforeEach(() => {
-            mockOrder = {
-                save: sinon.stub().resolves({ mock: true })
-            };
+        beforeEach(async () => {
+            const intent = await paymentProvider.createPaymentIntent({ amount: 515, currency: 'usd' });
+            mockOrder = new Order({ total: 515, paymentIntentId: intent.id });
+            sinon.stub(mockOrder, 'save').resolves(mockOrder);
             findOneStub = sinon.stub(Order, 'findOne');
         });
     
         it('should update an order', async () => {
             const id = '507f1f77bcf86cd799439011';
-            const { req, res } = createMockReqRes({ paymentIntentId: 'mock' }, { id }, { userId: '507f1f77bcf86cd799439012' });
+            const { req, res } = createMockReqRes({ paymentIntentId: mockOrder.paymentIntentId }, { id }, { userId: '507f1f77bcf86cd799439012' });
+            await paymentProvider.confirmPaymentIntent(mockOrder.paymentIntentId);
     
             findOneStub.resolves(mockOrder);
             await handler.updateOrder(req, res);
     
             expect(findOneStub.calledOnce).to.be.true;
+            expect(mockOrder.status).to.equal('paid');
+            expect(mockOrder.statusHistory[0]).to.include({ status: 'paid', from: 'pending' });
             expect(mockOrder.save.calledOnce).to.be.true;
             expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
             expect(res.json.calledOnce).to.be.true;
@@ -296,5 +909,258 @@ describe("orderController", () => {
                 expect(error.statusCode).to.equal(StatusCodes.NOT_FOUND);
             }
         });
+
+        it('should reject a payment intent from another order', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({ paymentIntentId: 'pi_someone_else' }, { id }, { userId: '507f1f77bcf86cd799439012' });
+            findOneStub.resolves(mockOrder);
+
+            try {
+                await handler.updateOrder(req, res);
+                expect.fail('updateOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Payment intent does not belong to this order');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
+
+        it('should not mark the order paid before the payment succeeds', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({}, { id }, { userId: '507f1f77bcf86cd799439012' });
+            findOneStub.resolves(mockOrder);
+
+            try {
+                await handler.updateOrder(req, res);
+                expect.fail('updateOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Payment has not been completed');
+                expect(mockOrder.status).to.equal('pending');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
+
+        it('should not mark the order paid for a declined payment', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({}, { id }, { userId: '507f1f77bcf86cd799439012' });
+            await paymentProvider.confirmPaymentIntent(mockOrder.paymentIntentId, { paymentMethod: 'pm_mock_declined' });
+            findOneStub.resolves(mockOrder);
+
+            try {
+                await handler.updateOrder(req, res);
+                expect.fail('updateOrder should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Payment has not been completed');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
+
+        it('should reject a payment whose amount does not match the order total', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes({}, { id }, { userId: '507f1f77bcf86cd799439012' });
+            const intent = await paymentProvider.createPaymentIntent({ amount: 1, currency: 'usd' });
+            await paymentProvider.confirmPaymentIntent(intent.id);
+            mockOrder.paymentIntentId = intent.id;
+            findOneStub.resolves(mockOrder);
+
+            try {
+                await handler.updateOrder(req, res);
+                expect.fail('updateOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Payment amount does not match order total');
+                expect(mockOrder.status).to.equal('pending');
+            }
+        });
+    });
+
+
+    describe("@shipOrder", () => {
+        let findOneStub, mockOrder;
+
+        beforeEach(() => {
+            mockOrder = new Order({ total: 515, status: 'paid' });
+            sinon.stub(mockOrder, 'save').resolves(mockOrder);
+            findOneStub = sinon.stub(Order, 'findOne').resolves(mockOrder);
+        });
+
+        it('should ship a paid order with tracking info', async () => {
+            const id = '507f1f77bcf86cd799439011';
+            const { req, res } = createMockReqRes(
+                { carrier: 'UPS', trackingNumber: '1Z999', trackingUrl: 'https://ups.example/1Z999' },
+                { id },
+                { userId: '507f1f77bcf86cd799439012', role: 'admin' }
+            );
+
+            await handler.shipOrder(req, res);
+
+            expect(findOneStub.calledWith({ _id: id })).to.be.true;
+            expect(mockOrder.status).to.equal('shipped');
+            expect(mockOrder.tracking).to.include({ carrier: 'UPS', trackingNumber: '1Z999', url: 'https://ups.example/1Z999' });
+            expect(mockOrder.shippedAt).to.be.instanceOf(Date);
+            expect(mockOrder.statusHistory[0]).to.include({ status: 'shipped', from: 'paid' });
+            expect(String(mockOrder.statusHistory[0].by)).to.equal('507f1f77bcf86cd799439012');
+            expect(mockOrder.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should throw BadRequestError if tracking info is missing', async () => {
+            const { req, res } = createMockReqRes({ carrier: 'UPS' }, { id: '1' }, { userId: '2' });
+
+            try {
+                await handler.shipOrder(req, res);
+                expect.fail('shipOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Please provide carrier and tracking number');
+                expect(findOneStub.called).to.be.false;
+            }
+        });
+
+        it('should not ship an unpaid order', async () => {
+            mockOrder.status = 'pending';
+            const { req, res } = createMockReqRes({ carrier: 'UPS', trackingNumber: '1Z999' }, { id: '1' }, { userId: '2' });
+
+            try {
+                await handler.shipOrder(req, res);
+                expect.fail('shipOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Cannot change order status from pending to shipped');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
+
+        it('should return NotFoundError if order is not found', async () => {
+            findOneStub.resolves(null);
+            const { req, res } = createMockReqRes({ carrier: 'UPS', trackingNumber: '1Z999' }, { id: '1' }, { userId: '2' });
+
+            try {
+                await handler.shipOrder(req, res);
+                expect.fail('shipOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No order with id: 1');
+            }
+        });
+    });
+
+
+    describe("@deliverOrder", () => {
+        let mockOrder;
+
+        beforeEach(() => {
+            mockOrder = new Order({ total: 515, status: 'shipped' });
+            sinon.stub(mockOrder, 'save').resolves(mockOrder);
+            sinon.stub(Order, 'findOne').resolves(mockOrder);
+        });
+
+        it('should deliver a shipped order', async () => {
+            const { req, res } = createMockReqRes({}, { id: '1' }, { userId: '507f1f77bcf86cd799439012' });
+
+            await handler.deliverOrder(req, res);
+
+            expect(mockOrder.status).to.equal('delivered');
+            expect(mockOrder.deliveredAt).to.be.instanceOf(Date);
+            expect(mockOrder.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should not deliver an unpaid order', async () => {
+            mockOrder.status = 'pending';
+            const { req, res } = createMockReqRes({}, { id: '1' }, { userId: '507f1f77bcf86cd799439012' });
+
+            try {
+                await handler.deliverOrder(req, res);
+                expect.fail('deliverOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Cannot change order status from pending to delivered');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
+    });
+
+
+    describe("@cancelOrder", () => {
+        let mockOrder;
+
+        beforeEach(async () => {
+            const intent = await paymentProvider.createPaymentIntent({ amount: 515, currency: 'usd' });
+            mockOrder = new Order({ total: 515, status: 'pending', user: '507f1f77bcf86cd799439012', paymentIntentId: intent.id });
+            sinon.stub(mockOrder, 'save').resolves(mockOrder);
+            sinon.stub(Order, 'findOne').resolves(mockOrder);
+        });
+
+        it('should cancel a pending order', async () => {
+            const { req, res } = createMockReqRes({ reason: 'changed my mind' }, { id: '1' }, { userId: '507f1f77bcf86cd799439012' });
+
+            await handler.cancelOrder(req, res);
+
+            const intent = await paymentProvider.retrievePaymentIntent(mockOrder.paymentIntentId);
+            expect(intent.status).to.equal('canceled');
+            expect(mockOrder.status).to.equal('canceled');
+            expect(mockOrder.canceledAt).to.be.instanceOf(Date);
+            expect(mockOrder.statusHistory[0]).to.include({ status: 'canceled', from: 'pending', note: 'changed my mind' });
+            expect(mockOrder.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should not cancel a paid order', async () => {
+            mockOrder.status = 'paid';
+            const { req, res } = createMockReqRes({}, { id: '1' }, { userId: '507f1f77bcf86cd799439012' });
+
+            try {
+                await handler.cancelOrder(req, res);
+                expect.fail('cancelOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Only pending orders can be canceled');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
+
+        it('should not cancel a delivered order', async () => {
+            mockOrder.status = 'delivered';
+            const { req, res } = createMockReqRes({}, { id: '1' }, { userId: '507f1f77bcf86cd799439012' });
+
+            try {
+                await handler.cancelOrder(req, res);
+                expect.fail('cancelOrder should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Only pending orders can be canceled');
+                expect(mockOrder.status).to.equal('delivered');
+            }
+        });
+
+        it('should not cancel an order whose payment was already captured', async () => {
+            await paymentProvider.confirmPaymentIntent(mockOrder.paymentIntentId, { paymentMethod: 'pm_mock_card' });
+            const { req, res } = createMockReqRes({}, { id: '1' }, { userId: '507f1f77bcf86cd799439012' });
+
+            try {
+                await handler.cancelOrder(req, res);
+                expect.fail('cancelOrder should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('This order was already paid, please request a refund instead');
+                expect(mockOrder.status).to.equal('pending');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
+
+        it('should not cancel the order if the provider cannot cancel the payment', async () => {
+            sinon.stub(paymentProvider, 'cancelPaymentIntent').rejects(new Error('provider down'));
+            sinon.stub(paymentProvider, 'retrievePaymentIntent').rejects(new Error('provider down'));
+            const { req, res } = createMockReqRes({}, { id: '1' }, { userId: '507f1f77bcf86cd799439012' });
+
+            try {
+                await handler.cancelOrder(req, res);
+                expect.fail('cancelOrder should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('provider down');
+                expect(mockOrder.save.called).to.be.false;
+            }
+        });
     });
-})
\ No newline at end of file
+})
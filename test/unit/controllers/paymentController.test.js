@@ -0,0 +1,276 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const Order = require('../../../models/Order');
+const PaymentEvent = require('../../../models/PaymentEvent');
+const { createMockProvider, signWebhookPayload } = require('../../../payments');
+const handler = rewire('../../../controllers/paymentController');
+
+const secret = 'whsec_test';
+handler.__set__('getPaymentProvider', () => createMockProvider());
+
+const createWebhookReqRes = (event, signature) => {
+    const rawBody = JSON.stringify(event);
+    return {
+        req: {
+            body: event,
+            rawBody,
+            headers: {
+                'x-payment-signature': signature === undefined
+                    ? signWebhookPayload({ payload: rawBody, secret })
+                    : signature
+            }
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+const succeededEvent = {
+    id: 'evt_1',
+    type: 'payment.succeeded',
+    data: { paymentIntentId: 'pi_mock_1', amount: 515 }
+};
+
+
+describe("paymentController", () => {
+    let previousSecret;
+
+    before(() => {
+        previousSecret = process.env.PAYMENT_WEBHOOK_SECRET;
+        process.env.PAYMENT_WEBHOOK_SECRET = secret;
+    });
+
+    after(() => {
+        process.env.PAYMENT_WEBHOOK_SECRET = previousSecret;
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@handleWebhook", () => {
+        let findOneStub, createEventStub, deleteEventStub, updateEventStub, mockOrder;
+
+        beforeEach(() => {
+            mockOrder = new Order({ total: 515, paymentIntentId: 'pi_mock_1' });
+            sinon.stub(mockOrder, 'save').resolves(mockOrder);
+            findOneStub = sinon.stub(Order, 'findOne').resolves(mockOrder);
+            createEventStub = sinon.stub(PaymentEvent, 'create').resolves({});
+            deleteEventStub = sinon.stub(PaymentEvent, 'deleteOne').resolves();
+            updateEventStub = sinon.stub(PaymentEvent, 'updateOne').resolves();
+        });
+
+        it('should throw UnauthenticatedError if the signature is missing', async () => {
+            const { req, res } = createWebhookReqRes(succeededEvent, '');
+
+            try {
+                await handler.handleWebhook(req, res);
+                expect.fail('handleWebhook should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Invalid webhook signature');
+                expect(error.statusCode).to.equal(StatusCodes.UNAUTHORIZED);
+                expect(createEventStub.called).to.be.false;
+            }
+        });
+
+        it('should throw UnauthenticatedError if the payload was tampered with', async () => {
+            const { req, res } = createWebhookReqRes(succeededEvent);
+            req.rawBody = req.rawBody.replace('515', '1');
+
+            try {
+                await handler.handleWebhook(req, res);
+                expect.fail('handleWebhook should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(findOneStub.called).to.be.false;
+            }
+        });
+
+        it('should throw UnauthenticatedError if the signature is too old', async () => {
+            const rawBody = JSON.stringify(succeededEvent);
+            const timestamp = Math.floor(Date.now() / 1000) - 60 * 60;
+            const { req, res } = createWebhookReqRes(
+                succeededEvent,
+                signWebhookPayload({ payload: rawBody, secret, timestamp })
+            );
+
+            try {
+                await handler.handleWebhook(req, res);
+                expect.fail('handleWebhook should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+            }
+        });
+
+        it('should mark the order paid when the payment succeeds', async () => {
+            const { req, res } = createWebhookReqRes(succeededEvent);
+
+            await handler.handleWebhook(req, res);
+
+            expect(createEventStub.calledWith({
+                eventId: 'evt_1',
+                type: 'payment.succeeded',
+                paymentIntentId: 'pi_mock_1'
+            })).to.be.true;
+            expect(findOneStub.calledWith({ paymentIntentId: 'pi_mock_1' })).to.be.true;
+            expect(mockOrder.status).to.equal('paid');
+            expect(mockOrder.statusHistory[0]).to.include({ status: 'paid', from: 'pending', note: 'payment webhook evt_1' });
+            expect(mockOrder.save.calledOnce).to.be.true;
+            expect(updateEventStub.calledWith({ eventId: 'evt_1' }, { order: mockOrder._id })).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+            expect(res.json.calledWith({ received: true, orderId: mockOrder._id, status: 'paid' })).to.be.true;
+        });
+
+        it('should mark the order failed when the payment fails', async () => {
+            const { req, res } = createWebhookReqRes({
+                id: 'evt_2',
+                type: 'payment.failed',
+                data: { paymentIntentId: 'pi_mock_1', amount: 515 }
+            });
+
+            await handler.handleWebhook(req, res);
+
+            expect(mockOrder.status).to.equal('failed');
+            expect(mockOrder.save.calledOnce).to.be.true;
+        });
+
+        it('should mark a paid order refunded', async () => {
+            mockOrder.status = 'paid';
+            const { req, res } = createWebhookReqRes({
+                id: 'evt_3',
+                type: 'payment.refunded',
+                data: { paymentIntentId: 'pi_mock_1', amount: 515 }
+            });
+
+            await handler.handleWebhook(req, res);
+
+            expect(mockOrder.status).to.equal('refunded');
+        });
+
+        it('should keep the order as it is after a partial refund', async () => {
+            mockOrder.status = 'paid';
+            const { req, res } = createWebhookReqRes({
+                id: 'evt_7',
+                type: 'payment.refunded',
+                data: { paymentIntentId: 'pi_mock_1', amount: 200 }
+            });
+
+            await handler.handleWebhook(req, res);
+
+            const skippedReason = 'Partial refund of 200 does not cover order total 515';
+            expect(mockOrder.status).to.equal('paid');
+            expect(mockOrder.save.called).to.be.false;
+            expect(updateEventStub.calledWith(
+                { eventId: 'evt_7' },
+                { order: mockOrder._id, skippedReason }
+            )).to.be.true;
+        });
+
+        it('should not move a paid order back to failed', async () => {
+            mockOrder.status = 'paid';
+            const { req, res } = createWebhookReqRes({
+                id: 'evt_4',
+                type: 'payment.failed',
+                data: { paymentIntentId: 'pi_mock_1', amount: 515 }
+            });
+
+            await handler.handleWebhook(req, res);
+
+            expect(mockOrder.status).to.equal('paid');
+            expect(mockOrder.save.called).to.be.false;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should record why an event could not move the order', async () => {
+            mockOrder.status = 'paid';
+            const { req, res } = createWebhookReqRes({
+                id: 'evt_4',
+                type: 'payment.failed',
+                data: { paymentIntentId: 'pi_mock_1', amount: 515 }
+            });
+
+            await handler.handleWebhook(req, res);
+
+            const skippedReason = 'Cannot change order status from paid to failed';
+            expect(updateEventStub.calledWith(
+                { eventId: 'evt_4' },
+                { order: mockOrder._id, skippedReason }
+            )).to.be.true;
+            expect(deleteEventStub.called).to.be.false;
+            expect(res.json.calledWithMatch({ received: true, skipped: skippedReason })).to.be.true;
+        });
+
+        it('should mark a shipped order refunded', async () => {
+            mockOrder.status = 'shipped';
+            const { req, res } = createWebhookReqRes({
+                id: 'evt_6',
+                type: 'payment.refunded',
+                data: { paymentIntentId: 'pi_mock_1', amount: 515 }
+            });
+
+            await handler.handleWebhook(req, res);
+
+            expect(mockOrder.status).to.equal('refunded');
+            expect(mockOrder.save.calledOnce).to.be.true;
+            expect(updateEventStub.calledWith({ eventId: 'evt_6' }, { order: mockOrder._id })).to.be.true;
+        });
+
+        it('should treat a replayed event as a no-op', async () => {
+            const { req, res } = createWebhookReqRes(succeededEvent);
+            createEventStub.rejects({ code: 11000 });
+
+            await handler.handleWebhook(req, res);
+
+            expect(findOneStub.called).to.be.false;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+            expect(res.json.calledWith({ received: true, duplicate: true })).to.be.true;
+        });
+
+        it('should ignore event types it does not handle', async () => {
+            const { req, res } = createWebhookReqRes({ id: 'evt_5', type: 'customer.created', data: {} });
+
+            await handler.handleWebhook(req, res);
+
+            expect(createEventStub.called).to.be.false;
+            expect(res.json.calledWith({ received: true, ignored: true })).to.be.true;
+        });
+
+        it('should not mark the order paid if the amount does not match', async () => {
+            const { req, res } = createWebhookReqRes({
+                id: 'evt_6',
+                type: 'payment.succeeded',
+                data: { paymentIntentId: 'pi_mock_1', amount: 1 }
+            });
+
+            try {
+                await handler.handleWebhook(req, res);
+                expect.fail('handleWebhook should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Payment amount does not match order total');
+                expect(mockOrder.status).to.equal('pending');
+                expect(deleteEventStub.calledWith({ eventId: 'evt_6' })).to.be.true;
+            }
+        });
+
+        it('should forget the event if no order matches so it can be retried', async () => {
+            const { req, res } = createWebhookReqRes(succeededEvent);
+            findOneStub.resolves(null);
+
+            try {
+                await handler.handleWebhook(req, res);
+                expect.fail('handleWebhook should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No order with payment intent: pi_mock_1');
+                expect(deleteEventStub.calledWith({ eventId: 'evt_1' })).to.be.true;
+            }
+        });
+    });
+});
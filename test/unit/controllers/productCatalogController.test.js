@@ -0,0 +1,389 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+
+const Product = require('../../../models/Product');
+const Category = require('../../../models/Category');
+const Company = require('../../../models/Company');
+const handler = rewire('../../../controllers/productCatalogController');
+
+const createMockReqRes = ({ body = {}, query = {}, files } = {}) => {
+    return {
+        req: {
+            body,
+            query,
+            files,
+            user: { userId: '507f1f77bcf86cd799439011' }
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub(),
+            type: sinon.stub().returnsThis(),
+            attachment: sinon.stub().returnsThis(),
+            send: sinon.stub()
+        }
+    };
+};
+
+const createFile = (name, content) => ({ name, data: Buffer.from(content) });
+
+// thenable stand-in for a chainable mongoose query
+const createQueryStub = (result) => {
+    const query = {
+        sort: sinon.stub(),
+        populate: sinon.stub(),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    query.sort.returns(query);
+    query.populate.returns(query);
+    return query;
+};
+
+const csvHeader = 'name,price,description,category,company,colors,featured,freeShipping,inventory,image,images,variants';
+
+
+describe("productCatalogController", () => {
+    let office, ikea, findOneStub, saveStub;
+
+    beforeEach(() => {
+        office = new Category({ name: 'Office', slug: 'office' });
+        ikea = new Company({ name: 'Ikea', slug: 'ikea' });
+        const bySlug = (documents) => async (values) =>
+            documents.filter((document) => values.includes(document.slug));
+        sinon.stub(Category, 'findBySlugsOrIds').callsFake(bySlug([office]));
+        sinon.stub(Company, 'findBySlugsOrIds').callsFake(bySlug([ikea]));
+        sinon.stub(Category, 'exists').resolves({ _id: office._id });
+        sinon.stub(Company, 'exists').resolves({ _id: ikea._id });
+        findOneStub = sinon.stub(Product, 'findOne').resolves(null);
+        saveStub = sinon.stub(Product.prototype, 'save').callsFake(function () {
+            return Promise.resolve(this);
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@importProductCatalog", () => {
+        it('should create products from a json body', async () => {
+            const { req, res } = createMockReqRes({
+                body: {
+                    products: [
+                        { name: 'desk', price: 12000, description: 'oak', category: 'office', company: 'ikea', averageRating: 5 }
+                    ]
+                }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+            expect(report).to.include({ dryRun: false, total: 1, created: 1, updated: 0, failed: 0 });
+            expect(report.rows[0]).to.include({ row: 1, name: 'desk', status: 'created' });
+            const saved = saveStub.firstCall.thisValue;
+            expect(saved.category.equals(office._id)).to.be.true;
+            expect(saved.user.toString()).to.equal('507f1f77bcf86cd799439011');
+            expect(saved.averageRating).to.equal(0);
+        });
+
+        it('should parse a csv upload', async () => {
+            const csv = [
+                csvHeader,
+                'desk,12000,"oak, ""solid""",office,ikea,#000|#fff,true,,4,,,',
+                'chair,2500,comfy,office,ikea,,,,,,,"[{""sku"":""ch-red"",""options"":{""color"":""red""},""inventory"":3}]"',
+                ''
+            ].join('\r\n');
+            const { req, res } = createMockReqRes({ files: { file: createFile('catalog.csv', csv) } });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report.created).to.equal(2);
+            const [desk, chair] = saveStub.getCalls().map((call) => call.thisValue);
+            expect(desk.description).to.equal('oak, "solid"');
+            expect(desk.colors).to.deep.equal(['#000', '#fff']);
+            expect(desk.featured).to.be.true;
+            expect(desk.freeShipping).to.be.false;
+            expect(desk.inventory).to.equal(4);
+            expect(chair.variants[0].sku).to.equal('CH-RED');
+            expect(chair.inventory).to.equal(3);
+        });
+
+        it('should report every invalid row with the schema errors and save the rest', async () => {
+            const { req, res } = createMockReqRes({
+                body: {
+                    products: [
+                        { name: 'desk', price: 'cheap', category: 'garden', company: 'ikea' },
+                        { name: 'lamp', price: 900, description: 'bright', category: 'office', company: 'ikea' }
+                    ]
+                }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report).to.include({ created: 1, failed: 1 });
+            expect(report.rows[0].status).to.equal('failed');
+            expect(report.rows[0].errors).to.deep.include({ field: 'category', message: 'No category found: garden' });
+            expect(report.rows[0].errors.map((error) => error.field)).to.include.members(['price', 'description']);
+            expect(saveStub.calledOnce).to.be.true;
+            expect(saveStub.firstCall.thisValue.name).to.equal('lamp');
+        });
+
+        it('should report broken json cells in a csv row', async () => {
+            const csv = `${csvHeader}\nchair,2500,comfy,office,ikea,,,,,,,[{sku}]\n`;
+            const { req, res } = createMockReqRes({ files: { file: createFile('catalog.csv', csv) } });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report.rows[0].errors).to.deep.include({ field: 'variants', message: 'variants must be valid JSON' });
+        });
+
+        it('should update a product matched by variant sku and keep the variant ids', async () => {
+            const existing = new Product({
+                name: 'chair',
+                price: 2500,
+                description: 'comfy',
+                category: office._id,
+                company: ikea._id,
+                user: '507f1f77bcf86cd799439022',
+                variants: [{ sku: 'CH-RED', options: { color: 'red' }, inventory: 1 }]
+            });
+            const variantId = existing.variants[0]._id;
+            findOneStub.withArgs({ 'variants.sku': { $in: ['CH-RED', 'CH-BLUE'] } }).resolves(existing);
+            const { req, res } = createMockReqRes({
+                body: {
+                    products: [{
+                        name: 'office chair',
+                        variants: [
+                            { sku: 'ch-red', options: { color: 'red' }, inventory: 5 },
+                            { sku: 'ch-blue', options: { color: 'blue' }, inventory: 2 }
+                        ]
+                    }]
+                }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report).to.include({ created: 0, updated: 1 });
+            expect(existing.name).to.equal('office chair');
+            expect(existing.variants[0]._id.equals(variantId)).to.be.true;
+            expect(existing.inventory).to.equal(7);
+            expect(existing.user.toString()).to.equal('507f1f77bcf86cd799439022');
+            expect(saveStub.firstCall.thisValue).to.equal(existing);
+        });
+
+        it('should match a product by name regardless of case', async () => {
+            const { req, res } = createMockReqRes({ body: { products: [{ name: 'Desk (Oak)', price: 1 }] } });
+
+            await handler.importProductCatalog(req, res);
+
+            expect(findOneStub.calledWith({ name: { $regex: '^Desk \\(Oak\\)$', $options: 'i' } })).to.be.true;
+        });
+
+        it('should flag rows that repeat an earlier row', async () => {
+            const product = { price: 900, description: 'bright', category: 'office', company: 'ikea' };
+            const { req, res } = createMockReqRes({
+                body: { products: [{ name: 'lamp', ...product }, { name: 'Lamp', ...product }] }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report.rows[1].errors).to.deep.equal([{ message: 'Duplicate of row 1' }]);
+            expect(saveStub.calledOnce).to.be.true;
+        });
+
+        it('should only validate in dry-run mode', async () => {
+            const { req, res } = createMockReqRes({
+                body: { products: [{ name: 'lamp', price: 900, description: 'bright', category: 'office', company: 'ikea' }] },
+                query: { dryRun: 'true' }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report).to.include({ dryRun: true, created: 1 });
+            expect(saveStub.called).to.be.false;
+        });
+
+        it('should drop storage keys that do not belong to the product', async () => {
+            const existing = new Product({
+                name: 'lamp',
+                price: 900,
+                description: 'bright',
+                category: office._id,
+                company: ikea._id,
+                user: '507f1f77bcf86cd799439022',
+                images: [{ url: '/uploads/products/own.png', key: 'products/own.png', thumbnailKey: 'products/own-thumb.png' }]
+            });
+            findOneStub.resolves(existing);
+            const { req, res } = createMockReqRes({
+                body: {
+                    products: [{
+                        name: 'lamp',
+                        images: [
+                            { url: '/uploads/products/own.png', key: 'products/own.png', thumbnailKey: 'products/own-thumb.png' },
+                            { url: '/uploads/products/other.png', key: 'products/other.png', thumbnailKey: 'products/other-thumb.png' }
+                        ]
+                    }]
+                }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            expect(res.json.args[0][0].report.updated).to.equal(1);
+            expect(existing.images.map((image) => [image.key, image.thumbnailKey])).to.deep.equal([
+                ['products/own.png', 'products/own-thumb.png'],
+                [undefined, undefined]
+            ]);
+        });
+
+        it('should not let a new product claim stored files', async () => {
+            const { req, res } = createMockReqRes({
+                body: {
+                    products: [{
+                        name: 'lamp', price: 900, description: 'bright', category: 'office', company: 'ikea',
+                        images: [{ url: '/uploads/products/other.png', key: 'products/other.png' }]
+                    }]
+                }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const [image] = saveStub.firstCall.thisValue.images;
+            expect(image.url).to.equal('/uploads/products/other.png');
+            expect(image.key).to.be.undefined;
+        });
+
+        it('should report duplicate keys rejected by the database', async () => {
+            saveStub.rejects({ code: 11000, keyValue: { 'variants.sku': 'CH-RED' } });
+            const { req, res } = createMockReqRes({
+                body: { products: [{ name: 'lamp', price: 900, description: 'bright', category: 'office', company: 'ikea' }] }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report.failed).to.equal(1);
+            expect(report.rows[0].errors).to.deep.equal([{ field: 'variants.sku', message: 'Duplicate value entered for variants.sku' }]);
+        });
+
+        it('should throw BadRequestError for an unsupported file type', async () => {
+            const { req, res } = createMockReqRes({ files: { file: createFile('catalog.xlsx', '') } });
+
+            try {
+                await handler.importProductCatalog(req, res);
+                expect.fail('importProductCatalog should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Unsupported format: xlsx, use json or csv');
+            }
+        });
+
+        it('should throw BadRequestError for malformed json', async () => {
+            const { req, res } = createMockReqRes({ files: { file: createFile('catalog.json', '[{') } });
+
+            try {
+                await handler.importProductCatalog(req, res);
+                expect.fail('importProductCatalog should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.match(/^Invalid JSON/);
+            }
+        });
+
+        it('should throw BadRequestError if nothing is provided', async () => {
+            const { req, res } = createMockReqRes();
+
+            try {
+                await handler.importProductCatalog(req, res);
+                expect.fail('importProductCatalog should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Please upload a file or provide products');
+            }
+        });
+    });
+
+    describe("@exportProductCatalog", () => {
+        let products;
+
+        beforeEach(() => {
+            const product = new Product({
+                name: 'chair',
+                price: 2500,
+                description: 'comfy, "soft"',
+                colors: ['#000', '#fff'],
+                variants: [{ sku: 'CH-RED', options: { color: 'red' }, inventory: 3 }]
+            });
+            product.category = office;
+            product.company = ikea;
+            products = [product];
+            sinon.stub(Product, 'find').returns(createQueryStub(products));
+        });
+
+        it('should export json that can be imported again', async () => {
+            const { req, res } = createMockReqRes({ query: { format: 'json' } });
+
+            await handler.exportProductCatalog(req, res);
+
+            expect(res.attachment.calledWith('products.json')).to.be.true;
+            const [record] = JSON.parse(res.send.args[0][0]);
+            expect(record).to.include({ name: 'chair', category: 'office', company: 'ikea' });
+            expect(record).to.not.have.any.keys('_id', 'user', 'averageRating');
+            expect(record.variants).to.deep.equal([{ sku: 'CH-RED', options: { color: 'red' }, inventory: 3 }]);
+        });
+
+        it('should export csv with lists and nested documents in single cells', async () => {
+            const { req, res } = createMockReqRes({ query: { format: 'csv' } });
+
+            await handler.exportProductCatalog(req, res);
+
+            expect(res.type.calledWith('csv')).to.be.true;
+            const [header, row] = res.send.args[0][0].split('\n');
+            expect(header).to.equal(csvHeader);
+            expect(row).to.equal('chair,2500,"comfy, ""soft""",office,ikea,#000|#fff,false,false,15,/uploads/example.jpeg,,' +
+                '"[{""sku"":""CH-RED"",""options"":{""color"":""red""},""inventory"":3}]"');
+        });
+
+        it('should keep cells that look like formulas as text', async () => {
+            products[0].name = '=HYPERLINK("https://evil.example")';
+            products[0].description = '@SUM(A1)';
+            const exported = createMockReqRes({ query: { format: 'csv' } });
+
+            await handler.exportProductCatalog(exported.req, exported.res);
+
+            const [, row] = exported.res.send.args[0][0].split('\n');
+            expect(row.startsWith(`"'=HYPERLINK(""https://evil.example"")",2500,'@SUM(A1),`)).to.be.true;
+
+            const { req, res } = createMockReqRes({
+                files: { file: createFile('products.csv', exported.res.send.args[0][0]) },
+                query: { dryRun: 'true' }
+            });
+            await handler.importProductCatalog(req, res);
+
+            expect(findOneStub.calledWith({
+                name: { $regex: '^=HYPERLINK\\("https://evil\\.example"\\)$', $options: 'i' }
+            })).to.be.true;
+        });
+
+        it('should round trip a csv export through the import', async () => {
+            const exported = createMockReqRes({ query: { format: 'csv' } });
+            await handler.exportProductCatalog(exported.req, exported.res);
+            const { req, res } = createMockReqRes({
+                files: { file: createFile('products.csv', exported.res.send.args[0][0]) },
+                query: { dryRun: 'true' }
+            });
+
+            await handler.importProductCatalog(req, res);
+
+            const { report } = res.json.args[0][0];
+            expect(report).to.include({ total: 1, created: 1, failed: 0 });
+        });
+    });
+});
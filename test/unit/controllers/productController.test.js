@@ -2,8 +2,21 @@ const rewire = require('rewire');
 const sinon = require('sinon');
 const { expect } = require('chai');
 const { StatusCodes } = require('http-status-codes');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
 
 const Product = require('../../../models/Product');
+const Category = require('../../../models/Category');
+const Company = require('../../../models/Company');
+const {
+  setStorage,
+  createLocalStorage,
+  createCloudinaryStorage,
+  createCloudinaryStandIn,
+} = require('../../../storage');
 const handler = rewire('../../../controllers/productController');
 
 const createMockReqRes = (body = {}, params = {}, user = {}) => {
@@ -11,6 +24,7 @@ const createMockReqRes = (body = {}, params = {}, user = {}) => {
     req: {
       body,
       params,
+      query: {},
       user: user,
     },
     res: {
@@ -20,6 +34,22 @@ const createMockReqRes = (body = {}, params = {}, user = {}) => {
   };
 };
 
+// thenable stand-in for a chainable mongoose query
+const createQueryStub = (result) => {
+  const query = {
+    populate: sinon.stub(),
+    sort: sinon.stub(),
+    select: sinon.stub(),
+    skip: sinon.stub(),
+    limit: sinon.stub(),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  Object.keys(query)
+    .filter((key) => key !== 'then')
+    .forEach((key) => query[key].returns(query));
+  return query;
+};
+
 describe('productController', () => {
   afterEach(() => {
     sinon.restore();
@@ -53,39 +83,343 @@ describe('productController', () => {
       expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
       expect(res.json.calledWith({ product: mockProduct })).to.be.true;
     });
+
+    it('should not take gallery images or storage keys from the body', async () => {
+      const { req, res } = createMockReqRes(
+        {
+          name: 'product1',
+          image: '/uploads/couch.jpeg',
+          thumbnail: '/uploads/couch-thumb.jpeg',
+          images: [{ url: '/uploads/other.jpeg', key: 'other.jpeg', thumbnailKey: 'other-thumb.jpeg' }],
+        },
+        {},
+        { userId: '123' }
+      );
+
+      await handler.createProduct(req, res);
+
+      const fields = createStub.args[0][0];
+      expect(fields).to.include({ name: 'product1', user: '123' });
+      expect(fields).to.not.have.any.keys('images', 'image', 'thumbnail');
+    });
+
+    it('should store the ids of a category and company sent by slug', async () => {
+      const office = new Category({ name: 'Office', slug: 'office' });
+      const ikea = new Company({ name: 'Ikea', slug: 'ikea' });
+      sinon.stub(Category, 'findBySlugsOrIds').resolves([office]);
+      sinon.stub(Company, 'findBySlugsOrIds').resolves([ikea]);
+      const { req, res } = createMockReqRes(
+        { name: 'product1', category: 'Office', company: ikea._id.toString() },
+        {},
+        { userId: '123' }
+      );
+
+      await handler.createProduct(req, res);
+
+      expect(createStub.args[0][0].category).to.equal(office._id);
+      expect(createStub.args[0][0].company).to.equal(ikea._id);
+    });
+
+    it('should throw BadRequestError for an unknown category', async () => {
+      sinon.stub(Category, 'findBySlugsOrIds').resolves([]);
+      const { req, res } = createMockReqRes(
+        { name: 'product1', category: 'garden' },
+        {},
+        { userId: '123' }
+      );
+
+      try {
+        await handler.createProduct(req, res);
+        expect.fail('createProduct should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('BadRequestError');
+        expect(error.message).to.equal('No category found: garden');
+        expect(createStub.called).to.be.false;
+      }
+    });
   });
 
   describe('@getAllProducts', () => {
-    let findStub;
+    let findStub, countDocumentsStub, query;
+
+    const mockProducts = [
+      {
+        _id: '123',
+        name: 'product1',
+        price: 100,
+        description: 'description',
+      },
+    ];
 
     beforeEach(() => {
-      findStub = sinon.stub(Product, 'find');
+      query = createQueryStub(mockProducts);
+      findStub = sinon.stub(Product, 'find').returns(query);
+      countDocumentsStub = sinon.stub(Product, 'countDocuments').resolves(1);
     });
 
     it('should get all products', async () => {
       const { req, res } = createMockReqRes();
 
-      const mockProducts = [
-        {
-          _id: '123',
-          name: 'product1',
-          price: 100,
-          description: 'description',
-        },
-      ];
-      findStub.returns(mockProducts);
-
       await handler.getAllProducts(req, res);
 
-      expect(findStub.calledOnce).to.be.true;
+      expect(findStub.calledOnceWith({})).to.be.true;
       expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
       expect(
-        res.json.calledWith({
-          products: mockProducts,
-          count: mockProducts.length,
-        })
+        res.json.calledWith(
+          sinon.match({
+            products: mockProducts,
+            count: mockProducts.length,
+            totalProducts: 1,
+            page: 1,
+            numOfPages: 1,
+            next: null,
+            prev: null,
+          })
+        )
       ).to.be.true;
     });
+
+    it('should build the filter from query params', async () => {
+      const { req, res } = createMockReqRes();
+      const office = { _id: '507f1f77bcf86cd799439021' };
+      const kitchen = { _id: '507f1f77bcf86cd799439022' };
+      const ikea = { _id: '507f1f77bcf86cd799439031' };
+      const findCategoriesStub = sinon
+        .stub(Category, 'findBySlugsOrIds')
+        .resolves([office, kitchen]);
+      sinon
+        .stub(Category, 'expandWithDescendants')
+        .resolves([office._id, kitchen._id, '507f1f77bcf86cd799439023']);
+      sinon.stub(Company, 'findBySlugsOrIds').resolves([ikea]);
+      req.query = {
+        category: 'office,kitchen',
+        company: 'ikea',
+        featured: 'true',
+        freeShipping: 'false',
+        name: 'chair.',
+        numericFilters: 'price>=1000,price<5000,rating>3',
+      };
+
+      await handler.getAllProducts(req, res);
+
+      const expectedFilter = {
+        category: {
+          $in: [office._id, kitchen._id, '507f1f77bcf86cd799439023'],
+        },
+        company: { $in: [ikea._id] },
+        featured: true,
+        freeShipping: false,
+        name: { $regex: 'chair\\.', $options: 'i' },
+        price: { $gte: 1000, $lt: 5000 },
+      };
+      expect(findCategoriesStub.calledWith(['office', 'kitchen'])).to.be.true;
+      expect(findStub.args[0][0]).to.deep.equal(expectedFilter);
+      expect(countDocumentsStub.args[0][0]).to.deep.equal(expectedFilter);
+    });
+
+    it('should apply sort and field selection', async () => {
+      const { req, res } = createMockReqRes();
+      req.query = { sort: 'price,-createdAt', fields: 'name,price' };
+
+      await handler.getAllProducts(req, res);
+
+      expect(query.sort.calledWith('price -createdAt')).to.be.true;
+      expect(query.select.calledWith('name price')).to.be.true;
+    });
+
+    it('should sort by newest first by default', async () => {
+      const { req, res } = createMockReqRes();
+
+      await handler.getAllProducts(req, res);
+
+      expect(query.sort.calledWith('-createdAt')).to.be.true;
+      expect(query.populate.calledWith('category', 'name slug')).to.be.true;
+      expect(query.select.called).to.be.false;
+    });
+
+    it('should paginate and return next and prev links', async () => {
+      const { req, res } = createMockReqRes();
+      req.baseUrl = '/api/v1/products';
+      req.path = '/';
+      req.query = { category: 'office', page: '2', limit: '5' };
+      sinon.stub(Category, 'findBySlugsOrIds').resolves([]);
+      sinon.stub(Category, 'expandWithDescendants').resolves([]);
+      countDocumentsStub.resolves(12);
+
+      await handler.getAllProducts(req, res);
+
+      expect(query.skip.calledWith(5)).to.be.true;
+      expect(query.limit.calledWith(5)).to.be.true;
+      const response = res.json.args[0][0];
+      expect(response.totalProducts).to.equal(12);
+      expect(response.numOfPages).to.equal(3);
+      expect(response.next).to.equal(
+        '/api/v1/products/?category=office&page=3&limit=5'
+      );
+      expect(response.prev).to.equal(
+        '/api/v1/products/?category=office&page=1&limit=5'
+      );
+    });
+
+    it('should cap the page size', async () => {
+      const { req, res } = createMockReqRes();
+      req.query = { limit: '1000' };
+
+      await handler.getAllProducts(req, res);
+
+      expect(query.limit.calledWith(100)).to.be.true;
+    });
+  });
+
+  describe('@searchProducts', () => {
+    const office = { _id: new mongoose.Types.ObjectId(), name: 'Office', slug: 'office' };
+    const ikea = { _id: new mongoose.Types.ObjectId(), name: 'Ikea', slug: 'ikea' };
+    let aggregateStub;
+
+    beforeEach(() => {
+      aggregateStub = sinon.stub(Product, 'aggregate').resolves([
+        {
+          products: [{ _id: 'p1', name: 'office chair', score: 7.5 }],
+          total: [{ count: 11 }],
+          categories: [{ _id: office._id, count: 11 }],
+          companies: [{ _id: ikea._id, count: 11 }],
+          price: [
+            { _id: 10000, count: 4 },
+            { _id: 'above', count: 7 },
+          ],
+          rating: [
+            { _id: 4, count: 3 },
+            { _id: 0, count: 8 },
+          ],
+        },
+      ]);
+      sinon.stub(Product, 'populate').callsFake(async (products) => products);
+      sinon.stub(Category, 'find').returns({ select: sinon.stub().resolves([office]) });
+      sinon.stub(Company, 'find').returns({ select: sinon.stub().resolves([ikea]) });
+    });
+
+    it('should rank text matches and paginate them', async () => {
+      const { req, res } = createMockReqRes();
+      req.baseUrl = '/api/v1/products';
+      req.path = '/search';
+      req.query = { q: ' office chair ', limit: '10' };
+
+      await handler.searchProducts(req, res);
+
+      const [match, score, facet] = aggregateStub.args[0][0];
+      expect(match.$match).to.deep.equal({ $text: { $search: 'office chair' } });
+      expect(score.$addFields).to.deep.equal({ score: { $meta: 'textScore' } });
+      expect(facet.$facet.products).to.deep.equal([
+        { $sort: { score: -1, _id: 1 } },
+        { $skip: 0 },
+        { $limit: 10 },
+      ]);
+      const response = res.json.args[0][0];
+      expect(response.products[0]).to.include({ name: 'office chair', score: 7.5 });
+      expect(response.totalProducts).to.equal(11);
+      expect(response.next).to.equal('/api/v1/products/search?q=+office+chair+&limit=10&page=2');
+    });
+
+    it('should return named facets', async () => {
+      const { req, res } = createMockReqRes();
+      req.query = { q: 'chair' };
+
+      await handler.searchProducts(req, res);
+
+      const { facets } = res.json.args[0][0];
+      expect(facets.categories).to.deep.equal([{ _id: office._id, name: 'Office', slug: 'office', count: 11 }]);
+      expect(facets.companies[0]).to.include({ name: 'Ikea', count: 11 });
+      expect(facets.price).to.deep.equal([
+        { min: 10000, max: 25000, count: 4 },
+        { min: 100000, max: null, count: 7 },
+      ]);
+      expect(facets.rating).to.deep.equal([
+        { rating: 4, count: 3 },
+        { rating: 0, count: 8 },
+      ]);
+    });
+
+    it('should combine the search with the storefront filters', async () => {
+      const { req, res } = createMockReqRes();
+      req.query = { q: 'chair', featured: 'true', numericFilters: 'price<5000' };
+
+      await handler.searchProducts(req, res);
+
+      expect(aggregateStub.args[0][0][0].$match).to.deep.equal({
+        $text: { $search: 'chair' },
+        featured: true,
+        price: { $lt: 5000 },
+      });
+    });
+
+    it('should throw BadRequestError without a query', async () => {
+      const { req, res } = createMockReqRes();
+      req.query = { q: '  ' };
+
+      try {
+        await handler.searchProducts(req, res);
+        expect.fail('searchProducts should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('BadRequestError');
+        expect(error.message).to.equal('Please provide a search query');
+        expect(aggregateStub.called).to.be.false;
+      }
+    });
+  });
+
+  describe('@suggestProducts', () => {
+    let findStub;
+
+    beforeEach(() => {
+      findStub = sinon.stub(Product, 'find');
+    });
+
+    it('should suggest names with a word starting with the query', async () => {
+      const products = Array.from({ length: 10 }, (_, index) => ({ _id: `p${index}`, name: `chair ${index}` }));
+      findStub.returns(createQueryStub(products));
+      const { req, res } = createMockReqRes();
+      req.query = { q: 'Cha' };
+
+      await handler.suggestProducts(req, res);
+
+      expect(findStub.calledOnce).to.be.true;
+      expect(findStub.args[0][0]).to.deep.equal({ name: { $regex: '(^|\\s)cha', $options: 'i' } });
+      expect(res.json.args[0][0].suggestions).to.have.length(10);
+    });
+
+    it('should fill up with names one typo away', async () => {
+      findStub.onFirstCall().returns(createQueryStub([{ _id: 'p1', name: 'accent chair' }]));
+      findStub.onSecondCall().returns(
+        createQueryStub([
+          { _id: 'p2', name: 'chiar rocker' },
+          { _id: 'p3', name: 'coffee table' },
+          { _id: 'p4', name: 'cabinet' },
+        ])
+      );
+      const { req, res } = createMockReqRes();
+      req.query = { q: 'chair' };
+
+      await handler.suggestProducts(req, res);
+
+      expect(findStub.args[1][0]).to.deep.equal({
+        _id: { $nin: ['p1'] },
+        name: { $regex: '(^|\\s)c', $options: 'i' },
+      });
+      expect(res.json.args[0][0].suggestions).to.deep.equal([
+        { _id: 'p1', name: 'accent chair' },
+        { _id: 'p2', name: 'chiar rocker' },
+      ]);
+    });
+
+    it('should not look anything up for a single character', async () => {
+      const { req, res } = createMockReqRes();
+      req.query = { q: 'c' };
+
+      await handler.suggestProducts(req, res);
+
+      expect(findStub.called).to.be.false;
+      expect(res.json.calledWith({ suggestions: [] })).to.be.true;
+    });
   });
 
   describe('@getSingleProduct', () => {
@@ -179,6 +513,52 @@ describe('productController', () => {
       expect(res.json.calledWith({ product: mockProduct })).to.be.true;
     });
 
+    it('should leave the gallery to the image routes', async () => {
+      const id = '507f1f77bcf86cd799439011';
+      const { req, res } = createMockReqRes(
+        {
+          name: 'product1',
+          image: 'https://evil.example/x.png',
+          thumbnail: 'https://evil.example/t.png',
+          images: [{ url: 'https://evil.example/x.png', key: 'products/other.png' }],
+        },
+        { id },
+        { userId: '123' }
+      );
+      findOneAndUpdateStub.resolves({ _id: id });
+
+      await handler.updateProduct(req, res);
+
+      expect(findOneAndUpdateStub.args[0][1]).to.deep.equal({ name: 'product1' });
+    });
+
+    it('should update the inventory of a product without variants', async () => {
+      const id = '507f1f77bcf86cd799439011';
+      const existsStub = sinon.stub(Product, 'exists').resolves(null);
+      const { req, res } = createMockReqRes({ inventory: 100 }, { id }, { userId: '123' });
+      findOneAndUpdateStub.resolves({ _id: id, inventory: 100 });
+
+      await handler.updateProduct(req, res);
+
+      expect(existsStub.calledWith({ _id: id, 'variants.0': { $exists: true } })).to.be.true;
+      expect(findOneAndUpdateStub.args[0][1]).to.deep.equal({ inventory: 100 });
+    });
+
+    it('should refuse to overwrite the inventory of a product with variants', async () => {
+      const id = '507f1f77bcf86cd799439011';
+      sinon.stub(Product, 'exists').resolves({ _id: id });
+      const { req, res } = createMockReqRes({ inventory: 100 }, { id }, { userId: '123' });
+
+      try {
+        await handler.updateProduct(req, res);
+        expect.fail('updateProduct should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('BadRequestError');
+        expect(error.message).to.equal('Inventory of a product with variants is set on each variant');
+        expect(findOneAndUpdateStub.called).to.be.false;
+      }
+    });
+
     it('should return NotFoundError if product is not found', async () => {
       const id = '507f1f77bcf86cd799439011';
       const { req, res } = createMockReqRes(
@@ -212,7 +592,7 @@ describe('productController', () => {
       const id = '507f1f77bcf86cd799439011';
       const { req, res } = createMockReqRes({}, { id }, { userId: '123' });
 
-      findOneStub.resolves({ remove: removeStub });
+      findOneStub.resolves({ remove: removeStub, images: [] });
 
       await handler.deleteProduct(req, res);
 
@@ -223,6 +603,28 @@ describe('productController', () => {
         .true;
     });
 
+    it('should remove the stored gallery files', async () => {
+      const storage = { save: sinon.stub(), remove: sinon.stub().resolves() };
+      setStorage(storage);
+      const { req, res } = createMockReqRes({}, { id: '507f1f77bcf86cd799439011' });
+      findOneStub.resolves({
+        remove: removeStub,
+        images: [
+          { url: '/uploads/products/a.png', key: 'products/a.png', thumbnailKey: 'products/a-thumb.png' },
+          { url: 'https://example.com/seed.jpg' },
+        ],
+      });
+
+      try {
+        await handler.deleteProduct(req, res);
+      } finally {
+        setStorage(undefined);
+      }
+
+      expect(storage.remove.args).to.deep.equal([['products/a.png'], ['products/a-thumb.png']]);
+      expect(removeStub.calledBefore(storage.remove)).to.be.true;
+    });
+
     it('should return NotFoundError if product is not found', async () => {
       const id = '507f1f77bcf86cd799439011';
       const { req, res } = createMockReqRes({}, { id }, { userId: '123' });
@@ -241,15 +643,26 @@ describe('productController', () => {
   });
 
   describe('@uploadImage', () => {
-    let req, res;
+    let req, res, standIn, pngBuffer;
+
+    before(async () => {
+      pngBuffer = await sharp({
+        create: { width: 600, height: 400, channels: 3, background: '#c0ffee' },
+      })
+        .png()
+        .toBuffer();
+    });
 
     beforeEach(() => {
+      standIn = createCloudinaryStandIn({ cloudName: 'shop' });
+      setStorage(createCloudinaryStorage({ client: standIn }));
       req = {
         files: {
           image: {
+            name: '../../app.js',
             mimetype: 'image/png',
-            size: 1024,
-            mv: sinon.stub().resolves(),
+            size: pngBuffer.length,
+            data: pngBuffer,
           },
         },
       };
@@ -257,12 +670,58 @@ describe('productController', () => {
       res = createMockReqRes().res;
     });
 
-    it('should upload an image', async () => {
+    afterEach(() => {
+      setStorage(undefined);
+    });
+
+    it('should upload an image and a thumbnail under a generated name', async () => {
       await handler.uploadImage(req, res);
 
-      expect(req.files.image.mv.calledOnce).to.be.true;
       expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
-      expect(res.json.calledOnce).to.be.true;
+      const { image, thumbnail } = res.json.args[0][0];
+      expect(image).to.match(
+        /^https:\/\/res\.cloudinary\.com\/shop\/image\/upload\/products\/[0-9a-f-]{36}\.png$/
+      );
+      expect(thumbnail).to.equal(image.replace('.png', '-thumb.png'));
+      expect(image).to.not.include('app.js');
+
+      const [original, resized] = [...standIn.uploads.values()];
+      expect(original.buffer.equals(pngBuffer)).to.be.true;
+      const metadata = await sharp(resized.buffer).metadata();
+      expect(metadata).to.include({ format: 'png', width: 300, height: 200 });
+    });
+
+    it('should never overwrite a stored file', async () => {
+      await handler.uploadImage(req, res);
+      await handler.uploadImage(req, res);
+
+      const [first, second] = res.json.args.map((args) => args[0].image);
+      expect(first).to.not.equal(second);
+      expect(standIn.uploads.size).to.equal(4);
+    });
+
+    it('should write to local disk without leaving the storage root', async () => {
+      const root = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+      const storage = createLocalStorage({ root });
+      setStorage(storage);
+
+      try {
+        await handler.uploadImage(req, res);
+
+        const { image, thumbnail } = res.json.args[0][0];
+        expect(image).to.match(/^\/uploads\/products\/[0-9a-f-]{36}\.png$/);
+        const files = await fs.readdir(path.join(root, 'products'));
+        expect(files).to.have.length(2);
+        expect(files).to.include(path.basename(thumbnail));
+        try {
+          await storage.save({ key: '../escape.png', buffer: pngBuffer });
+          expect.fail('save should have thrown');
+        } catch (error) {
+          expect(error.message).to.equal('Invalid storage key: ../escape.png');
+        }
+      } finally {
+        await fs.rm(root, { recursive: true, force: true });
+      }
     });
 
     it('should throw BadRequestError if no file is uploaded', async () => {
@@ -270,6 +729,7 @@ describe('productController', () => {
 
       try {
         await handler.uploadImage(req, res);
+        expect.fail('uploadImage should have thrown');
       } catch (error) {
         expect(error.name).to.equal('BadRequestError');
         expect(error.message).to.equal('No File Uploaded');
@@ -277,15 +737,30 @@ describe('productController', () => {
       }
     });
 
-    it('should throw BadRequestError if file is not an image', async () => {
-      req.files.image.mimetype = 'text/plain';
+    it('should throw BadRequestError if the content is not an image whatever the mimetype says', async () => {
+      req.files.image.data = Buffer.from('<?php system($_GET["cmd"]); ?>');
 
       try {
         await handler.uploadImage(req, res);
+        expect.fail('uploadImage should have thrown');
       } catch (error) {
         expect(error.name).to.equal('BadRequestError');
         expect(error.message).to.equal('Please Upload Image');
         expect(error.statusCode).to.equal(StatusCodes.BAD_REQUEST);
+        expect(standIn.uploads.size).to.equal(0);
+      }
+    });
+
+    it('should throw BadRequestError if the file only starts like an image', async () => {
+      req.files.image.data = Buffer.concat([pngBuffer.subarray(0, 8), Buffer.alloc(64)]);
+
+      try {
+        await handler.uploadImage(req, res);
+        expect.fail('uploadImage should have thrown');
+      } catch (error) {
+        expect(error.name).to.equal('BadRequestError');
+        expect(error.message).to.equal('Please Upload Image');
+        expect(standIn.uploads.size).to.equal(0);
       }
     });
 
@@ -294,6 +769,7 @@ describe('productController', () => {
 
       try {
         await handler.uploadImage(req, res);
+        expect.fail('uploadImage should have thrown');
       } catch (error) {
         expect(error.name).to.equal('BadRequestError');
         expect(error.message).to.equal('Please Upload Image smaller than 1 MB');
@@ -0,0 +1,236 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+const sharp = require('sharp');
+
+const Product = require('../../../models/Product');
+const {
+    setStorage,
+    createCloudinaryStorage,
+    createCloudinaryStandIn
+} = require('../../../storage');
+const handler = rewire('../../../controllers/productImageController');
+
+const createMockReqRes = (body = {}, params = {}, files) => {
+    return {
+        req: {
+            body,
+            params,
+            files
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+const createFile = (data) => ({ name: 'photo.png', mimetype: 'image/png', size: data.length, data });
+
+
+describe("productImageController", () => {
+    let product, standIn, pngBuffer;
+
+    before(async () => {
+        pngBuffer = await sharp({
+            create: { width: 40, height: 40, channels: 3, background: '#000' }
+        }).png().toBuffer();
+    });
+
+    beforeEach(() => {
+        standIn = createCloudinaryStandIn({ cloudName: 'shop' });
+        setStorage(createCloudinaryStorage({ client: standIn }));
+        product = new Product({
+            name: 'accent chair',
+            images: [
+                { url: '/uploads/products/a.png', key: 'products/a.png', thumbnailKey: 'products/a-thumb.png', alt: 'front', isPrimary: true },
+                { url: '/uploads/products/b.png', key: 'products/b.png', thumbnailKey: 'products/b-thumb.png', alt: 'side' },
+                { url: 'https://example.com/c.png', alt: 'back' }
+            ]
+        });
+        product.isNew = false;
+        sinon.stub(Product, 'findOne').resolves(product);
+        // run the real validation and hooks, only skip the database
+        sinon.stub(product, 'save').callsFake(function () {
+            return this.validate({ pathsToSkip: ['category', 'company', 'user', 'description'] }).then(() => this);
+        });
+        ['products/a', 'products/a-thumb', 'products/b', 'products/b-thumb'].forEach((publicId) => {
+            standIn.uploads.set(publicId, { buffer: pngBuffer, format: 'png' });
+        });
+    });
+
+    afterEach(() => {
+        setStorage(undefined);
+        sinon.restore();
+    });
+
+    describe("@addProductImages", () => {
+        it('should store several images with their alt texts', async () => {
+            const { req, res } = createMockReqRes(
+                { alt: ['top', 'detail'] },
+                { id: product._id.toString() },
+                { images: [createFile(pngBuffer), createFile(pngBuffer)] }
+            );
+
+            await handler.addProductImages(req, res);
+
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+            const { images } = res.json.args[0][0];
+            expect(images.map((image) => image.alt)).to.deep.equal(['front', 'side', 'back', 'top', 'detail']);
+            expect(images[3].url).to.match(/^https:\/\/res\.cloudinary\.com\/shop\/image\/upload\/products\/[0-9a-f-]{36}\.png$/);
+            expect(images[3].thumbnailKey).to.match(/-thumb\.png$/);
+            expect(standIn.uploads.size).to.equal(8);
+        });
+
+        it('should accept a single file', async () => {
+            const { req, res } = createMockReqRes({ alt: 'top' }, { id: product._id.toString() }, { images: createFile(pngBuffer) });
+
+            await handler.addProductImages(req, res);
+
+            expect(product.images).to.have.length(4);
+            expect(product.images[3].alt).to.equal('top');
+        });
+
+        it('should make the first image of an empty gallery the primary one', async () => {
+            product.images = [];
+            const { req, res } = createMockReqRes({}, { id: product._id.toString() }, { images: [createFile(pngBuffer), createFile(pngBuffer)] });
+
+            await handler.addProductImages(req, res);
+
+            expect(product.images.map((image) => image.isPrimary)).to.deep.equal([true, false]);
+            expect(product.image).to.equal(product.images[0].url);
+            expect(product.thumbnail).to.equal(product.images[0].thumbnail);
+        });
+
+        it('should store nothing if any file is not an image', async () => {
+            const { req, res } = createMockReqRes({}, { id: product._id.toString() }, {
+                images: [createFile(pngBuffer), createFile(Buffer.from('not an image'))]
+            });
+
+            try {
+                await handler.addProductImages(req, res);
+                expect.fail('addProductImages should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Please Upload Image');
+                expect(standIn.uploads.size).to.equal(4);
+            }
+        });
+
+        it('should remove the stored files if the gallery is full', async () => {
+            const files = Array.from({ length: 8 }, () => createFile(pngBuffer));
+            const { req, res } = createMockReqRes({}, { id: product._id.toString() }, { images: files });
+
+            try {
+                await handler.addProductImages(req, res);
+                expect.fail('addProductImages should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('ValidationError');
+                expect(error.errors.images.message).to.equal('A product can have at most 10 images');
+                expect(standIn.uploads.size).to.equal(4);
+            }
+        });
+
+        it('should throw BadRequestError if no file is uploaded', async () => {
+            const { req, res } = createMockReqRes({}, { id: product._id.toString() }, null);
+
+            try {
+                await handler.addProductImages(req, res);
+                expect.fail('addProductImages should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('No File Uploaded');
+            }
+        });
+    });
+
+    describe("@reorderProductImages", () => {
+        it('should put the images in the given order', async () => {
+            const [a, b, c] = product.images.map((image) => image._id.toString());
+            const { req, res } = createMockReqRes({ order: [c, a, b] }, { id: product._id.toString() });
+
+            await handler.reorderProductImages(req, res);
+
+            expect(product.images.map((image) => image.alt)).to.deep.equal(['back', 'front', 'side']);
+            expect(product.images[1].isPrimary).to.be.true;
+            expect(product.image).to.equal('/uploads/products/a.png');
+        });
+
+        it('should throw BadRequestError unless every image is listed once', async () => {
+            const [a, b] = product.images.map((image) => image._id.toString());
+            const { req, res } = createMockReqRes({ order: [a, b, b] }, { id: product._id.toString() });
+
+            try {
+                await handler.reorderProductImages(req, res);
+                expect.fail('reorderProductImages should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('Please provide every image id exactly once');
+                expect(product.save.called).to.be.false;
+            }
+        });
+    });
+
+    describe("@updateProductImage", () => {
+        it('should change the alt text', async () => {
+            const imageId = product.images[1]._id.toString();
+            const { req, res } = createMockReqRes({ alt: 'left side', url: 'https://evil.example/x.png' }, { id: product._id.toString(), imageId });
+
+            await handler.updateProductImage(req, res);
+
+            expect(product.images[1].alt).to.equal('left side');
+            expect(product.images[1].url).to.equal('/uploads/products/b.png');
+        });
+    });
+
+    describe("@setPrimaryProductImage", () => {
+        it('should move the primary flag and the product image', async () => {
+            const imageId = product.images[2]._id.toString();
+            const { req, res } = createMockReqRes({}, { id: product._id.toString(), imageId });
+
+            await handler.setPrimaryProductImage(req, res);
+
+            expect(product.images.map((image) => image.isPrimary)).to.deep.equal([false, false, true]);
+            expect(product.image).to.equal('https://example.com/c.png');
+        });
+
+        it('should throw NotFoundError for an unknown image', async () => {
+            const { req, res } = createMockReqRes({}, { id: product._id.toString(), imageId: '507f1f77bcf86cd799439099' });
+
+            try {
+                await handler.setPrimaryProductImage(req, res);
+                expect.fail('setPrimaryProductImage should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No image with id: 507f1f77bcf86cd799439099');
+            }
+        });
+    });
+
+    describe("@deleteProductImage", () => {
+        it('should remove the image and its stored files', async () => {
+            const imageId = product.images[0]._id.toString();
+            const { req, res } = createMockReqRes({}, { id: product._id.toString(), imageId });
+
+            await handler.deleteProductImage(req, res);
+
+            expect(product.images).to.have.length(2);
+            expect(product.images[0].isPrimary).to.be.true;
+            expect(product.image).to.equal('/uploads/products/b.png');
+            expect([...standIn.uploads.keys()]).to.deep.equal(['products/b', 'products/b-thumb']);
+            expect(res.json.calledWith({ msg: 'Success! Image removed' })).to.be.true;
+        });
+
+        it('should fall back to the default image when the gallery is emptied', async () => {
+            product.images = [product.images[2]];
+            const imageId = product.images[0]._id.toString();
+            const { req, res } = createMockReqRes({}, { id: product._id.toString(), imageId });
+
+            await handler.deleteProductImage(req, res);
+
+            expect(product.image).to.equal('/uploads/example.jpeg');
+            expect(product.thumbnail).to.be.undefined;
+        });
+    });
+});
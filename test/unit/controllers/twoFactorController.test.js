@@ -0,0 +1,163 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const User = require('../../../models/User');
+const createHash = require('../../../utils/createHash');
+const { generateSecret, generateCode, verifyCode } = require('../../../utils/totp');
+const handler = rewire('../../../controllers/twoFactorController');
+
+const userId = '507f1f77bcf86cd799439012';
+
+const createMockReqRes = (body = {}, params = {}, user = { userId }) => {
+    return {
+        req: {
+            body,
+            params,
+            user
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+
+describe("twoFactorController", () => {
+    let mockUser;
+
+    beforeEach(() => {
+        mockUser = {
+            _id: userId,
+            email: 'admin@mock.com',
+            twoFactorEnabled: false,
+            save: sinon.stub().resolves(),
+            comparePassword: sinon.stub().resolves(true)
+        };
+        sinon.stub(User, 'findOne').resolves(mockUser);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@setupTwoFactor", () => {
+        it('should return a pending secret and an otpauth uri', async () => {
+            const { req, res } = createMockReqRes();
+
+            await handler.setupTwoFactor(req, res);
+
+            const { secret, otpauthURI } = res.json.args[0][0];
+            expect(secret).to.match(/^[A-Z2-7]{32}$/);
+            expect(mockUser.twoFactorPendingSecret).to.equal(secret);
+            expect(mockUser.twoFactorEnabled).to.be.false;
+            expect(otpauthURI).to.equal(`otpauth://totp/E-Commerce%20API%3Aadmin%40mock.com?secret=${secret}&issuer=E-Commerce+API&algorithm=SHA1&digits=6&period=30`);
+            expect(mockUser.save.calledOnce).to.be.true;
+        });
+
+        it('should throw BadRequestError if two-factor is already enabled', async () => {
+            mockUser.twoFactorEnabled = true;
+            const { req, res } = createMockReqRes();
+
+            try {
+                await handler.setupTwoFactor(req, res);
+                expect.fail('setupTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(mockUser.save.called).to.be.false;
+            }
+        });
+    });
+
+    describe("@verifyTwoFactor", () => {
+        it('should enable two-factor and return recovery codes once', async () => {
+            const secret = generateSecret();
+            mockUser.twoFactorPendingSecret = secret;
+            const { req, res } = createMockReqRes({ code: generateCode(secret) });
+
+            await handler.verifyTwoFactor(req, res);
+
+            const { recoveryCodes } = res.json.args[0][0];
+            expect(recoveryCodes).to.have.length(10);
+            expect(recoveryCodes[0]).to.match(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+            expect(mockUser.twoFactorEnabled).to.be.true;
+            expect(mockUser.twoFactorSecret).to.equal(secret);
+            expect(mockUser.twoFactorPendingSecret).to.be.undefined;
+            expect(mockUser.twoFactorRecoveryCodes[0]).to.equal(createHash(recoveryCodes[0].replace('-', '')));
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should throw BadRequestError for a wrong code', async () => {
+            const secret = generateSecret();
+            mockUser.twoFactorPendingSecret = secret;
+            const wrongCode = ['000000', '111111', '222222', '333333'].find((code) => verifyCode(secret, code) === null);
+            const { req, res } = createMockReqRes({ code: wrongCode });
+
+            try {
+                await handler.verifyTwoFactor(req, res);
+                expect.fail('verifyTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Invalid two-factor code');
+                expect(mockUser.twoFactorEnabled).to.be.false;
+            }
+        });
+
+        it('should throw BadRequestError if setup was not started', async () => {
+            const { req, res } = createMockReqRes({ code: '123456' });
+
+            try {
+                await handler.verifyTwoFactor(req, res);
+                expect.fail('verifyTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Please start two-factor setup first');
+            }
+        });
+    });
+
+    describe("@disableTwoFactor", () => {
+        let secret;
+
+        beforeEach(() => {
+            secret = generateSecret();
+            Object.assign(mockUser, { twoFactorEnabled: true, twoFactorSecret: secret, twoFactorRecoveryCodes: ['hash'] });
+            sinon.stub(User, 'updateOne').resolves({ modifiedCount: 1 });
+        });
+
+        it('should disable two-factor with password and code', async () => {
+            const { req, res } = createMockReqRes({ password: 'secret', code: generateCode(secret) });
+
+            await handler.disableTwoFactor(req, res);
+
+            expect(mockUser.twoFactorEnabled).to.be.false;
+            expect(mockUser.twoFactorSecret).to.be.undefined;
+            expect(mockUser.twoFactorRecoveryCodes).to.deep.equal([]);
+            expect(mockUser.save.calledOnce).to.be.true;
+        });
+
+        it('should require the password', async () => {
+            mockUser.comparePassword.resolves(false);
+            const { req, res } = createMockReqRes({ password: 'wrong', code: generateCode(secret) });
+
+            try {
+                await handler.disableTwoFactor(req, res);
+                expect.fail('disableTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(mockUser.twoFactorEnabled).to.be.true;
+            }
+        });
+
+        it('should require a code', async () => {
+            const { req, res } = createMockReqRes({ password: 'secret' });
+
+            try {
+                await handler.disableTwoFactor(req, res);
+                expect.fail('disableTwoFactor should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+            }
+        });
+    });
+});
@@ -4,14 +4,24 @@ const { expect, use } = require('chai');
 const { StatusCodes } = require('http-status-codes');
 
 const User = require('../../../models/User');
+const SecurityEvent = require('../../../models/SecurityEvent');
+const Order = require('../../../models/Order');
+const Review = require('../../../models/Review');
+const Token = require('../../../models/Token');
+const ApiKey = require('../../../models/ApiKey');
+const Cart = require('../../../models/Cart');
+const createHash = require('../../../utils/createHash');
 const handler = rewire('../../../controllers/userController.js');
 
-const createMockReqRes = (body = {}, params = {}, user = {}) => {
+const createMockReqRes = (body = {}, params = {}, user = {}, query = {}) => {
     return {
         req: {
             body,
             params,
-            user: user
+            query,
+            user: user,
+            baseUrl: '/api/v1/users',
+            path: '/'
         },
         res: {
             status: sinon.stub().returnsThis(),
@@ -23,6 +33,23 @@ const createMockReqRes = (body = {}, params = {}, user = {}) => {
 handler.__set__('createTokenUser', sinon.stub());
 handler.__set__('attachCookiesToResponse', sinon.stub());
 handler.__set__('checkPermissions', sinon.stub());
+const sendVerificationEmailStub = sinon.stub();
+handler.__set__('sendVerificationEmail', sendVerificationEmailStub);
+
+// thenable stand-in for a chainable mongoose query
+const createQueryStub = (result) => {
+    const query = {
+        select: sinon.stub(),
+        sort: sinon.stub(),
+        skip: sinon.stub(),
+        limit: sinon.stub(),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    Object.keys(query)
+        .filter((key) => key !== 'then')
+        .forEach((key) => query[key].returns(query));
+    return query;
+};
 
 
 describe("userController", () => {
@@ -37,17 +64,67 @@ describe("userController", () => {
             findStub = sinon.stub(User, 'find');
         });
 
-        it('should return all users with role user', async () => {
+        it('should return a page of all users including admins', async () => {
             const { req, res } = createMockReqRes();
-            const users = [{ name: 'user1' }, { name: 'user2' }];
-            findStub.returns({
-                select: sinon.stub().returns(users),
-            });
+            const users = [{ name: 'admin', role: 'admin' }, { name: 'user2', role: 'user' }];
+            const query = createQueryStub(users);
+            findStub.returns(query);
+            sinon.stub(User, 'countDocuments').resolves(12);
 
             await handler.getAllUsers(req, res);
 
+            expect(findStub.calledWith({})).to.be.true;
+            expect(query.select.calledWith('-password')).to.be.true;
+            expect(query.sort.calledWith('name')).to.be.true;
             expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
-            expect(res.json.calledWith({ users })).to.be.true;
+            expect(res.json.args[0][0]).to.deep.include({
+                users,
+                count: 2,
+                totalUsers: 12,
+                page: 1,
+                numOfPages: 2,
+                next: '/api/v1/users/?page=2&limit=10',
+                prev: null
+            });
+        });
+
+        it('should search by name or email and filter by role and status', async () => {
+            const { req, res } = createMockReqRes({}, {}, {}, { search: 'jane.doe', role: 'support', active: 'false', sort: 'email,-name', page: '2', limit: '5' });
+            const query = createQueryStub([]);
+            findStub.returns(query);
+            const countStub = sinon.stub(User, 'countDocuments').resolves(0);
+
+            await handler.getAllUsers(req, res);
+
+            const pattern = { $regex: 'jane\\.doe', $options: 'i' };
+            const expectedQuery = { $or: [{ name: pattern }, { email: pattern }], role: 'support', isActive: false };
+            expect(findStub.args[0][0]).to.deep.equal(expectedQuery);
+            expect(countStub.args[0][0]).to.deep.equal(expectedQuery);
+            expect(query.sort.calledWith('email -name')).to.be.true;
+            expect(query.skip.calledWith(5)).to.be.true;
+            expect(query.limit.calledWith(5)).to.be.true;
+        });
+
+        it('should accept a repeated sort param', async () => {
+            const { req, res } = createMockReqRes({}, {}, {}, { sort: ['role', '-createdAt'] });
+            const query = createQueryStub([]);
+            findStub.returns(query);
+            sinon.stub(User, 'countDocuments').resolves(0);
+
+            await handler.getAllUsers(req, res);
+
+            expect(query.sort.calledWith('role -createdAt')).to.be.true;
+        });
+
+        it('should only sort by the listed user fields', async () => {
+            const { req, res } = createMockReqRes({}, {}, {}, { sort: '-password,isActive' });
+            const query = createQueryStub([]);
+            findStub.returns(query);
+            sinon.stub(User, 'countDocuments').resolves(0);
+
+            await handler.getAllUsers(req, res);
+
+            expect(query.sort.calledWith('isActive')).to.be.true;
         });
     });
 
@@ -108,6 +185,8 @@ describe("userController", () => {
         let findOneStub, saveStub;
 
         beforeEach(() => {
+            sendVerificationEmailStub.reset();
+            sendVerificationEmailStub.resolves();
             findOneStub = sinon.stub(User, 'findOne');
             saveStub = sinon.stub();
         });
@@ -130,6 +209,7 @@ describe("userController", () => {
         it('should update user with email and name', async () => {
             const { req, res } = createMockReqRes({ email: 'test@mock.com', name: 'test' });
             findOneStub.returns({
+                email: 'test@mock.com',
                 select: sinon.stub().returns({ email: 'test@mock.com', name: 'test' }),
                 save: saveStub,
             });
@@ -139,6 +219,25 @@ describe("userController", () => {
             expect(saveStub.calledOnce).to.be.true;
             expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
             expect(res.json.calledOnce).to.be.true;
+            expect(sendVerificationEmailStub.called).to.be.false;
+        });
+
+        it('should ask for verification again when the email changes', async () => {
+            const { req, res } = createMockReqRes({ email: 'new@mock.com', name: 'test' });
+            const user = new User({ name: 'test', email: 'old@mock.com', password: 'secret', isVerified: true, verified: new Date() });
+            sinon.stub(user, 'save').resolves(user);
+            findOneStub.resolves(user);
+
+            await handler.updateUser(req, res);
+
+            expect(user.email).to.equal('new@mock.com');
+            expect(user.isVerified).to.be.false;
+            expect(user.verified).to.be.undefined;
+            const emailArgs = sendVerificationEmailStub.args[0][0];
+            expect(emailArgs).to.include({ name: 'test', email: 'new@mock.com' });
+            expect(user.verificationToken).to.equal(createHash(emailArgs.verificationToken));
+            expect(user.verificationTokenExpires).to.be.a('date');
+            expect(user.save.calledBefore(sendVerificationEmailStub)).to.be.true;
         });
     });
 
@@ -201,5 +300,221 @@ describe("userController", () => {
             expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
             expect(res.json.calledOnce).to.be.true;
         });
-    })
-});
\ No newline at end of file
+    });
+
+
+    describe("@updateUserRole", () => {
+        let findOneStub, mockUser;
+
+        beforeEach(() => {
+            mockUser = { _id: 'user2', role: 'user', save: sinon.stub().resolves() };
+            findOneStub = sinon.stub(User, 'findOne').returns({
+                select: sinon.stub().resolves(mockUser)
+            });
+        });
+
+        it('should assign a new role', async () => {
+            const { req, res } = createMockReqRes({ role: 'order-fulfilment' }, { id: 'user2' }, { userId: 'admin1', role: 'admin' });
+
+            await handler.updateUserRole(req, res);
+
+            expect(findOneStub.calledWith({ _id: 'user2' })).to.be.true;
+            expect(mockUser.role).to.equal('order-fulfilment');
+            expect(mockUser.save.calledOnce).to.be.true;
+            expect(res.status.calledWith(StatusCodes.OK)).to.be.true;
+        });
+
+        it('should throw BadRequestError for an unknown role', async () => {
+            const { req, res } = createMockReqRes({ role: 'superuser' }, { id: 'user2' }, { userId: 'admin1', role: 'admin' });
+
+            try {
+                await handler.updateUserRole(req, res);
+                expect.fail('updateUserRole should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.match(/^Please provide a valid role: admin, catalog-manager/);
+                expect(findOneStub.called).to.be.false;
+            }
+        });
+
+        it('should not let users change their own role', async () => {
+            const { req, res } = createMockReqRes({ role: 'user' }, { id: 'admin1' }, { userId: 'admin1', role: 'admin' });
+
+            try {
+                await handler.updateUserRole(req, res);
+                expect.fail('updateUserRole should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('You cannot change your own role');
+            }
+        });
+
+        it('should throw NotFoundError if the user does not exist', async () => {
+            findOneStub.returns({ select: sinon.stub().resolves(null) });
+            const { req, res } = createMockReqRes({ role: 'support' }, { id: 'missing' }, { userId: 'admin1', role: 'admin' });
+
+            try {
+                await handler.updateUserRole(req, res);
+                expect.fail('updateUserRole should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No user with id: missing');
+            }
+        });
+    });
+
+    describe("@unlockUser", () => {
+        it('should clear the lockout and record who lifted it', async () => {
+            const mockUser = { _id: 'user2', email: 'test@mock.com', failedLoginAttempts: 5, lockUntil: new Date() };
+            sinon.stub(User, 'findOne').returns({ select: sinon.stub().resolves(mockUser) });
+            const updateStub = sinon.stub(User, 'updateOne').resolves();
+            const recordStub = sinon.stub(SecurityEvent, 'create').resolves();
+            const { req, res } = createMockReqRes({}, { id: 'user2' }, { userId: 'support1', role: 'support' });
+
+            await handler.unlockUser(req, res);
+
+            expect(updateStub.calledWith({ _id: 'user2' }, sinon.match({ failedLoginAttempts: 0 }))).to.be.true;
+            expect(recordStub.args[0][0]).to.deep.include({ type: 'account_unlocked', details: { by: 'support1' } });
+            expect(res.json.calledWith({ msg: 'Success! Account unlocked' })).to.be.true;
+        });
+
+        it('should throw NotFoundError if the user does not exist', async () => {
+            sinon.stub(User, 'findOne').returns({ select: sinon.stub().resolves(null) });
+            const { req, res } = createMockReqRes({}, { id: 'missing' }, { userId: 'support1', role: 'support' });
+
+            try {
+                await handler.unlockUser(req, res);
+                expect.fail('unlockUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+            }
+        });
+    });
+
+    describe("@deactivateUser", () => {
+        it('should deactivate the account and revoke its sessions', async () => {
+            const mockUser = { _id: 'user2', isActive: true, save: sinon.stub().resolves() };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            const revokeStub = sinon.stub(Token, 'revokeAllForUser').resolves();
+            const { req, res } = createMockReqRes({}, { id: 'user2' }, { userId: 'admin1', role: 'admin' });
+
+            await handler.deactivateUser(req, res);
+
+            expect(mockUser.isActive).to.be.false;
+            expect(mockUser.deactivatedAt).to.be.a('date');
+            expect(mockUser.save.calledOnce).to.be.true;
+            expect(revokeStub.calledWith('user2')).to.be.true;
+        });
+
+        it('should not let admins deactivate themselves', async () => {
+            const findOneStub = sinon.stub(User, 'findOne');
+            const { req, res } = createMockReqRes({}, { id: 'admin1' }, { userId: 'admin1', role: 'admin' });
+
+            try {
+                await handler.deactivateUser(req, res);
+                expect.fail('deactivateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('You cannot manage your own account');
+                expect(findOneStub.called).to.be.false;
+            }
+        });
+    });
+
+    describe("@reactivateUser", () => {
+        it('should reactivate a deactivated account', async () => {
+            const mockUser = { _id: 'user2', isActive: false, deactivatedAt: new Date(), save: sinon.stub().resolves() };
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            const { req, res } = createMockReqRes({}, { id: 'user2' }, { userId: 'admin1', role: 'admin' });
+
+            await handler.reactivateUser(req, res);
+
+            expect(mockUser.isActive).to.be.true;
+            expect(mockUser.deactivatedAt).to.be.undefined;
+        });
+
+        it('should refuse to bring back an anonymized account', async () => {
+            sinon.stub(User, 'findOne').resolves({ _id: 'user2', isActive: false, anonymizedAt: new Date() });
+            const { req, res } = createMockReqRes({}, { id: 'user2' }, { userId: 'admin1', role: 'admin' });
+
+            try {
+                await handler.reactivateUser(req, res);
+                expect.fail('reactivateUser should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Anonymized users cannot be reactivated');
+            }
+        });
+    });
+
+    describe("@deleteUser", () => {
+        let mockUser;
+
+        beforeEach(() => {
+            mockUser = new User({ name: 'jane', email: 'jane@mock.com', password: 'secret', twoFactorEnabled: true, twoFactorSecret: 'SECRET' });
+            sinon.stub(mockUser, 'save').resolves(mockUser);
+            sinon.stub(mockUser, 'remove').resolves(mockUser);
+            sinon.stub(User, 'findOne').resolves(mockUser);
+            sinon.stub(Token, 'revokeAllForUser').resolves();
+            sinon.stub(Token, 'deleteMany').resolves();
+            sinon.stub(ApiKey, 'updateMany').resolves();
+            sinon.stub(ApiKey, 'deleteMany').resolves();
+            sinon.stub(Cart, 'deleteMany').resolves();
+        });
+
+        it('should anonymize by default and keep orders and reviews', async () => {
+            const reviewFindStub = sinon.stub(Review, 'find');
+            const { req, res } = createMockReqRes({}, { id: mockUser._id.toString() }, { userId: 'admin1', role: 'admin' });
+
+            await handler.deleteUser(req, res);
+
+            expect(mockUser.name).to.equal('Deleted User');
+            expect(mockUser.email).to.equal(`deleted-${mockUser._id}@anonymized.invalid`);
+            expect(mockUser.isActive).to.be.false;
+            expect(mockUser.anonymizedAt).to.be.a('date');
+            expect(mockUser.twoFactorSecret).to.be.undefined;
+            expect(mockUser.save.calledOnce).to.be.true;
+            expect(mockUser.remove.called).to.be.false;
+            expect(reviewFindStub.called).to.be.false;
+            expect(Token.revokeAllForUser.calledWith(mockUser._id)).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! User anonymized' })).to.be.true;
+        });
+
+        it('should delete a user without orders together with their reviews', async () => {
+            sinon.stub(Order, 'countDocuments').resolves(0);
+            const review = { remove: sinon.stub().resolves() };
+            sinon.stub(Review, 'find').resolves([review, review]);
+            const { req, res } = createMockReqRes({}, { id: mockUser._id.toString() }, { userId: 'admin1', role: 'admin' }, { mode: 'delete' });
+
+            await handler.deleteUser(req, res);
+
+            expect(review.remove.calledTwice).to.be.true;
+            expect(Token.deleteMany.calledWith({ user: mockUser._id })).to.be.true;
+            expect(mockUser.remove.calledOnce).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! User deleted' })).to.be.true;
+        });
+
+        it('should refuse to hard delete a user with orders', async () => {
+            sinon.stub(Order, 'countDocuments').resolves(3);
+            const { req, res } = createMockReqRes({}, { id: mockUser._id.toString() }, { userId: 'admin1', role: 'admin' }, { mode: 'delete' });
+
+            try {
+                await handler.deleteUser(req, res);
+                expect.fail('deleteUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('BadRequestError');
+                expect(error.message).to.equal('User has orders, anonymize the account instead');
+                expect(mockUser.remove.called).to.be.false;
+            }
+        });
+
+        it('should throw BadRequestError for an unknown mode', async () => {
+            const { req, res } = createMockReqRes({}, { id: mockUser._id.toString() }, { userId: 'admin1', role: 'admin' }, { mode: 'shred' });
+
+            try {
+                await handler.deleteUser(req, res);
+                expect.fail('deleteUser should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Mode must be either anonymize or delete');
+            }
+        });
+    });
+});
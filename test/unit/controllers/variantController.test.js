@@ -0,0 +1,153 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { StatusCodes } = require('http-status-codes');
+
+const Product = require('../../../models/Product');
+const Category = require('../../../models/Category');
+const Company = require('../../../models/Company');
+const handler = rewire('../../../controllers/variantController');
+
+const createMockReqRes = (body = {}, params = {}) => {
+    return {
+        req: {
+            body,
+            params
+        },
+        res: {
+            status: sinon.stub().returnsThis(),
+            json: sinon.stub()
+        }
+    };
+};
+
+
+describe("variantController", () => {
+    let product, findOneStub, recountStub;
+
+    beforeEach(() => {
+        product = new Product({
+            name: 'accent chair',
+            price: 10000,
+            description: 'chair',
+            category: '507f1f77bcf86cd799439021',
+            company: '507f1f77bcf86cd799439031',
+            user: '507f1f77bcf86cd799439012',
+            variants: [{ sku: 'chair-black', options: { color: 'black' }, inventory: 3 }]
+        });
+        findOneStub = sinon.stub(Product, 'findOne').resolves(product);
+        sinon.stub(Category, 'exists').resolves({ _id: product.category });
+        sinon.stub(Company, 'exists').resolves({ _id: product.company });
+        // run the real validation and hooks, only skip the database
+        sinon.stub(Product.prototype, 'save').callsFake(function () {
+            return this.validate().then(() => this);
+        });
+        // the total the database sums from the stored variants
+        recountStub = sinon.stub(Product, 'findOneAndUpdate').callsFake(async () => ({
+            inventory: product.variants.reduce((sum, variant) => sum + variant.inventory, 0)
+        }));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@addVariant", () => {
+        it('should add a variant and update the product stock total', async () => {
+            const { req, res } = createMockReqRes(
+                { sku: 'chair-red', options: { color: 'red' }, inventory: 4, price: 12000 },
+                { id: product._id.toString() }
+            );
+
+            await handler.addVariant(req, res);
+
+            expect(findOneStub.calledWith({ _id: product._id.toString() })).to.be.true;
+            expect(product.variants).to.have.length(2);
+            expect(res.status.calledWith(StatusCodes.CREATED)).to.be.true;
+            const { variant, inventory } = res.json.args[0][0];
+            expect(variant).to.include({ sku: 'CHAIR-RED', price: 12000 });
+            expect(inventory).to.equal(7);
+        });
+
+        it('should reject a variant with the same options as another one', async () => {
+            const { req, res } = createMockReqRes(
+                { sku: 'chair-black-2', options: { color: 'black' } },
+                { id: product._id.toString() }
+            );
+
+            try {
+                await handler.addVariant(req, res);
+                expect.fail('addVariant should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('ValidationError');
+                expect(error.errors.variants.message).to.equal('Variant options must be unique');
+            }
+        });
+
+        it('should throw NotFoundError if the product does not exist', async () => {
+            findOneStub.resolves(null);
+            const { req, res } = createMockReqRes({}, { id: 'missing' });
+
+            try {
+                await handler.addVariant(req, res);
+                expect.fail('addVariant should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No product with id: missing');
+            }
+        });
+    });
+
+    describe("@updateVariant", () => {
+        it('should update the stock of a variant', async () => {
+            const variantId = product.variants[0]._id.toString();
+            const { req, res } = createMockReqRes({ inventory: 10 }, { id: product._id.toString(), variantId });
+
+            await handler.updateVariant(req, res);
+
+            expect(product.variants[0].inventory).to.equal(10);
+            expect(res.json.args[0][0].inventory).to.equal(10);
+        });
+
+        it('should sum the stock total from the stored variants after saving', async () => {
+            const variantId = product.variants[0]._id.toString();
+            const { req, res } = createMockReqRes({ price: 9000 }, { id: product._id.toString(), variantId });
+            // a reservation took one unit between the read and the save
+            recountStub.callsFake(async () => ({ inventory: 2 }));
+
+            await handler.updateVariant(req, res);
+
+            const [filter, pipeline] = recountStub.args[0];
+            expect(recountStub.calledAfter(Product.prototype.save)).to.be.true;
+            expect(filter).to.deep.equal({ _id: product._id });
+            expect(pipeline[0].$set.inventory.$cond[1]).to.deep.equal({ $sum: '$variants.inventory' });
+            expect(res.json.args[0][0].inventory).to.equal(2);
+        });
+
+        it('should throw NotFoundError for an unknown variant', async () => {
+            const { req, res } = createMockReqRes({ inventory: 10 }, { id: product._id.toString(), variantId: '507f1f77bcf86cd799439099' });
+
+            try {
+                await handler.updateVariant(req, res);
+                expect.fail('updateVariant should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('NotFoundError');
+                expect(error.message).to.equal('No variant with id: 507f1f77bcf86cd799439099');
+                expect(Product.prototype.save.called).to.be.false;
+            }
+        });
+    });
+
+    describe("@deleteVariant", () => {
+        it('should remove a variant', async () => {
+            const variantId = product.variants[0]._id.toString();
+            const { req, res } = createMockReqRes({}, { id: product._id.toString(), variantId });
+
+            await handler.deleteVariant(req, res);
+
+            expect(product.variants).to.have.length(0);
+            expect(recountStub.calledOnce).to.be.true;
+            expect(res.json.calledWith({ msg: 'Success! Variant removed' })).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,427 @@
+const rewire = require('rewire');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const express = require('express');
+
+const ApiKey = require('../../../models/ApiKey');
+const User = require('../../../models/User');
+const CustomError = require('../../../errors');
+const { createJWT } = require('../../../utils/jwt');
+const checkPermissions = require('../../../utils/checkPermissions');
+const handler = rewire('../../../middleware/authentication');
+
+const rawKey = 'sk_live_erp';
+const sessionUser = { name: 'john', userId: '507f1f77bcf86cd799439011', role: 'user' };
+
+// a real express route, so the middleware sees the same layers it does in the app
+const createRoute = (method, ...middleware) =>
+    express.Router().route('/resource')[method](...middleware, (req, res) => res.end());
+
+const createMockReq = ({ headers = {}, signedCookies = {}, route, method = 'GET' } = {}) => ({
+    headers,
+    signedCookies,
+    route,
+    method
+});
+
+// stand-in for ApiKey.findOne(...).populate(...)
+const createKeyQuery = (apiKey) => ({
+    populate: sinon.stub().resolves(apiKey)
+});
+
+const createApiKey = ({ scopes = [], role = 'admin', isActive = true } = {}) => ({
+    _id: '507f1f77bcf86cd799439033',
+    scopes,
+    isUsable: () => true,
+    user: { _id: '507f1f77bcf86cd799439011', name: 'erp', role, isActive }
+});
+
+const runMiddleware = async (middleware, req) => {
+    const next = sinon.stub();
+    await middleware(req, {}, next);
+    return next;
+};
+
+
+const signToken = (payload) => createJWT({ payload, expiresIn: '15m' });
+
+// stand-in for User.findOne(...).select(...)
+const stubAccount = (account) =>
+    sinon.stub(User, 'findOne').returns({
+        select: sinon.stub().resolves({ name: sessionUser.name, role: sessionUser.role, ...account })
+    });
+
+
+describe("authentication middleware", () => {
+    let previousSecret;
+
+    before(() => {
+        previousSecret = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = 'test-secret';
+    });
+
+    after(() => {
+        process.env.JWT_SECRET = previousSecret;
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@strategies", () => {
+        beforeEach(() => {
+            stubAccount({ isActive: true });
+        });
+
+        it('should accept a bearer token', async () => {
+            const token = signToken(sessionUser);
+            const req = createMockReq({ headers: { authorization: `Bearer ${token}` } });
+
+            const next = await runMiddleware(handler.authenticateUser, req);
+
+            expect(next.calledOnce).to.be.true;
+            expect(req.user).to.deep.equal(sessionUser);
+            expect(req.auth).to.deep.equal({ strategy: 'bearer' });
+        });
+
+        it('should take the role from the account rather than the token', async () => {
+            const select = sinon.stub().resolves({ name: 'john', role: 'user', isActive: true });
+            User.findOne.returns({ select });
+            const token = signToken({ ...sessionUser, role: 'admin' });
+            const req = createMockReq({ headers: { authorization: `Bearer ${token}` } });
+
+            await runMiddleware(handler.authenticateUser, req);
+
+            expect(select.calledWith('name role isActive')).to.be.true;
+            expect(req.user).to.deep.equal(sessionUser);
+        });
+
+        it('should accept a signed access token cookie with the same user shape', async () => {
+            const token = signToken(sessionUser);
+            const req = createMockReq({ signedCookies: { accessToken: token } });
+
+            await runMiddleware(handler.authenticateUser, req);
+
+            expect(req.user).to.deep.equal(sessionUser);
+            expect(req.auth).to.deep.equal({ strategy: 'cookie' });
+        });
+
+        it('should reject single purpose tokens like the 2fa challenge', async () => {
+            const token = signToken({ ...sessionUser, purpose: '2fa' });
+            const req = createMockReq({ headers: { authorization: `Bearer ${token}` } });
+
+            try {
+                await runMiddleware(handler.authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(error.message).to.equal('Authentication Invalid');
+            }
+        });
+
+        it('should not fall through to the cookie when the bearer token is bad', async () => {
+            const req = createMockReq({
+                headers: { authorization: 'Bearer not-a-jwt' },
+                signedCookies: { accessToken: signToken(sessionUser) }
+            });
+
+            try {
+                await runMiddleware(handler.authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(req.user).to.be.undefined;
+            }
+        });
+
+        it('should not fall through to a session when the api key is unknown', async () => {
+            sinon.stub(ApiKey, 'findOne').returns(createKeyQuery(null));
+            const req = createMockReq({
+                headers: { 'x-api-key': 'sk_unknown', authorization: `Bearer ${signToken(sessionUser)}` }
+            });
+
+            try {
+                await runMiddleware(handler.authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+            }
+        });
+
+        it('should reject a token signed with another secret', async () => {
+            const token = signToken(sessionUser);
+            process.env.JWT_SECRET = 'rotated-secret';
+            const req = createMockReq({ signedCookies: { accessToken: token } });
+
+            try {
+                await runMiddleware(handler.authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+            } finally {
+                process.env.JWT_SECRET = 'test-secret';
+            }
+        });
+
+        it('should throw UnauthenticatedError without any credential', async () => {
+            try {
+                await runMiddleware(handler.authenticateUser, createMockReq());
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+            }
+        });
+
+        it('should let guests through optional routes and ignore bad tokens there', async () => {
+            const guest = createMockReq();
+            const withBadToken = createMockReq({ headers: { authorization: 'Bearer not-a-jwt' } });
+
+            expect((await runMiddleware(handler.authenticateOptional, guest)).calledOnce).to.be.true;
+            expect((await runMiddleware(handler.authenticateOptional, withBadToken)).calledOnce).to.be.true;
+            expect(guest.user).to.be.undefined;
+            expect(withBadToken.user).to.be.undefined;
+        });
+
+        it('should identify a logged in user on optional routes', async () => {
+            const req = createMockReq({ signedCookies: { accessToken: signToken(sessionUser) } });
+
+            await runMiddleware(handler.authenticateOptional, req);
+
+            expect(req.user).to.deep.equal(sessionUser);
+        });
+    });
+
+    describe("@deactivated users", () => {
+        it('should reject a still valid token of a deactivated account', async () => {
+            const findStub = stubAccount({ isActive: false });
+            const req = createMockReq({ headers: { authorization: `Bearer ${signToken(sessionUser)}` } });
+
+            try {
+                await runMiddleware(handler.authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(findStub.calledWith({ _id: sessionUser.userId })).to.be.true;
+            }
+        });
+
+        it('should reject a token of a deleted account', async () => {
+            stubAccount(null);
+            const req = createMockReq({ signedCookies: { accessToken: signToken(sessionUser) } });
+
+            try {
+                await runMiddleware(handler.authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+            }
+        });
+    });
+
+    describe("@registerAuthStrategy", () => {
+        let strategies, registered;
+
+        beforeEach(() => {
+            strategies = handler.__get__('strategies');
+            registered = [...strategies];
+        });
+
+        afterEach(() => {
+            strategies.splice(0, strategies.length, ...registered);
+        });
+
+        const headerStrategy = (user) => ({
+            name: 'partner',
+            extract: (req) => req.headers['x-partner-token'],
+            authenticate: sinon.stub().resolves(user)
+        });
+
+        it('should try a registered strategy after the built in ones', async () => {
+            const strategy = headerStrategy({ name: 'partner', userId: 'p1', role: 'user' });
+            handler.registerAuthStrategy(strategy);
+            const req = createMockReq({ headers: { 'x-partner-token': 'abc' } });
+
+            await runMiddleware(handler.authenticateUser, req);
+
+            expect(strategy.authenticate.calledWith('abc', req)).to.be.true;
+            expect(req.user).to.deep.equal({ name: 'partner', userId: 'p1', role: 'user' });
+            expect(req.auth).to.deep.equal({ strategy: 'partner' });
+        });
+
+        it('should put a strategy registered first ahead of the others', async () => {
+            stubAccount({ isActive: true });
+            const strategy = headerStrategy({ name: 'partner', userId: 'p1', role: 'user' });
+            handler.registerAuthStrategy(strategy, { first: true });
+            const req = createMockReq({
+                headers: { 'x-partner-token': 'abc', authorization: `Bearer ${signToken(sessionUser)}` }
+            });
+
+            await runMiddleware(handler.authenticateUser, req);
+
+            expect(req.auth.strategy).to.equal('partner');
+            expect(User.findOne.called).to.be.false;
+        });
+
+        it('should pass errors a strategy raises on purpose through', async () => {
+            const strategy = headerStrategy();
+            strategy.authenticate.rejects(new CustomError.UnauthorizedError('Partner suspended'));
+            handler.registerAuthStrategy(strategy);
+            const req = createMockReq({ headers: { 'x-partner-token': 'abc' } });
+
+            try {
+                await runMiddleware(handler.authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthorizedError');
+                expect(error.message).to.equal('Partner suspended');
+            }
+        });
+    });
+
+    describe("@api keys", () => {
+        let findKeyStub;
+
+        beforeEach(() => {
+            findKeyStub = sinon.stub(ApiKey, 'findOne').returns(createKeyQuery(createApiKey({ scopes: ['order:read'] })));
+            sinon.stub(ApiKey, 'updateOne').resolves();
+        });
+
+        it('should accept a key on a route that declares a permission it is scoped for', async () => {
+            const { authenticateUser, authorizePermissions } = handler;
+            const req = createMockReq({
+                headers: { 'x-api-key': rawKey },
+                route: createRoute('get', authenticateUser, authorizePermissions('order:read'))
+            });
+
+            const next = await runMiddleware(authenticateUser, req);
+
+            expect(next.calledOnce).to.be.true;
+            expect(req.user).to.deep.equal({
+                name: 'erp',
+                userId: '507f1f77bcf86cd799439011',
+                role: 'admin',
+                scopes: ['order:read']
+            });
+            expect(req.auth).to.deep.equal({ strategy: 'api-key' });
+            expect(ApiKey.updateOne.calledOnce).to.be.true;
+            expect(() => authorizePermissions('order:read')(req, {}, sinon.stub())).to.not.throw();
+        });
+
+        it('should reject a key on a route that only wants a logged in owner', async () => {
+            const { authenticateUser } = handler;
+            const req = createMockReq({
+                headers: { 'x-api-key': rawKey },
+                method: 'PATCH',
+                route: createRoute('patch', authenticateUser)
+            });
+
+            try {
+                await runMiddleware(authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthorizedError');
+                expect(error.message).to.equal('API keys can not access this route');
+                expect(req.user).to.be.undefined;
+            }
+        });
+
+        it('should reject a key with no scopes even for an admin owner', async () => {
+            findKeyStub.returns(createKeyQuery(createApiKey({ scopes: [] })));
+            const { authenticateUser } = handler;
+            const req = createMockReq({ headers: { 'x-api-key': rawKey }, route: createRoute('get', authenticateUser) });
+
+            try {
+                await runMiddleware(authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('API keys can not access this route');
+            }
+        });
+
+        it('should only look at the permissions declared for the request method', async () => {
+            const { authenticateUser, authorizePermissions } = handler;
+            const route = express.Router().route('/resource')
+                .get(authenticateUser, authorizePermissions('order:read'), (req, res) => res.end())
+                .patch(authenticateUser, (req, res) => res.end());
+            const req = createMockReq({ headers: { 'x-api-key': rawKey }, method: 'PATCH', route });
+
+            try {
+                await runMiddleware(authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthorizedError');
+            }
+        });
+
+        it('should reject a key on optional routes instead of treating it as a guest', async () => {
+            const { authenticateOptional } = handler;
+            const req = createMockReq({ headers: { 'x-api-key': rawKey }, route: createRoute('get', authenticateOptional) });
+
+            try {
+                await runMiddleware(authenticateOptional, req);
+                expect.fail('authenticateOptional should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('API keys can not access this route');
+            }
+        });
+
+        it('should deny a declared permission the key is not scoped for', async () => {
+            const { authenticateUser, authorizePermissions } = handler;
+            const guard = authorizePermissions('order:ship');
+            const req = createMockReq({ headers: { 'x-api-key': rawKey }, route: createRoute('patch', authenticateUser, guard), method: 'PATCH' });
+
+            await runMiddleware(authenticateUser, req);
+
+            expect(() => guard(req, {}, sinon.stub())).to.throw('Unauthorized to access this route');
+        });
+
+        it('should require the scope on routes that check ownership in the handler', async () => {
+            const { authenticateUser, authorizeApiKeyScopes } = handler;
+            const guard = authorizeApiKeyScopes('user:read');
+            const req = createMockReq({ headers: { 'x-api-key': rawKey }, route: createRoute('get', authenticateUser, guard) });
+
+            await runMiddleware(authenticateUser, req);
+
+            expect(() => guard(req, {}, sinon.stub())).to.throw('Unauthorized to access this route');
+            const sessionReq = { user: { userId: '1', role: 'user' } };
+            const next = sinon.stub();
+            guard(sessionReq, {}, next);
+            expect(next.calledOnce).to.be.true;
+        });
+
+        it('should reject a key whose owner was deactivated', async () => {
+            findKeyStub.returns(createKeyQuery(createApiKey({ scopes: ['order:read'], isActive: false })));
+            const { authenticateUser, authorizePermissions } = handler;
+            const req = createMockReq({
+                headers: { 'x-api-key': rawKey },
+                route: createRoute('get', authenticateUser, authorizePermissions('order:read'))
+            });
+
+            try {
+                await runMiddleware(authenticateUser, req);
+                expect.fail('authenticateUser should have thrown');
+            } catch (error) {
+                expect(error.name).to.equal('UnauthenticatedError');
+                expect(ApiKey.updateOne.called).to.be.false;
+            }
+        });
+    });
+
+    describe("@checkPermissions", () => {
+        const ownerId = '507f1f77bcf86cd799439011';
+
+        it('should not let a key through on its owner\'s data without the scope', () => {
+            const keyUser = { userId: ownerId, role: 'admin', scopes: ['order:read'] };
+
+            expect(() => checkPermissions(keyUser, ownerId)).to.throw('Not authorized to access this route');
+            expect(() => checkPermissions(keyUser, ownerId, 'order:cancel')).to.throw('Not authorized to access this route');
+            expect(() => checkPermissions(keyUser, '507f1f77bcf86cd799439099', 'order:read')).to.not.throw();
+        });
+
+        it('should still let session owners and admins through', () => {
+            expect(() => checkPermissions({ userId: ownerId, role: 'user' }, ownerId)).to.not.throw();
+            expect(() => checkPermissions({ userId: 'someone', role: 'admin' }, ownerId)).to.not.throw();
+            expect(() => checkPermissions({ userId: 'someone', role: 'user' }, ownerId)).to.throw();
+        });
+    });
+});
@@ -0,0 +1,147 @@
+const sinon = require('sinon');
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+
+const Order = require('../../../models/Order');
+const Product = require('../../../models/Product');
+const orders = require('../../../mockData/orders.json');
+const products = require('../../../mockData/products.json');
+const {
+    parseArgs,
+    resolveDatabaseUrl,
+    wipeDatabase,
+    seedOrders
+} = require('../../../scripts/seed');
+
+const createCatalog = () => products.map((product) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: product.name,
+    image: product.image
+}));
+
+
+describe("seed", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe("@parseArgs", () => {
+        it('should default to development without wiping', () => {
+            expect(parseArgs([])).to.deep.equal({ environment: 'development', wipe: false });
+        });
+
+        it('should read the environment and the wipe flag', () => {
+            expect(parseArgs(['--wipe', '--env=staging'])).to.deep.equal({ environment: 'staging', wipe: true });
+        });
+    });
+
+    describe("@resolveDatabaseUrl", () => {
+        let previousUrl;
+
+        beforeEach(() => {
+            previousUrl = process.env.MONGO_URL_STAGING;
+        });
+
+        afterEach(() => {
+            if (previousUrl === undefined) {
+                delete process.env.MONGO_URL_STAGING;
+            } else {
+                process.env.MONGO_URL_STAGING = previousUrl;
+            }
+        });
+
+        it('should read the url from the variable of the environment', () => {
+            process.env.MONGO_URL_STAGING = 'mongodb://staging/store';
+
+            expect(resolveDatabaseUrl('staging')).to.equal('mongodb://staging/store');
+        });
+
+        it('should reject an unknown environment', () => {
+            expect(() => resolveDatabaseUrl('production')).to.throw(
+                'Unknown environment: production, use development, test, staging'
+            );
+        });
+
+        it('should reject an environment whose variable is not set', () => {
+            delete process.env.MONGO_URL_STAGING;
+
+            expect(() => resolveDatabaseUrl('staging')).to.throw(
+                'Please set MONGO_URL_STAGING to seed staging'
+            );
+        });
+    });
+
+    describe("@wipeDatabase", () => {
+        it('should empty every registered model', async () => {
+            const stubs = Object.values(mongoose.models).map((model) =>
+                sinon.stub(model, 'deleteMany').resolves()
+            );
+
+            await wipeDatabase();
+
+            expect(stubs.length).to.be.above(0);
+            stubs.forEach((stub) => expect(stub.calledOnceWith({})).to.be.true);
+        });
+    });
+
+    describe("@seedOrders", () => {
+        let catalog, existsStub, createStub;
+        const customers = [{ _id: 'john' }, { _id: 'susan' }];
+
+        beforeEach(() => {
+            catalog = createCatalog();
+            existsStub = sinon.stub(Order, 'exists').resolves(null);
+            sinon.stub(Product, 'find').callsFake(async ({ name }) =>
+                catalog.filter((product) => name.$in.includes(product.name))
+            );
+            createStub = sinon.stub(Order, 'create').callsFake(async (order) => order);
+        });
+
+        it('should match every order fixture to a seeded product by name', async () => {
+            const count = await seedOrders(customers);
+
+            expect(count).to.equal(orders.length);
+            createStub.args.forEach(([order]) => {
+                order.orderItems.forEach((item) => {
+                    const product = catalog.find((entry) => entry.name === item.name);
+                    expect(product, item.name).to.exist;
+                    expect(item.product).to.equal(product._id);
+                    expect(item.image).to.equal(product.image);
+                });
+            });
+        });
+
+        it('should map the old fixture names to the current products', async () => {
+            await seedOrders(customers, [{
+                tax: 0,
+                shippingFee: 0,
+                items: [{ name: 'bed', price: 100, amount: 1 }, { name: 'chair', price: 50, amount: 2 }]
+            }]);
+
+            const { orderItems, subtotal, total, user } = createStub.args[0][0];
+            expect(orderItems.map((item) => item.name)).to.deep.equal(['emperor bed', 'armchair']);
+            expect(subtotal).to.equal(200);
+            expect(total).to.equal(200);
+            expect(user).to.equal('john');
+        });
+
+        it('should reject a fixture that references an unknown product', async () => {
+            try {
+                await seedOrders(customers, [{ tax: 0, shippingFee: 0, items: [{ name: 'sofa', price: 1, amount: 1 }] }]);
+                expect.fail('seedOrders should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Order fixture 1 references unknown product: sofa');
+                expect(createStub.called).to.be.false;
+            }
+        });
+
+        it('should not add orders twice', async () => {
+            existsStub.resolves({ _id: 'order' });
+
+            const count = await seedOrders(customers);
+
+            expect(count).to.equal(0);
+            expect(createStub.called).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,42 @@
+const Category = require("../models/Category");
+const Company = require("../models/Company");
+const CustomError = require("../errors");
+const slugify = require("./slugify");
+
+const CATALOG_REFS = [
+	{ field: "category", model: Category, label: "category" },
+	{ field: "categories", model: Category, label: "category" },
+	{ field: "company", model: Company, label: "company" },
+	{ field: "companies", model: Company, label: "company" },
+];
+
+const resolveValues = async ({ model, label }, values) => {
+	const documents = await model.findBySlugsOrIds(values);
+	return values.map((value) => {
+		const match = documents.find(
+			(document) =>
+				document._id.toString() === String(value) ||
+				document.slug === slugify(value)
+		);
+		if (!match) {
+			throw new CustomError.BadRequestError(`No ${label} found: ${value}`);
+		}
+		return match._id;
+	});
+};
+
+// lets clients keep sending "office" / "ikea" where an id is stored
+const resolveCatalogRefs = async (body) => {
+	for (const ref of CATALOG_REFS) {
+		const value = body[ref.field];
+		if (value === undefined || value === null || value === "") continue;
+		if (Array.isArray(value)) {
+			body[ref.field] = await resolveValues(ref, value);
+		} else {
+			[body[ref.field]] = await resolveValues(ref, [value]);
+		}
+	}
+	return body;
+};
+
+module.exports = resolveCatalogRefs;
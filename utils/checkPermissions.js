@@ -1,14 +1,21 @@
 const CustomError = require("../errors");
+const { userHasPermission } = require("./permissions");
 
-const checkPrsmissions = (requestUser, resourceUserId) => {
-	// console.log(requestUser);
-	// console.log(resourceUserId);
-	// console.log(typeof resourceUserId);
+// owners and admins always pass, anyone else needs the given permission.
+// api keys only get what their scopes allow, even on their owner's data
+const checkPermissions = (requestUser, resourceUserId, permission) => {
+	if (requestUser.scopes) {
+		if (permission && userHasPermission(requestUser, permission)) return;
+		throw new CustomError.UnauthorizedError(
+			"Not authorized to access this route"
+		);
+	}
 	if (requestUser.role === "admin") return;
 	if (requestUser.userId === resourceUserId.toString()) return;
+	if (permission && userHasPermission(requestUser, permission)) return;
 	throw new CustomError.UnauthorizedError(
 		"Not authorized to access this route"
 	);
 };
 
-module.exports = checkPrsmissions;
+module.exports = checkPermissions;
@@ -0,0 +1,6 @@
+const crypto = require("crypto");
+
+const createHash = (value) =>
+	crypto.createHash("sha256").update(value).digest("hex");
+
+module.exports = createHash;
@@ -0,0 +1,16 @@
+const crypto = require("crypto");
+const createHash = require("./createHash");
+
+const oneDay = 1000 * 60 * 60 * 24;
+
+// the raw token goes into the email, only its hash is stored on the user
+const createVerificationToken = () => {
+	const verificationToken = crypto.randomBytes(40).toString("hex");
+	return {
+		verificationToken,
+		verificationTokenHash: createHash(verificationToken),
+		verificationTokenExpires: new Date(Date.now() + oneDay),
+	};
+};
+
+module.exports = createVerificationToken;
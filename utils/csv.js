@@ -0,0 +1,83 @@
+// minimal RFC 4180 reader/writer: quoted fields, "" escapes, newlines inside quotes
+const parseCSV = (text) => {
+	const rows = [];
+	let row = [];
+	let field = "";
+	let inQuotes = false;
+	const input = String(text).replace(/^\uFEFF/, "");
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+		if (inQuotes) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === ",") {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && input[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+	if (inQuotes) {
+		throw new Error("Unterminated quoted field");
+	}
+	if (field !== "" || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	// skip blank lines, e.g. a trailing one
+	const [header = [], ...records] = rows.filter(
+		(cells) => cells.length > 1 || cells[0] !== ""
+	);
+	const columns = header.map((column) => column.trim());
+	return records.map((cells) =>
+		columns.reduce((record, column, index) => {
+			record[column] = cells[index] === undefined ? "" : cells[index];
+			return record;
+		}, {})
+	);
+};
+
+// spreadsheets run cells starting with these as formulas, a leading ' keeps
+// them as text (numbers are left alone, "-5" is just a number)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeFormula = (value) =>
+	typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+const unescapeFormula = (text) =>
+	text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1))
+		? text.slice(1)
+		: text;
+
+const escapeField = (value) => {
+	if (value === undefined || value === null) return "";
+	const text = String(escapeFormula(value));
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (records, columns) =>
+	[columns, ...records.map((record) => columns.map((column) => record[column]))]
+		.map((cells) => cells.map(escapeField).join(","))
+		.join("\n") + "\n";
+
+module.exports = {
+	parseCSV,
+	toCSV,
+	unescapeFormula,
+};
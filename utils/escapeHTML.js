@@ -0,0 +1,13 @@
+// user supplied text placed inside email html
+const HTML_ENTITIES = {
+	"&": "&amp;",
+	"<": "&lt;",
+	">": "&gt;",
+	'"': "&quot;",
+	"'": "&#39;",
+};
+
+const escapeHTML = (value) =>
+	String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+module.exports = escapeHTML;
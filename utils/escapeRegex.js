@@ -0,0 +1,4 @@
+// user input used inside $regex must match literally
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = escapeRegex;
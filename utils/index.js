@@ -1,6 +1,60 @@
 const { createJWT, isTokenValid, attachCookiesToResponse } = require("./jwt");
 const createTokenUser = require("./createTokenUser");
 const checkPermissions = require("./checkPermissions");
+const {
+	ROLES,
+	PERMISSIONS,
+	getPermissions,
+	hasPermission,
+	userHasPermission,
+} = require("./permissions");
+const { getPagination, buildPageLinks } = require("./pagination");
+const escapeRegex = require("./escapeRegex");
+const parseList = require("./parseList");
+const escapeHTML = require("./escapeHTML");
+const levenshtein = require("./levenshtein");
+const { assertPricingConfig, calculateOrderTotals } = require("./pricing");
+const placeOrder = require("./placeOrder");
+const resolveVariant = require("./resolveVariant");
+const slugify = require("./slugify");
+const resolveCatalogRefs = require("./catalogRefs");
+const {
+	sniffImageType,
+	storeProductImages,
+	removeProductImages,
+} = require("./productImages");
+const {
+	CATALOG_FORMATS,
+	detectFormat,
+	parseProductFile,
+	importProducts,
+	exportProducts,
+	serializeProducts,
+} = require("./productCatalog");
+const createHash = require("./createHash");
+const createVerificationToken = require("./createVerificationToken");
+const { createSession, clearSessionCookies } = require("./session");
+const { sendEmail, getClientOrigin } = require("./sendEmail");
+const sendVerificationEmail = require("./sendVerificationEmail");
+const sendResetPasswordEmail = require("./sendResetPasswordEmail");
+const sendUnlockAccountEmail = require("./sendUnlockAccountEmail");
+const {
+	assertIpAllowed,
+	assertAccountUnlocked,
+	recordFailedLogin,
+	clearFailedLogins,
+	unlockAccount,
+} = require("./loginProtection");
+const {
+	generateSecret,
+	verifyCode,
+	buildOtpauthURI,
+} = require("./totp");
+const {
+	generateRecoveryCodes,
+	hashRecoveryCode,
+	consumeTwoFactorCode,
+} = require("./twoFactor");
 
 module.exports = {
 	createJWT,
@@ -8,4 +62,50 @@ module.exports = {
 	attachCookiesToResponse,
 	createTokenUser,
 	checkPermissions,
+	ROLES,
+	PERMISSIONS,
+	getPermissions,
+	hasPermission,
+	userHasPermission,
+	getPagination,
+	buildPageLinks,
+	escapeRegex,
+	parseList,
+	escapeHTML,
+	levenshtein,
+	assertPricingConfig,
+	calculateOrderTotals,
+	placeOrder,
+	resolveVariant,
+	slugify,
+	resolveCatalogRefs,
+	sniffImageType,
+	storeProductImages,
+	removeProductImages,
+	CATALOG_FORMATS,
+	detectFormat,
+	parseProductFile,
+	importProducts,
+	exportProducts,
+	serializeProducts,
+	createHash,
+	createVerificationToken,
+	createSession,
+	clearSessionCookies,
+	sendEmail,
+	getClientOrigin,
+	sendVerificationEmail,
+	sendResetPasswordEmail,
+	sendUnlockAccountEmail,
+	assertIpAllowed,
+	assertAccountUnlocked,
+	recordFailedLogin,
+	clearFailedLogins,
+	unlockAccount,
+	generateSecret,
+	verifyCode,
+	buildOtpauthURI,
+	generateRecoveryCodes,
+	hashRecoveryCode,
+	consumeTwoFactorCode,
 };
@@ -1,29 +1,43 @@
 const jwt = require("jsonwebtoken");
 
-const createJWT = ({ payload }) => {
-	const token = jwt.sign(payload, process.env.JWT_SECRET, {
-		expiresIn: process.env.JWT_LIFETIME,
-	});
+const fifteenMinutes = 1000 * 60 * 15;
+const thirtyDays = 1000 * 60 * 60 * 24 * 30;
+
+const createJWT = ({ payload, expiresIn = process.env.JWT_LIFETIME }) => {
+	const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 	return token;
 };
 
 const isTokenValid = ({ token }) => jwt.verify(token, process.env.JWT_SECRET);
 
-const attachCookiesToResponse = ({ res, user }) => {
-	const token = createJWT({ payload: user });
-
-	const oneDay = 1000 * 60 * 60 * 24;
+// short lived access token, plus the refresh token when a session is (re)issued
+const attachCookiesToResponse = ({ res, user, refreshToken }) => {
+	const accessTokenJWT = createJWT({
+		payload: user,
+		expiresIn: fifteenMinutes / 1000,
+	});
 
-	res.cookie("token", token, {
+	res.cookie("accessToken", accessTokenJWT, {
 		httpOnly: true,
-		expires: new Date(Date.now() + oneDay),
+		expires: new Date(Date.now() + fifteenMinutes),
 		secure: process.env.NODE_ENV === "production",
 		signed: true,
 	});
+
+	if (refreshToken) {
+		res.cookie("refreshToken", refreshToken, {
+			httpOnly: true,
+			expires: new Date(Date.now() + thirtyDays),
+			secure: process.env.NODE_ENV === "production",
+			signed: true,
+		});
+	}
+	return accessTokenJWT;
 };
 
 module.exports = {
 	createJWT,
 	isTokenValid,
 	attachCookiesToResponse,
+	refreshTokenLifetime: thirtyDays,
 };
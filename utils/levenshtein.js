@@ -0,0 +1,22 @@
+// single character edits between two strings, swapping two neighbours counts as one
+const levenshtein = (a, b) => {
+	const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+		Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+	);
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			const substitution = a[i - 1] === b[j - 1] ? 0 : 1;
+			distances[i][j] = Math.min(
+				distances[i - 1][j] + 1,
+				distances[i][j - 1] + 1,
+				distances[i - 1][j - 1] + substitution
+			);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+			}
+		}
+	}
+	return distances[a.length][b.length];
+};
+
+module.exports = levenshtein;
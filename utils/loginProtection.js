@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const SecurityEvent = require("../models/SecurityEvent");
+const CustomError = require("../errors");
+const createHash = require("./createHash");
+
+const MAX_FAILED_LOGINS = 5;
+const LOCK_DURATION = 1000 * 60 * 15;
+const IP_FAILURE_LIMIT = 20;
+const IP_FAILURE_WINDOW = 1000 * 60 * 15;
+
+// 3rd and 4th failures make you wait 30s then 60s, the 5th locks the account
+const getLockDuration = (failedLoginAttempts) => {
+	if (failedLoginAttempts >= MAX_FAILED_LOGINS) return LOCK_DURATION;
+	if (failedLoginAttempts >= 3) {
+		return 1000 * 30 * 2 ** (failedLoginAttempts - 3);
+	}
+	return 0;
+};
+
+const secondsUntil = (date) =>
+	Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+const assertIpAllowed = async (req) => {
+	const recentFailures = await SecurityEvent.countDocuments({
+		type: "login_failed",
+		ip: req.ip,
+		createdAt: { $gte: new Date(Date.now() - IP_FAILURE_WINDOW) },
+	});
+	if (recentFailures >= IP_FAILURE_LIMIT) {
+		await SecurityEvent.record({ type: "ip_blocked", req });
+		throw new CustomError.TooManyRequestsError(
+			"Too many failed login attempts, please try again later",
+			IP_FAILURE_WINDOW / 1000
+		);
+	}
+};
+
+const assertAccountUnlocked = (user) => {
+	if (!user.lockUntil || user.lockUntil <= new Date()) return;
+	const retryAfter = secondsUntil(user.lockUntil);
+	if (user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+		throw new CustomError.TooManyRequestsError(
+			"Account locked, check your email to unlock it or try again later",
+			retryAfter
+		);
+	}
+	throw new CustomError.TooManyRequestsError(
+		`Too many failed login attempts, try again in ${retryAfter} seconds`,
+		retryAfter
+	);
+};
+
+// counts atomically so parallel guesses can't slip past the limit.
+// returns the raw unlock token when this failure locked the account
+const recordFailedLogin = async ({ req, user, email }) => {
+	await SecurityEvent.record({
+		type: "login_failed",
+		req,
+		user: user && user._id,
+		email,
+	});
+	if (!user) return {};
+
+	const { failedLoginAttempts } = await User.findOneAndUpdate(
+		{ _id: user._id },
+		{ $inc: { failedLoginAttempts: 1 } },
+		{ new: true }
+	);
+	const lockDuration = getLockDuration(failedLoginAttempts);
+	if (!lockDuration) return {};
+
+	const update = { lockUntil: new Date(Date.now() + lockDuration) };
+	let unlockToken;
+	// a failure after an expired lock starts a new one, which needs its own
+	// audit event and unlock link
+	if (lockDuration === LOCK_DURATION) {
+		unlockToken = crypto.randomBytes(40).toString("hex");
+		update.unlockToken = createHash(unlockToken);
+		await SecurityEvent.record({
+			type: "account_locked",
+			req,
+			user: user._id,
+			email,
+			details: { failedLoginAttempts },
+		});
+	}
+	await User.updateOne({ _id: user._id }, update);
+	return { unlockToken };
+};
+
+const clearFailedLogins = (user) => {
+	if (!user.failedLoginAttempts && !user.lockUntil) return;
+	return User.updateOne(
+		{ _id: user._id },
+		{
+			failedLoginAttempts: 0,
+			$unset: { lockUntil: "", unlockToken: "" },
+		}
+	);
+};
+
+const unlockAccount = async ({ req, user, by }) => {
+	await clearFailedLogins(user);
+	await SecurityEvent.record({
+		type: "account_unlocked",
+		req,
+		user: user._id,
+		email: user.email,
+		details: { by },
+	});
+};
+
+module.exports = {
+	MAX_FAILED_LOGINS,
+	getLockDuration,
+	assertIpAllowed,
+	assertAccountUnlocked,
+	recordFailedLogin,
+	clearFailedLogins,
+	unlockAccount,
+};
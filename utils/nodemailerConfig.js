@@ -0,0 +1,16 @@
+// real smtp when SMTP_HOST is set, otherwise messages are only rendered as json
+const nodemailerConfig = () => {
+	if (!process.env.SMTP_HOST) {
+		return { jsonTransport: true };
+	}
+	return {
+		host: process.env.SMTP_HOST,
+		port: Number(process.env.SMTP_PORT) || 587,
+		secure: process.env.SMTP_SECURE === "true",
+		auth: process.env.SMTP_USER
+			? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+			: undefined,
+	};
+};
+
+module.exports = nodemailerConfig;
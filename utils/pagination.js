@@ -0,0 +1,38 @@
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const getPagination = (query = {}) => {
+	const page = Math.max(parseInt(query.page, 10) || 1, 1);
+	const limit = Math.min(
+		Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1),
+		MAX_LIMIT
+	);
+	const skip = (page - 1) * limit;
+	return { page, limit, skip };
+};
+
+// relative links keeping every other query param the client sent
+const buildPageLinks = ({ req, page, limit, total }) => {
+	const numOfPages = Math.ceil(total / limit);
+	const basePath = `${req.baseUrl || ""}${req.path || ""}`;
+
+	const linkTo = (targetPage) => {
+		const params = new URLSearchParams({
+			...req.query,
+			page: targetPage,
+			limit,
+		});
+		return `${basePath}?${params.toString()}`;
+	};
+
+	return {
+		numOfPages,
+		next: page < numOfPages ? linkTo(page + 1) : null,
+		prev: page > 1 ? linkTo(Math.min(page - 1, numOfPages || 1)) : null,
+	};
+};
+
+module.exports = {
+	getPagination,
+	buildPageLinks,
+};
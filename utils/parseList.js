@@ -0,0 +1,8 @@
+// "a, b" -> ["a", "b"], a repeated query param arrives as an array and joins the same way
+const parseList = (value) =>
+	String(value)
+		.split(",")
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+module.exports = parseList;
@@ -0,0 +1,50 @@
+const PERMISSIONS = [
+	"product:write",
+	"coupon:write",
+	"order:read",
+	"order:ship",
+	"order:cancel",
+	"review:moderate",
+	"user:read",
+	"user:role",
+	"user:unlock",
+	"user:manage",
+	"api-key:manage",
+];
+
+// routes ask for a permission, never for a role
+const ROLE_PERMISSIONS = {
+	admin: PERMISSIONS,
+	"catalog-manager": ["product:write", "coupon:write"],
+	"order-fulfilment": ["order:read", "order:ship"],
+	support: [
+		"order:read",
+		"order:cancel",
+		"review:moderate",
+		"user:read",
+		"user:unlock",
+	],
+	user: [],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) =>
+	getPermissions(role).includes(permission);
+
+// api keys carry scopes, which can only narrow what the owner's role allows
+const userHasPermission = (user, permission) => {
+	if (!hasPermission(user.role, permission)) return false;
+	return !user.scopes || user.scopes.includes(permission);
+};
+
+module.exports = {
+	PERMISSIONS,
+	ROLE_PERMISSIONS,
+	ROLES,
+	getPermissions,
+	hasPermission,
+	userHasPermission,
+};
@@ -0,0 +1,217 @@
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const Coupon = require("../models/Coupon");
+const User = require("../models/User");
+const { ADDRESS_FIELDS } = require("../models/Address");
+
+const CustomError = require("../errors");
+const { calculateOrderTotals } = require("./pricing");
+const resolveVariant = require("./resolveVariant");
+const { getPaymentProvider } = require("../payments");
+
+const findUsableCoupon = async ({ couponCode, userId }) => {
+	const coupon = await Coupon.findOne({
+		code: String(couponCode).trim().toUpperCase(),
+	});
+	if (!coupon || !coupon.isValidAt(new Date())) {
+		throw new CustomError.BadRequestError(`Invalid coupon code: ${couponCode}`);
+	}
+	if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+		throw new CustomError.BadRequestError(
+			`Coupon ${coupon.code} is no longer available`
+		);
+	}
+	if (coupon.perUserLimit) {
+		const timesUsed = await Order.countDocuments({
+			user: userId,
+			"discount.coupon": coupon._id,
+			status: { $nin: ["failed", "canceled"] },
+		});
+		if (timesUsed >= coupon.perUserLimit) {
+			throw new CustomError.BadRequestError(
+				`You have already used coupon ${coupon.code}`
+			);
+		}
+	}
+	return coupon;
+};
+
+const pickAddress = (address) =>
+	ADDRESS_FIELDS.reduce((picked, field) => {
+		if (address[field] !== undefined) picked[field] = address[field];
+		return picked;
+	}, {});
+
+// an inline address wins, then a saved one by id, then the default one
+const resolveShippingAddress = async ({ addressId, shippingAddress, userId }) => {
+	if (shippingAddress && !addressId) {
+		const draft = new Order({ shippingAddress: pickAddress(shippingAddress) });
+		const error = draft.validateSync(["shippingAddress"]);
+		if (error) throw error;
+		return draft.shippingAddress;
+	}
+
+	const user = await User.findOne({ _id: userId }).select("addresses");
+	const addresses = user ? user.addresses : [];
+	const address = addressId
+		? addresses.find((saved) => saved._id.toString() === String(addressId))
+		: addresses.find((saved) => saved.isDefault);
+	if (addressId && !address) {
+		throw new CustomError.NotFoundError(`No address with id: ${addressId}`);
+	}
+	if (!address) {
+		throw new CustomError.BadRequestError("Please provide a shipping address");
+	}
+	return new Order({ shippingAddress: pickAddress(address) }).shippingAddress;
+};
+
+// shared by POST /orders and cart checkout: prices, reserves stock and creates the order
+const placeOrder = async ({
+	items: cartItems,
+	addressId,
+	shippingAddress: inlineAddress,
+	couponCode,
+	userId,
+}) => {
+	if (!cartItems || cartItems.length < 1) {
+		throw new CustomError.BadRequestError("No cart items provided");
+	}
+	const shippingAddress = await resolveShippingAddress({
+		addressId,
+		shippingAddress: inlineAddress,
+		userId,
+	});
+	const coupon = couponCode
+		? await findUsableCoupon({ couponCode, userId })
+		: null;
+
+	let orderItems = [];
+	let pricedItems = [];
+	const stockErrors = [];
+
+	for (const item of cartItems) {
+		if (!Number.isInteger(item.amount) || item.amount < 1) {
+			throw new CustomError.BadRequestError(
+				`Invalid amount for product with id: ${item.product}`
+			);
+		}
+		const dbProduct = await Product.findOne({ _id: item.product });
+		if (!dbProduct) {
+			throw new CustomError.NotFoundError(
+				`No product with id: ${item.product}`
+			);
+		}
+		const { freeShipping, category, company, _id } = dbProduct;
+		const { name, price, image, inventory, variant } =
+			resolveVariant(dbProduct, item.variant);
+		if (item.amount > inventory) {
+			stockErrors.push(
+				`Not enough stock for ${name}: requested ${item.amount}, available ${inventory}`
+			);
+		}
+		const singleOrderItem = {
+			amount: item.amount,
+			name,
+			price,
+			image,
+			product: _id,
+		};
+		if (variant) {
+			singleOrderItem.variant = variant._id;
+			singleOrderItem.sku = variant.sku;
+			singleOrderItem.options = Object.fromEntries(variant.options);
+		}
+		// add item to order
+		orderItems = [...orderItems, singleOrderItem];
+		pricedItems = [
+			...pricedItems,
+			{ price, amount: item.amount, freeShipping, category, company },
+		];
+	}
+
+	if (stockErrors.length > 0) {
+		throw new CustomError.BadRequestError(stockErrors.join("; "));
+	}
+
+	// calculate subtotal, discount, tax, shipping and total; taxed where it ships
+	const pricing = calculateOrderTotals({
+		items: pricedItems,
+		region: shippingAddress.getRegion(),
+		coupon,
+	});
+	const { subtotal, discount, tax, taxRate, shippingFee, total } = pricing;
+
+	// stock may have changed since the check above
+	const reservation = await Product.reserveStock(orderItems);
+	if (!reservation.success) {
+		throw new CustomError.BadRequestError(
+			`Not enough stock for ${reservation.failedItem.name}`
+		);
+	}
+
+	// usage limit is enforced atomically, the check above was only a fast path
+	if (coupon && !(await Coupon.redeem(coupon._id))) {
+		await Product.releaseStock(orderItems);
+		throw new CustomError.BadRequestError(
+			`Coupon ${coupon.code} is no longer available`
+		);
+	}
+
+	// keep the coupon terms on the order so the total can be audited later
+	const discountLine = coupon
+		? {
+				coupon: coupon._id,
+				code: coupon.code,
+				type: coupon.type,
+				value: coupon.value,
+				amount: discount,
+		  }
+		: undefined;
+
+	// the payment intent comes last so a failed checkout never leaves one behind
+	let paymentIntent;
+	let order;
+	try {
+		//get client secret
+		paymentIntent = await getPaymentProvider().createPaymentIntent({
+			amount: total,
+			currency: "usd",
+			metadata: { user: String(userId) },
+		});
+		order = await Order.create({
+			orderItems,
+			total,
+			subtotal,
+			discount: discountLine,
+			tax,
+			taxRate,
+			region: pricing.region,
+			shippingFee,
+			shippingAddress,
+			clientSecret: paymentIntent.clientSecret,
+			paymentIntentId: paymentIntent.id,
+			user: userId,
+		});
+	} catch (error) {
+		await Product.releaseStock(orderItems);
+		if (coupon) {
+			await Coupon.release(coupon._id);
+		}
+		if (paymentIntent) {
+			// a leftover intent is reported along with why the checkout failed
+			await getPaymentProvider()
+				.cancelPaymentIntent(paymentIntent.id)
+				.catch((cancelError) => {
+					throw new AggregateError(
+						[error, cancelError],
+						`${error.message}, and payment intent ${paymentIntent.id} could not be canceled: ${cancelError.message}`
+					);
+				});
+		}
+		throw error;
+	}
+
+	return { order, pricing };
+};
+
+module.exports = placeOrder;
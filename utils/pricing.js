@@ -0,0 +1,158 @@
+const CustomError = require("../errors");
+
+// rates keyed by country or country-state, override with TAX_RATES='{"US-NY":0.08875}'
+const DEFAULT_TAX_RATES = {
+	default: 0.1,
+	US: 0.07,
+	"US-CA": 0.0725,
+	"US-OR": 0,
+	RO: 0.19,
+	DE: 0.19,
+	GB: 0.2,
+};
+
+// amounts in cents, override with SHIPPING_FLAT_FEE / FREE_SHIPPING_THRESHOLD
+const DEFAULT_SHIPPING_RULES = {
+	flatFee: 499,
+	freeShippingThreshold: 50000,
+};
+
+const parseJSONEnv = (name) => {
+	if (!process.env[name]) return {};
+	try {
+		return JSON.parse(process.env[name]);
+	} catch (error) {
+		throw new Error(`${name} must be valid JSON`);
+	}
+};
+
+const isAmount = (value) =>
+	typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+// a typo like 4.99usd would otherwise turn every total into NaN
+const parseAmountEnv = (name, fallback) => {
+	if (!process.env[name]) return fallback;
+	const value = Number(process.env[name]);
+	if (!isAmount(value)) {
+		throw new Error(
+			`${name} must be a non-negative number, got: ${process.env[name]}`
+		);
+	}
+	return value;
+};
+
+const getTaxRates = () => {
+	const overrides = parseJSONEnv("TAX_RATES");
+	if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+		throw new Error("TAX_RATES must be a JSON object of region: rate");
+	}
+	Object.entries(overrides).forEach(([region, rate]) => {
+		if (!isAmount(rate) || rate > 1) {
+			throw new Error(
+				`TAX_RATES.${region} must be a rate between 0 and 1, got: ${rate}`
+			);
+		}
+	});
+	return { ...DEFAULT_TAX_RATES, ...overrides };
+};
+
+const getShippingRules = () => ({
+	flatFee: parseAmountEnv("SHIPPING_FLAT_FEE", DEFAULT_SHIPPING_RULES.flatFee),
+	freeShippingThreshold: parseAmountEnv(
+		"FREE_SHIPPING_THRESHOLD",
+		DEFAULT_SHIPPING_RULES.freeShippingThreshold
+	),
+});
+
+// called at startup so a bad setting stops the server instead of every checkout
+const assertPricingConfig = () => {
+	getTaxRates();
+	getShippingRules();
+};
+
+// "US-NY" falls back to "US" when only the country has a rate, countries
+// missing from the table pay the default rate
+const resolveTaxRate = (region) => {
+	const taxRates = getTaxRates();
+	if (!region) {
+		return { region: "default", taxRate: taxRates.default };
+	}
+	const normalized = String(region).trim().toUpperCase();
+	if (taxRates[normalized] !== undefined) {
+		return { region: normalized, taxRate: taxRates[normalized] };
+	}
+	const [country] = normalized.split("-");
+	if (taxRates[country] !== undefined) {
+		return { region: country, taxRate: taxRates[country] };
+	}
+	return { region: "default", taxRate: taxRates.default };
+};
+
+const calculateShippingFee = ({ items, subtotal, coupon }) => {
+	const { flatFee, freeShippingThreshold } = getShippingRules();
+	if (coupon && coupon.type === "free_shipping") return 0;
+	const everyItemShipsFree = items.every((item) => item.freeShipping);
+	if (everyItemShipsFree || subtotal >= freeShippingThreshold) return 0;
+	return flatFee;
+};
+
+// only items matching the coupon's category/company restrictions are discounted
+const calculateDiscount = ({ items, subtotal, coupon }) => {
+	if (!coupon) return 0;
+	if (subtotal < coupon.minSubtotal) {
+		throw new CustomError.BadRequestError(
+			`Coupon ${coupon.code} requires a minimum subtotal of ${coupon.minSubtotal}`
+		);
+	}
+	const eligibleSubtotal = items
+		.filter((item) => coupon.appliesTo(item))
+		.reduce((sum, item) => sum + item.price * item.amount, 0);
+	if (eligibleSubtotal === 0) {
+		throw new CustomError.BadRequestError(
+			`Coupon ${coupon.code} does not apply to any item in this order`
+		);
+	}
+
+	if (coupon.type === "percentage") {
+		return Math.round((eligibleSubtotal * coupon.value) / 100);
+	}
+	if (coupon.type === "fixed") {
+		return Math.min(coupon.value, eligibleSubtotal);
+	}
+	return 0;
+};
+
+const calculateOrderTotals = ({ items, region, coupon }) => {
+	const subtotal = items.reduce(
+		(sum, item) => sum + item.price * item.amount,
+		0
+	);
+	const discount = calculateDiscount({ items, subtotal, coupon });
+	const discountedSubtotal = subtotal - discount;
+	const { region: taxRegion, taxRate } = resolveTaxRate(region);
+	const tax = Math.round(discountedSubtotal * taxRate);
+	const shippingFee = calculateShippingFee({
+		items,
+		subtotal: discountedSubtotal,
+		coupon,
+	});
+	const total = discountedSubtotal + tax + shippingFee;
+
+	return {
+		subtotal,
+		discount,
+		tax,
+		taxRate,
+		region: taxRegion,
+		shippingFee,
+		total,
+	};
+};
+
+module.exports = {
+	assertPricingConfig,
+	calculateOrderTotals,
+	resolveTaxRate,
+	calculateShippingFee,
+	calculateDiscount,
+};
@@ -0,0 +1,323 @@
+const path = require("path");
+const Product = require("../models/Product");
+const CustomError = require("../errors");
+const { parseCSV, toCSV, unescapeFormula } = require("./csv");
+const escapeRegex = require("./escapeRegex");
+const resolveCatalogRefs = require("./catalogRefs");
+const { removeProductImages } = require("./productImages");
+
+const CATALOG_FORMATS = ["json", "csv"];
+const MAX_IMPORT_ROWS = 5000;
+// everything else (rating, reviews, owner) is managed by the app
+const CATALOG_FIELDS = [
+	"name",
+	"price",
+	"description",
+	"category",
+	"company",
+	"colors",
+	"featured",
+	"freeShipping",
+	"inventory",
+	"image",
+	"images",
+	"variants",
+];
+// csv cells: lists are "|" separated, nested documents are json
+const LIST_COLUMNS = ["colors"];
+const JSON_COLUMNS = ["images", "variants"];
+
+const detectFormat = ({ format, fileName }) => {
+	const detected = (
+		format || path.extname(fileName || "").slice(1) || "json"
+	).toLowerCase();
+	if (!CATALOG_FORMATS.includes(detected)) {
+		throw new CustomError.BadRequestError(
+			`Unsupported format: ${detected}, use ${CATALOG_FORMATS.join(" or ")}`
+		);
+	}
+	return detected;
+};
+
+const fromCSVRecord = (record) => {
+	const data = {};
+	const errors = [];
+	CATALOG_FIELDS.forEach((field) => {
+		const cell = record[field] === undefined ? "" : record[field].trim();
+		// an empty cell keeps the current value (or the default)
+		if (cell === "") return;
+		if (LIST_COLUMNS.includes(field)) {
+			data[field] = cell.split("|").map((item) => item.trim()).filter(Boolean);
+		} else if (JSON_COLUMNS.includes(field)) {
+			try {
+				data[field] = JSON.parse(cell);
+			} catch (error) {
+				errors.push({ field, message: `${field} must be valid JSON` });
+			}
+		} else {
+			data[field] = unescapeFormula(cell);
+		}
+	});
+	return { data, errors };
+};
+
+// rows are numbered from 1, the csv header does not count
+const parseProductFile = (content, format) => {
+	let rows;
+	if (format === "csv") {
+		let records;
+		try {
+			records = parseCSV(content);
+		} catch (error) {
+			throw new CustomError.BadRequestError(`Invalid CSV: ${error.message}`);
+		}
+		rows = records.map(fromCSVRecord);
+	} else {
+		let products = content;
+		if (typeof content === "string" || Buffer.isBuffer(content)) {
+			try {
+				products = JSON.parse(content);
+			} catch (error) {
+				throw new CustomError.BadRequestError(`Invalid JSON: ${error.message}`);
+			}
+		}
+		if (products && Array.isArray(products.products)) {
+			products = products.products;
+		}
+		if (!Array.isArray(products)) {
+			throw new CustomError.BadRequestError(
+				"Please provide an array of products"
+			);
+		}
+		rows = products.map((item) =>
+			item && typeof item === "object"
+				? { data: item, errors: [] }
+				: { data: {}, errors: [{ message: "Row must be an object" }] }
+		);
+	}
+	if (rows.length === 0) {
+		throw new CustomError.BadRequestError("The file contains no products");
+	}
+	if (rows.length > MAX_IMPORT_ROWS) {
+		throw new CustomError.BadRequestError(
+			`Please import at most ${MAX_IMPORT_ROWS} products at a time`
+		);
+	}
+	return rows.map((row, index) => ({ row: index + 1, ...row }));
+};
+
+const pickCatalogFields = (data) =>
+	CATALOG_FIELDS.reduce((fields, field) => {
+		if (data[field] !== undefined) fields[field] = data[field];
+		return fields;
+	}, {});
+
+const normalizeSku = (sku) => String(sku).trim().toUpperCase();
+
+const rowSkus = (fields) =>
+	(Array.isArray(fields.variants) ? fields.variants : [])
+		.filter((variant) => variant && variant.sku)
+		.map((variant) => normalizeSku(variant.sku));
+
+const rowKeys = (fields) => [
+	...rowSkus(fields).map((sku) => `sku:${sku}`),
+	...(fields.name ? [`name:${String(fields.name).trim().toLowerCase()}`] : []),
+];
+
+// a variant sku identifies a product better than its name
+const findExistingProduct = async (fields) => {
+	const skus = rowSkus(fields);
+	if (skus.length > 0) {
+		const product = await Product.findOne({ "variants.sku": { $in: skus } });
+		if (product) return product;
+	}
+	if (!fields.name) return null;
+	return Product.findOne({
+		name: {
+			$regex: `^${escapeRegex(String(fields.name).trim())}$`,
+			$options: "i",
+		},
+	});
+};
+
+const resolveRowRefs = async (fields) => {
+	const errors = [];
+	for (const field of ["category", "company"]) {
+		if (fields[field] === undefined) continue;
+		try {
+			const resolved = await resolveCatalogRefs({ [field]: fields[field] });
+			fields[field] = resolved[field];
+		} catch (error) {
+			if (!(error instanceof CustomError.BadRequestError)) throw error;
+			errors.push({ field, message: error.message });
+			delete fields[field];
+		}
+	}
+	return errors;
+};
+
+// re-imported variants keep their ids so carts and orders still point at them
+const keepVariantIds = (product, fields) => {
+	if (!Array.isArray(fields.variants)) return;
+	fields.variants = fields.variants.map((variant) => {
+		if (!variant || !variant.sku) return variant;
+		const current = product.variants.find(
+			(item) => item.sku === normalizeSku(variant.sku)
+		);
+		return current ? { ...variant, _id: current._id } : variant;
+	});
+};
+
+// storage keys are only trusted when they already belong to this product,
+// otherwise a file could point at (and later delete) another product's images
+const keepOwnImageKeys = (product, fields) => {
+	if (!Array.isArray(fields.images)) return;
+	const ownKeys = new Set(
+		(product ? product.images : [])
+			.flatMap((image) => [image.key, image.thumbnailKey])
+			.filter(Boolean)
+	);
+	fields.images = fields.images.map((image) => {
+		if (!image || typeof image !== "object") return image;
+		const { key, thumbnailKey, ...rest } = image;
+		return {
+			...rest,
+			...(ownKeys.has(key) && { key }),
+			...(ownKeys.has(thumbnailKey) && { thumbnailKey }),
+		};
+	});
+};
+
+const droppedImages = (product, fields) => {
+	if (!Array.isArray(fields.images)) return [];
+	const keys = fields.images.map((image) => image && image.key).filter(Boolean);
+	return product.images.filter((image) => image.key && !keys.includes(image.key));
+};
+
+const validationErrors = (error) =>
+	Object.values(error.errors).map((item) => ({
+		field: item.path,
+		message: item.message,
+	}));
+
+const importRow = async ({ row, data, errors }, { dryRun, userId, seen }) => {
+	const fields = pickCatalogFields(data);
+	const result = { row, name: fields.name, errors: [...errors] };
+	const fail = () => ({ ...result, status: "failed" });
+
+	const duplicateOf = rowKeys(fields)
+		.map((key) => seen.get(key))
+		.find(Boolean);
+	if (duplicateOf) {
+		result.errors.push({ message: `Duplicate of row ${duplicateOf}` });
+		return fail();
+	}
+	rowKeys(fields).forEach((key) => seen.set(key, row));
+
+	result.errors.push(...(await resolveRowRefs(fields)));
+	const existing = await findExistingProduct(fields);
+	let product;
+	let removedImages = [];
+	keepOwnImageKeys(existing, fields);
+	if (existing) {
+		keepVariantIds(existing, fields);
+		removedImages = droppedImages(existing, fields);
+		product = existing.set(fields);
+	} else {
+		product = new Product({ ...fields, user: userId });
+	}
+	result.status = existing ? "updated" : "created";
+	result.product = product._id;
+
+	try {
+		await product.validate();
+	} catch (error) {
+		if (error.name !== "ValidationError") throw error;
+		result.errors.push(...validationErrors(error));
+	}
+	if (result.errors.length > 0) return fail();
+	if (dryRun) return result;
+
+	try {
+		await product.save({ validateBeforeSave: false });
+	} catch (error) {
+		if (error.code !== 11000) throw error;
+		result.errors.push(
+			...Object.keys(error.keyValue || {}).map((field) => ({
+				field,
+				message: `Duplicate value entered for ${field}`,
+			}))
+		);
+		return fail();
+	}
+	await removeProductImages(removedImages);
+	return result;
+};
+
+// valid rows are saved, invalid ones are only reported
+const importProducts = async (rows, { dryRun = false, userId } = {}) => {
+	const seen = new Map();
+	const results = [];
+	for (const row of rows) {
+		results.push(await importRow(row, { dryRun, userId, seen }));
+	}
+	const count = (status) =>
+		results.filter((result) => result.status === status).length;
+	return {
+		dryRun,
+		total: results.length,
+		created: count("created"),
+		updated: count("updated"),
+		failed: count("failed"),
+		rows: results,
+	};
+};
+
+const withoutId = ({ _id, ...document }) => document;
+
+const toCatalogRecord = (product) => {
+	const data = product.toObject({ virtuals: false, flattenMaps: true });
+	return {
+		...pickCatalogFields(data),
+		// slugs read better than ids and import back the same way
+		category: data.category && (data.category.slug || String(data.category)),
+		company: data.company && (data.company.slug || String(data.company)),
+		images: data.images.map(withoutId),
+		variants: data.variants.map(withoutId),
+	};
+};
+
+const exportProducts = async () => {
+	const products = await Product.find({})
+		.sort("name")
+		.populate("category", "slug")
+		.populate("company", "slug");
+	return products.map(toCatalogRecord);
+};
+
+const toCSVRecord = (record) =>
+	CATALOG_FIELDS.reduce((row, field) => {
+		const value = record[field];
+		if (LIST_COLUMNS.includes(field)) {
+			row[field] = (value || []).join("|");
+		} else if (JSON_COLUMNS.includes(field)) {
+			row[field] = value && value.length > 0 ? JSON.stringify(value) : "";
+		} else {
+			row[field] = value;
+		}
+		return row;
+	}, {});
+
+const serializeProducts = (records, format) =>
+	format === "csv"
+		? toCSV(records.map(toCSVRecord), CATALOG_FIELDS)
+		: JSON.stringify(records, null, 2);
+
+module.exports = {
+	CATALOG_FORMATS,
+	detectFormat,
+	parseProductFile,
+	importProducts,
+	exportProducts,
+	serializeProducts,
+};
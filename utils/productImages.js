@@ -0,0 +1,141 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const CustomError = require("../errors");
+const { getStorage } = require("../storage");
+
+const MAX_IMAGE_SIZE = 1024 * 1024;
+const THUMBNAIL_SIZE = 300;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+	buffer.length >= offset + bytes.length &&
+	buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+// the file's first bytes decide its type, the client's mimetype header is ignored
+const IMAGE_TYPES = [
+	{
+		extension: "jpg",
+		format: "jpeg",
+		contentType: "image/jpeg",
+		matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+	},
+	{
+		extension: "png",
+		format: "png",
+		contentType: "image/png",
+		matches: (buffer) =>
+			startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+	},
+	{
+		extension: "gif",
+		format: "gif",
+		contentType: "image/gif",
+		matches: (buffer) =>
+			startsWith(buffer, Buffer.from("GIF87a")) ||
+			startsWith(buffer, Buffer.from("GIF89a")),
+	},
+	{
+		extension: "webp",
+		format: "webp",
+		contentType: "image/webp",
+		matches: (buffer) =>
+			startsWith(buffer, Buffer.from("RIFF")) &&
+			startsWith(buffer, Buffer.from("WEBP"), 8),
+	},
+];
+
+const sniffImageType = (buffer) =>
+	(Buffer.isBuffer(buffer) &&
+		IMAGE_TYPES.find((type) => type.matches(buffer))) ||
+	null;
+
+// decoding the image also rejects files that only start like one
+const createThumbnail = async (buffer, type) => {
+	try {
+		return await sharp(buffer)
+			.resize({
+				width: THUMBNAIL_SIZE,
+				height: THUMBNAIL_SIZE,
+				fit: "inside",
+				withoutEnlargement: true,
+			})
+			.toFormat(type.format)
+			.toBuffer();
+	} catch (error) {
+		throw new CustomError.BadRequestError("Please Upload Image");
+	}
+};
+
+// everything that can reject a file, done before anything is stored
+const prepareProductImage = async (file) => {
+	if (!file) {
+		throw new CustomError.BadRequestError("No File Uploaded");
+	}
+	if (file.size > MAX_IMAGE_SIZE) {
+		throw new CustomError.BadRequestError(
+			"Please Upload Image smaller than 1 MB"
+		);
+	}
+	const type = sniffImageType(file.data);
+	if (!type) {
+		throw new CustomError.BadRequestError("Please Upload Image");
+	}
+	const thumbnail = await createThumbnail(file.data, type);
+	return { buffer: file.data, thumbnail, type };
+};
+
+const saveProductImage = async ({ buffer, thumbnail, type }) => {
+	const storage = getStorage();
+	const name = crypto.randomUUID();
+	const original = await storage.save({
+		key: `products/${name}.${type.extension}`,
+		buffer,
+		contentType: type.contentType,
+	});
+	const resized = await storage.save({
+		key: `products/${name}-thumb.${type.extension}`,
+		buffer: thumbnail,
+		contentType: type.contentType,
+	});
+
+	return {
+		url: original.url,
+		key: original.key,
+		thumbnail: resized.url,
+		thumbnailKey: resized.key,
+	};
+};
+
+// images that were never uploaded through storage (seed data, urls) have no keys
+const removeProductImages = async (images) => {
+	const storage = getStorage();
+	for (const { key, thumbnailKey } of images) {
+		for (const storageKey of [key, thumbnailKey].filter(Boolean)) {
+			await storage.remove(storageKey);
+		}
+	}
+};
+
+// validates every express-fileupload file first, then stores them under new names
+const storeProductImages = async (files) => {
+	const prepared = [];
+	for (const file of files) {
+		prepared.push(await prepareProductImage(file));
+	}
+
+	const stored = [];
+	try {
+		for (const image of prepared) {
+			stored.push(await saveProductImage(image));
+		}
+	} catch (error) {
+		await removeProductImages(stored);
+		throw error;
+	}
+	return stored;
+};
+
+module.exports = {
+	sniffImageType,
+	storeProductImages,
+	removeProductImages,
+};
@@ -0,0 +1,37 @@
+const CustomError = require("../errors");
+
+// what a line item for this product (and variant) costs and how many are left
+const resolveVariant = (product, variantId) => {
+	const variants = product.variants || [];
+	if (!variantId) {
+		if (variants.length > 0) {
+			throw new CustomError.BadRequestError(
+				`Please choose a variant of ${product.name}`
+			);
+		}
+		return {
+			name: product.name,
+			price: product.price,
+			image: product.image,
+			inventory: product.inventory,
+		};
+	}
+
+	const variant = variants.find(
+		(item) => item._id.toString() === String(variantId)
+	);
+	if (!variant) {
+		throw new CustomError.NotFoundError(
+			`No variant with id: ${variantId} for product: ${product._id}`
+		);
+	}
+	return {
+		name: `${product.name} (${[...variant.options.values()].join(", ")})`,
+		price: variant.price !== undefined ? variant.price : product.price,
+		image: variant.image || product.image,
+		inventory: variant.inventory,
+		variant,
+	};
+};
+
+module.exports = resolveVariant;
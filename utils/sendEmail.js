@@ -0,0 +1,40 @@
+const nodemailer = require("nodemailer");
+const nodemailerConfig = require("./nodemailerConfig");
+
+let transporter;
+
+const getMailTransport = () => {
+	if (!transporter) {
+		transporter = nodemailer.createTransport(nodemailerConfig());
+	}
+	return transporter;
+};
+
+// anything with a sendMail({ from, to, subject, html }) method will do
+const setMailTransport = (transport) => {
+	transporter = transport;
+};
+
+// links in emails point at the frontend, never at whatever Host the request
+// claimed, or a forged Host would receive the victim's token
+const getClientOrigin = () => {
+	if (!process.env.CLIENT_ORIGIN) {
+		throw new Error("CLIENT_ORIGIN must be set to the frontend url");
+	}
+	return process.env.CLIENT_ORIGIN.replace(/\/+$/, "");
+};
+
+const sendEmail = ({ to, subject, html }) => {
+	return getMailTransport().sendMail({
+		from: process.env.EMAIL_FROM || '"E-Commerce API" <no-reply@e-commerce.local>',
+		to,
+		subject,
+		html,
+	});
+};
+
+module.exports = {
+	getClientOrigin,
+	sendEmail,
+	setMailTransport,
+};
@@ -0,0 +1,17 @@
+const { sendEmail, getClientOrigin } = require("./sendEmail");
+const escapeHTML = require("./escapeHTML");
+
+const sendResetPasswordEmail = ({ name, email, passwordToken }) => {
+	const query = new URLSearchParams({ token: passwordToken, email });
+	const resetURL = `${getClientOrigin()}/user/reset-password?${query.toString()}`;
+
+	const message = `<p>Please reset your password by clicking on the following link: <a href="${resetURL}">Reset Password</a>. The link expires in 10 minutes.</p>`;
+
+	return sendEmail({
+		to: email,
+		subject: "Reset Password",
+		html: `<h4>Hello, ${escapeHTML(name)}</h4>${message}`,
+	});
+};
+
+module.exports = sendResetPasswordEmail;
@@ -0,0 +1,17 @@
+const { sendEmail, getClientOrigin } = require("./sendEmail");
+const escapeHTML = require("./escapeHTML");
+
+const sendUnlockAccountEmail = ({ name, email, unlockToken }) => {
+	const query = new URLSearchParams({ token: unlockToken, email });
+	const unlockURL = `${getClientOrigin()}/user/unlock-account?${query.toString()}`;
+
+	const message = `<p>We locked your account after several failed login attempts. If this was you, unlock it here: <a href="${unlockURL}">Unlock Account</a>. If not, consider resetting your password.</p>`;
+
+	return sendEmail({
+		to: email,
+		subject: "Account Locked",
+		html: `<h4>Hello, ${escapeHTML(name)}</h4>${message}`,
+	});
+};
+
+module.exports = sendUnlockAccountEmail;
@@ -0,0 +1,17 @@
+const { sendEmail, getClientOrigin } = require("./sendEmail");
+const escapeHTML = require("./escapeHTML");
+
+const sendVerificationEmail = ({ name, email, verificationToken }) => {
+	const query = new URLSearchParams({ token: verificationToken, email });
+	const verifyEmail = `${getClientOrigin()}/user/verify-email?${query.toString()}`;
+
+	const message = `<p>Please confirm your email by clicking on the following link: <a href="${verifyEmail}">Verify Email</a></p>`;
+
+	return sendEmail({
+		to: email,
+		subject: "Email Confirmation",
+		html: `<h4>Hello, ${escapeHTML(name)}</h4>${message}`,
+	});
+};
+
+module.exports = sendVerificationEmail;
@@ -0,0 +1,34 @@
+const crypto = require("crypto");
+const Token = require("../models/Token");
+const createHash = require("./createHash");
+const { attachCookiesToResponse, refreshTokenLifetime } = require("./jwt");
+
+// stores a new refresh token and sets both cookies; pass family to rotate.
+// the raw tokens are returned for clients that can't keep cookies
+const createSession = async ({ req, res, user, family }) => {
+	const refreshToken = crypto.randomBytes(40).toString("hex");
+	const session = await Token.create({
+		user: user.userId,
+		family: family || crypto.randomUUID(),
+		tokenHash: createHash(refreshToken),
+		userAgent: req.headers["user-agent"],
+		ip: req.ip,
+		expiresAt: new Date(Date.now() + refreshTokenLifetime),
+	});
+	const accessToken = attachCookiesToResponse({ res, user, refreshToken });
+	return { session, accessToken, refreshToken };
+};
+
+const clearSessionCookies = (res) => {
+	["accessToken", "refreshToken"].forEach((name) =>
+		res.cookie(name, "logout", {
+			httpOnly: true,
+			expires: new Date(Date.now()),
+		})
+	);
+};
+
+module.exports = {
+	createSession,
+	clearSessionCookies,
+};
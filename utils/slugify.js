@@ -0,0 +1,10 @@
+// "Living Room & Co." -> "living-room-co"
+const slugify = (value) =>
+	String(value)
+		.normalize("NFKD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, "-")
+		.replace(/^-+|-+$/g, "");
+
+module.exports = slugify;
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+
+// RFC 6238 with the defaults every authenticator app expects:
+// sha1, 6 digits, 30 second steps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+	let bits = "";
+	for (const byte of buffer) {
+		bits += byte.toString(2).padStart(8, "0");
+	}
+	let output = "";
+	for (let i = 0; i < bits.length; i += 5) {
+		output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+	}
+	return output;
+};
+
+const base32Decode = (input) => {
+	const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+	let bits = "";
+	for (const char of cleaned) {
+		const index = BASE32_ALPHABET.indexOf(char);
+		if (index === -1) throw new Error("Invalid base32 secret");
+		bits += index.toString(2).padStart(5, "0");
+	}
+	const bytes = [];
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(parseInt(bits.slice(i, i + 8), 2));
+	}
+	return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getCounter = (time = Date.now()) =>
+	Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, counter = getCounter()) => {
+	const counterBuffer = Buffer.alloc(8);
+	counterBuffer.writeBigUInt64BE(BigInt(counter));
+	const hmac = crypto
+		.createHmac("sha1", base32Decode(secret))
+		.update(counterBuffer)
+		.digest();
+
+	const offset = hmac[hmac.length - 1] & 0xf;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+// returns the matching counter so callers can refuse to accept it twice,
+// or null; one step of clock drift is tolerated either way
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+	const normalized = String(code || "").replace(/\s/g, "");
+	if (!/^\d{6}$/.test(normalized)) return null;
+
+	const current = getCounter(time);
+	for (let counter = current - window; counter <= current + window; counter++) {
+		const expected = generateCode(secret, counter);
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+			return counter;
+		}
+	}
+	return null;
+};
+
+const buildOtpauthURI = ({ secret, account, issuer }) => {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+	const query = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: "SHA1",
+		digits: String(DIGITS),
+		period: String(STEP_SECONDS),
+	});
+	return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+	base32Encode,
+	base32Decode,
+	generateSecret,
+	generateCode,
+	verifyCode,
+	buildOtpauthURI,
+};
@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const createHash = require("./createHash");
+const { verifyCode } = require("./totp");
+
+const RECOVERY_CODE_COUNT = 10;
+
+// xxxx-xxxx, only the hashes are stored
+const generateRecoveryCodes = () =>
+	Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+		const code = crypto.randomBytes(4).toString("hex");
+		return `${code.slice(0, 4)}-${code.slice(4)}`;
+	});
+
+const normalizeRecoveryCode = (code) =>
+	String(code).trim().toLowerCase().replace(/[^0-9a-f]/g, "");
+
+const hashRecoveryCode = (code) => createHash(normalizeRecoveryCode(code));
+
+// both paths update conditionally so two requests can't spend the same code
+const consumeTwoFactorCode = async (user, { code, recoveryCode }) => {
+	if (recoveryCode) {
+		const codeHash = hashRecoveryCode(recoveryCode);
+		const result = await User.updateOne(
+			{ _id: user._id, twoFactorRecoveryCodes: codeHash },
+			{ $pull: { twoFactorRecoveryCodes: codeHash } }
+		);
+		return result.modifiedCount === 1;
+	}
+
+	const counter = verifyCode(user.twoFactorSecret, code);
+	if (counter === null) return false;
+	const result = await User.updateOne(
+		{
+			_id: user._id,
+			$or: [
+				{ twoFactorLastCounter: null },
+				{ twoFactorLastCounter: { $lt: counter } },
+			],
+		},
+		{ twoFactorLastCounter: counter }
+	);
+	return result.modifiedCount === 1;
+};
+
+module.exports = {
+	generateRecoveryCodes,
+	hashRecoveryCode,
+	consumeTwoFactorCode,
+};